@@ -4,7 +4,7 @@
  * ========================================
  * 
  * A fully dynamic, offline-first POS system for food/beverage booths.
- * All data stored in localStorage.
+ * All data stored locally in IndexedDB (localStorage fallback).
  * No hard-coded menu items or ingredients.
  * 
  * CRITICAL ACCOUNTING ARCHITECTURE:
@@ -24,2152 +24,9396 @@
  * Inventory tracks QUANTITIES for operational purposes only.
  * Inventory depletion does NOT affect accounting costs.
  * 
+ * OPTIONAL COST OF GOODS VIEW (shown alongside, never replaces the above):
+ * - Ingredients may carry batchCost / batchQuantity; unit cost = batchCost ÷ batchQuantity (never stored)
+ * - Recipe cost = Σ unit cost × recipe quantity, snapshotted on each sale line as unitCost
+ * - Gross Profit = Revenue - COGS
+ * 
  * Data Models:
  * - EventCosts: totalFixedCost (one-time upfront purchase)
- * - Ingredients: id, name, unit, totalQuantity, lowStockThreshold (NO COST DATA)
- * - Products: id, name, sellingPrice, recipe[], active
- * - Sales: timestamp, productId, productName, sellingPrice, paymentType
+ * - Ingredients: id, name, unit (base: grams/ml/pcs), totalQuantity, lowStockThreshold,
+ *   batchCost, batchQuantity (optional), packSizes[{name, quantity}] (custom units, e.g. sleeve = 50 pcs),
+ *   prepRecipe[{ingredientId, quantity, entryQuantity, entryUnit}], prepYield (prepared ingredients only -
+ *   one batch uses prepRecipe and makes prepYield; unit cost comes from the raw ingredients)
+ * - Products: id, name, sellingPrice, active, category (optional - used by promotions),
+ *   recipe[{ingredientId, quantity (base unit), entryQuantity, entryUnit (as typed, if not the base unit)}],
+ *   modifierGroups[{id, name, selection ('single'|'multi'), required, options[{id, name, priceDelta,
+ *   recipeChanges[{action ('add'|'remove'|'substitute'), ingredientId, quantity (base unit of the ingredient it measures -
+ *   replacementId for swaps), entryQuantity, entryUnit, replacementId}]}]}],
+ *   components[{id, name, quantity, choices[{productId, options[]}]}] (bundles only - recipe stays empty)
+ * - StockLedger (append-only, one stored record per entry): ingredientId, type, delta, balance, saleId, eventId, timestamp
+ * - WasteLog: kind (product/ingredient), itemId, options[] (chosen option names), quantity, reason, recordedBy, deductions[], estimatedValue (at cost),
+ *   isDemoMode (no stock deducted)
+ * - Purchases: ingredientId, ingredientName, unit, quantity (base unit), cost, supplier, date, eventId, addedToEventCost,
+ *   purchaseQuantity, purchaseUnit, purchaseUnitLabel (as bought, if not the base unit)
+ * - Stocktakes: countedBy, note, eventId, lines[{ingredientId, ingredientName, unit, expected, counted, variance}]
+ * - Sales (orders): timestamp, items[{productId, productName, options[{groupName, name, priceDelta}],
+ *   unitPrice, unitCost, quantity, lineTotal (net of discounts), listPrice (if the price was overridden),
+ *   promotion{promotionId, name, type, value, amount}, discount{presetId, name, type, value, amount}, orderDiscountShare,
+ *   components[{productId, productName, quantity, revenue}] (bundles)}],
+ *   grossTotal, discountTotal, orderDiscount{presetId, name, type, value, amount},
+ *   sellingPrice (order total, net of discounts), quantity (total items), paymentType,
+ *   payments[{methodId, methodName, amount, tendered, change, reference}]
  */
 
 // ========================================
-// DATA MANAGEMENT
+// STORAGE ADAPTERS
 // ========================================
 
-class DataManager {
-    constructor() {
-        this.storageKey = {
-            ingredients: 'booth_ingredients',
-            products: 'booth_products',
-            sales: 'booth_sales',
-            lastSale: 'booth_last_sale',
-            stockSnapshot: 'booth_stock_snapshot',
-            eventCosts: 'booth_event_costs',
-            activeEvent: 'booth_active_event',
-            eventHistory: 'booth_event_history',
-            settings: 'booth_settings',
-            demoSales: 'booth_demo_sales', // NEW: Demo mode sales
-            demoLastSale: 'booth_demo_last_sale' // NEW: Demo mode undo
-        };
-    }
+/**
+ * Both adapters share one async interface, keyed by the booth_* storage keys:
+ * - loadAll(keys) -> { key: value } for every stored key
+ * - write(key, value) -> persist one key (null/undefined removes it)
+ * - append(key, records) -> add records to a stored list without rewriting what is there
+ * - estimateUsage() -> { usage, quota } in bytes, or null if the browser can't tell
+ */
 
+class LocalStorageAdapter {
     /**
-     * Get active event session
+     * Load every key that has data
      */
-    getActiveEvent() {
-        const data = localStorage.getItem(this.storageKey.activeEvent);
-        return data ? JSON.parse(data) : null;
+    async loadAll(keys) {
+        const values = {};
+        keys.forEach(key => {
+            const data = localStorage.getItem(key);
+            if (data) values[key] = JSON.parse(data);
+        });
+        return values;
     }
 
     /**
-     * Start a new event
+     * Persist one key
      */
-    startEvent(eventData) {
-        const event = {
-            id: this.generateId(),
-            name: eventData.name || 'Unnamed Event',
-            startTime: new Date().toISOString(),
-            fixedCost: eventData.fixedCost,
-            plannedOutput: eventData.plannedOutput || null, // NEW: For break-even tracking
-            startingInventory: JSON.parse(JSON.stringify(this.getIngredients())), // Deep copy snapshot
-            status: 'active'
-        };
-        
-        localStorage.setItem(this.storageKey.activeEvent, JSON.stringify(event));
-        
-        // Clear sales for new event
-        this.saveSales([]);
-        this.clearLastSale();
-        
-        return event;
+    async write(key, value) {
+        if (value === null || value === undefined) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+        }
     }
 
     /**
-     * End the current event
+     * Add records to a stored list (skipping ids already there)
      */
-    endEvent() {
-        const event = this.getActiveEvent();
-        if (!event || event.status !== 'active') return null;
-
-        const sales = this.getSales();
-        const totalRevenue = sales.reduce((sum, sale) => sum + sale.sellingPrice, 0);
-        const profit = totalRevenue - event.fixedCost;
-
-        // Finalize event
-        event.endTime = new Date().toISOString();
-        event.status = 'closed';
-        event.totalRevenue = totalRevenue;
-        event.profit = profit;
-        event.itemsSold = sales.length;
-        event.salesLog = JSON.parse(JSON.stringify(sales)); // Deep copy
-        event.endingInventory = JSON.parse(JSON.stringify(this.getIngredients())); // Deep copy
-
-        // Move to history
-        const history = this.getEventHistory();
-        history.push(event);
-        this.saveEventHistory(history);
-
-        // Clear active event
-        localStorage.removeItem(this.storageKey.activeEvent);
-
-        return event;
+    async append(key, records) {
+        const data = localStorage.getItem(key);
+        const list = data ? JSON.parse(data) : [];
+        const ids = new Set(list.map(record => record.id));
+        localStorage.setItem(key, JSON.stringify([...list, ...records.filter(record => !ids.has(record.id))]));
     }
 
     /**
-     * Get event history
+     * localStorage has its own small limit that navigator.storage does not report
      */
-    getEventHistory() {
-        const data = localStorage.getItem(this.storageKey.eventHistory);
-        return data ? JSON.parse(data) : [];
+    async estimateUsage() {
+        let characters = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            characters += key.length + localStorage.getItem(key).length;
+        }
+        return { usage: characters * 2, quota: 5 * 1024 * 1024 }; // UTF-16; ~5MB is the common per-site limit
     }
+}
 
+class IndexedDBAdapter {
     /**
-     * Save event history
+     * @param {Object} recordStores - Keys stored as individual indexed records instead of one array:
+     *   storage key -> object store name
      */
-    saveEventHistory(history) {
-        localStorage.setItem(this.storageKey.eventHistory, JSON.stringify(history));
+    constructor(recordStores) {
+        this.recordStores = recordStores;
+        this.written = {}; // storage key -> Map(record id -> JSON last persisted), so only changed records are rewritten
+        this.markerKey = 'booth_data_in_indexeddb'; // localStorage flag: data lives here, never start empty without it
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
     }
 
     /**
-     * Get user settings
+     * Open the shared app database (also used by restore points)
+     * v1: restorePoints | v2: keyval, sales | v3: drops the sales eventId index (sales always load whole)
+     * v4: stockLedger (entries moved out of keyval by loadAll)
+     * v5: restorePointBackups (full backups split from the restore point summaries)
      */
-    getSettings() {
-        const data = localStorage.getItem(this.storageKey.settings);
-        return data ? JSON.parse(data) : { 
-            theme: 'auto',
-            demoMode: false 
-        };
+    static openDatabase() {
+        if (!IndexedDBAdapter.dbPromise) {
+            IndexedDBAdapter.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open('booth_pos', 5);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('restorePoints')) {
+                        db.createObjectStore('restorePoints', { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+                    }
+                    if (!db.objectStoreNames.contains('keyval')) {
+                        db.createObjectStore('keyval');
+                    }
+                    ['sales', 'stockLedger'].forEach(storeName => {
+                        if (!db.objectStoreNames.contains(storeName)) {
+                            db.createObjectStore(storeName, { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+                        }
+                    });
+                    const sales = request.transaction.objectStore('sales');
+                    if (sales.indexNames.contains('eventId')) sales.deleteIndex('eventId');
+
+                    if (!db.objectStoreNames.contains('restorePointBackups')) {
+                        const backups = db.createObjectStore('restorePointBackups', { keyPath: 'id' });
+                        // Points saved before v5 hold their backup inline
+                        request.transaction.objectStore('restorePoints').openCursor().onsuccess = event => {
+                            const cursor = event.target.result;
+                            if (!cursor) return;
+                            const { backup, ...point } = cursor.value;
+                            if (backup) {
+                                backups.put({ id: point.id, backup });
+                                cursor.update(point);
+                            }
+                            cursor.continue();
+                        };
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    IndexedDBAdapter.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return IndexedDBAdapter.dbPromise;
     }
 
     /**
-     * Save user settings
+     * Run work inside one transaction; resolves when it commits
      */
-    saveSettings(settings) {
-        localStorage.setItem(this.storageKey.settings, JSON.stringify(settings));
+    async transaction(storeNames, mode, work) {
+        const db = await IndexedDBAdapter.openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
     }
 
     /**
-     * Get demo sales (separate from real sales)
+     * Load every key, migrating localStorage data on first run
      */
-    getDemoSales() {
-        const data = localStorage.getItem(this.storageKey.demoSales);
-        return data ? JSON.parse(data) : [];
+    async loadAll(keys) {
+        const storeNames = Object.values(this.recordStores);
+        const requests = { records: {} };
+        await this.transaction(['keyval', ...storeNames], 'readonly', tx => {
+            requests.migrated = tx.objectStore('keyval').get('migratedFromLocalStorage');
+            requests.keys = tx.objectStore('keyval').getAllKeys();
+            requests.values = tx.objectStore('keyval').getAll();
+            Object.entries(this.recordStores).forEach(([key, storeName]) => {
+                requests.records[key] = tx.objectStore(storeName).index('timestamp').getAll();
+            });
+        });
+
+        if (!requests.migrated.result) {
+            return this.migrateFromLocalStorage(keys);
+        }
+
+        const values = {};
+        const unmoved = {};
+        requests.keys.result.forEach((key, index) => {
+            if (this.recordStores[key]) {
+                unmoved[key] = requests.values.result[index];
+            } else if (keys.includes(key)) {
+                values[key] = requests.values.result[index];
+            }
+        });
+        Object.keys(this.recordStores).forEach(key => {
+            values[key] = requests.records[key].result;
+            this.written[key] = this.toWrittenMap(values[key]);
+        });
+
+        // Lists saved as one keyval entry before they got their own store (stock ledger before v4)
+        for (const [key, list] of Object.entries(unmoved)) {
+            const merged = [...values[key], ...(list || [])].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            await this.write(key, merged);
+            await this.transaction('keyval', 'readwrite', tx => tx.objectStore('keyval').delete(key));
+            values[key] = merged;
+        }
+        this.markStoredData(); // Also covers data migrated before the flag existed
+
+        return values;
     }
 
     /**
-     * Save demo sales
+     * Record id -> JSON, as last persisted
      */
-    saveDemoSales(sales) {
-        localStorage.setItem(this.storageKey.demoSales, JSON.stringify(sales));
+    toWrittenMap(records) {
+        return new Map((records || []).map(record => [record.id, JSON.stringify(record)]));
     }
 
     /**
-     * Get last demo sale (for undo)
+     * Whether this device's data has been moved into IndexedDB
      */
-    getDemoLastSale() {
-        const data = localStorage.getItem(this.storageKey.demoLastSale);
-        return data ? JSON.parse(data) : null;
+    hasStoredData() {
+        try {
+            return localStorage.getItem(this.markerKey) !== null;
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
-     * Save last demo sale
+     * Remember that the data lives in IndexedDB now
      */
-    saveDemoLastSale(sale) {
-        localStorage.setItem(this.storageKey.demoLastSale, JSON.stringify(sale));
+    markStoredData() {
+        try {
+            if (!this.hasStoredData()) localStorage.setItem(this.markerKey, new Date().toISOString());
+        } catch (error) {
+            // localStorage unavailable - nothing to fall back to anyway
+        }
     }
 
     /**
-     * Clear last demo sale
+     * One-time copy of all booth_* localStorage keys into IndexedDB
+     * localStorage is only cleared after the copy has committed
      */
-    clearDemoLastSale() {
-        localStorage.removeItem(this.storageKey.demoLastSale);
+    async migrateFromLocalStorage(keys) {
+        const values = await new LocalStorageAdapter().loadAll(keys);
+
+        await this.transaction(['keyval', ...Object.values(this.recordStores)], 'readwrite', tx => {
+            Object.entries(values).forEach(([key, value]) => {
+                if (this.recordStores[key]) {
+                    (value || []).forEach(record => tx.objectStore(this.recordStores[key]).put(record));
+                } else {
+                    tx.objectStore('keyval').put(value, key);
+                }
+            });
+            tx.objectStore('keyval').put(new Date().toISOString(), 'migratedFromLocalStorage');
+        });
+
+        this.markStoredData();
+        keys.forEach(key => localStorage.removeItem(key));
+        Object.keys(this.recordStores).forEach(key => {
+            this.written[key] = this.toWrittenMap(values[key]);
+        });
+
+        return values;
     }
 
     /**
-     * Clear all demo sales
+     * Persist one key; record lists are diffed so each write only touches changed records
      */
-    clearAllDemoSales() {
-        this.saveDemoSales([]);
-        this.clearDemoLastSale();
+    async write(key, value) {
+        const storeName = this.recordStores[key];
+        if (!storeName) {
+            return this.transaction('keyval', 'readwrite', tx => {
+                if (value === null || value === undefined) {
+                    tx.objectStore('keyval').delete(key);
+                } else {
+                    tx.objectStore('keyval').put(value, key);
+                }
+            });
+        }
+
+        const records = value || [];
+        const written = this.written[key] || new Map();
+        const next = this.toWrittenMap(records);
+
+        await this.transaction(storeName, 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            records.forEach(record => {
+                if (written.get(record.id) !== next.get(record.id)) store.put(record);
+            });
+            written.forEach((json, id) => {
+                if (!next.has(id)) store.delete(id);
+            });
+        });
+
+        this.written[key] = next;
     }
 
     /**
-     * Get event costs (fixed sunk costs)
+     * Add records to a list without rewriting it (only for keys with their own store)
      */
-    getEventCosts() {
-        const data = localStorage.getItem(this.storageKey.eventCosts);
-        return data ? JSON.parse(data) : { totalFixedCost: 0, notes: '' };
+    async append(key, records) {
+        const storeName = this.recordStores[key];
+        await this.transaction(storeName, 'readwrite', tx => {
+            records.forEach(record => tx.objectStore(storeName).put(record));
+        });
+
+        const written = this.written[key] || new Map();
+        records.forEach(record => written.set(record.id, JSON.stringify(record)));
+        this.written[key] = written;
     }
 
     /**
-     * Save event costs
+     * Whole-site usage as reported by the browser
      */
-    saveEventCosts(costs) {
-        localStorage.setItem(this.storageKey.eventCosts, JSON.stringify(costs));
+    async estimateUsage() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
     }
+}
+
+// ========================================
+// DATA MANAGEMENT
+// ========================================
 
+class DataManager {
     /**
-     * Take a snapshot of current stock levels
+     * @param {Object} adapter - Storage adapter (defaults to IndexedDB, else localStorage)
      */
-    takeStockSnapshot() {
-        const ingredients = this.getIngredients();
-        const snapshot = {};
-        ingredients.forEach(ing => {
-            snapshot[ing.id] = ing.totalQuantity;
-        });
-        localStorage.setItem(this.storageKey.stockSnapshot, JSON.stringify(snapshot));
+    constructor(adapter = null) {
+        this.storageKey = {
+            ingredients: 'booth_ingredients',
+            products: 'booth_products',
+            sales: 'booth_sales',
+            lastSale: 'booth_last_sale',
+            stockSnapshot: 'booth_stock_snapshot',
+            eventCosts: 'booth_event_costs',
+            activeEvent: 'booth_active_event',
+            eventHistory: 'booth_event_history',
+            settings: 'booth_settings',
+            demoSales: 'booth_demo_sales', // NEW: Demo mode sales
+            demoLastSale: 'booth_demo_last_sale', // NEW: Demo mode undo
+            stockLedger: 'booth_stock_ledger', // Every stock movement, append-only
+            wasteLog: 'booth_waste_log', // Spillage, spoilage and comps
+            stocktakes: 'booth_stocktakes', // Physical count reconciliations
+            purchases: 'booth_purchases' // What was actually bought on restock
+        };
+        this.backupFormat = 'booth-pos-backup';
+        this.backupVersion = 2; // Bump when the backup file format changes (1 = legacy three-key export)
+        this.restorePoints = new RestorePointStore();
+        this.maxRestorePoints = 30; // Rolling - oldest dropped first
+
+        // Getters read from memory; writes go to the adapter in the background, in order
+        // (the journal below is also kept in localStorage, which saves synchronously)
+        this.adapter = adapter || (IndexedDBAdapter.isSupported()
+            ? new IndexedDBAdapter({ [this.storageKey.sales]: 'sales', [this.storageKey.stockLedger]: 'stockLedger' })
+            : new LocalStorageAdapter());
+        this.cache = {};
+        this.writeQueue = Promise.resolve();
+
+        this.failedWrites = new Set(); // Keys whose latest value is only in memory
+        this.onStorageError = null;    // (error, name) => void, set by the UI
+        this.storageWarningLevel = 0.8;
+        this.storageCriticalLevel = 0.95;
+
+        // Multi-key operations (sale, void, restock...) are journaled so they land all-or-nothing
+        this.journalKey = 'booth_journal'; // Not in storageKey: never exported or restored
+        this.journal = [];                 // Entries written ahead but not yet fully applied, oldest first
+        this.journalInAdapter = false;     // An entry too big for localStorage was journaled through the adapter
+        this.pendingTransaction = null;
+        this.recoveredTransactions = [];   // Set by init() for interrupted operations it completed
     }
 
     /**
-     * Get stock changes since last snapshot
+     * Load all data into memory - must finish before the app reads anything
+     * Falls back to localStorage if IndexedDB cannot be opened (e.g. some private modes),
+     * unless the data was already moved into IndexedDB - then it throws rather than start empty
      */
-    getStockChanges() {
-        const snapshot = localStorage.getItem(this.storageKey.stockSnapshot);
-        if (!snapshot) return {};
-        
-        const oldStock = JSON.parse(snapshot);
-        const ingredients = this.getIngredients();
-        const changes = {};
-        
-        ingredients.forEach(ing => {
-            const oldQty = oldStock[ing.id];
-            if (oldQty !== undefined && oldQty !== ing.totalQuantity) {
-                changes[ing.id] = {
-                    old: oldQty,
-                    new: ing.totalQuantity,
-                    change: ing.totalQuantity - oldQty
-                };
+    async init() {
+        const keys = [...Object.values(this.storageKey), this.journalKey];
+        const journal = this.readJournal(); // Before a first-run migration moves localStorage away
+        let values;
+
+        try {
+            values = await this.adapter.loadAll(keys);
+        } catch (error) {
+            if (this.adapter instanceof LocalStorageAdapter) throw error;
+            if (this.adapter.hasStoredData()) {
+                throw new Error(`Your saved data could not be opened (${error.message || error.name}). Close other tabs of this app and reload.`);
             }
+            this.adapter = new LocalStorageAdapter();
+            values = await this.adapter.loadAll(keys);
+        }
+
+        Object.entries(this.storageKey).forEach(([name, key]) => {
+            this.cache[name] = values[key] !== undefined ? this.freeze(values[key]) : null;
         });
-        
-        return changes;
+
+        // Same entries can be in both places; replay each once, in the order they happened
+        const pending = new Map();
+        [...journal, ...this.toJournalList(values[this.journalKey])].forEach(entry => pending.set(entry.id, entry));
+        if (pending.size > 0) {
+            await this.recoverTransactions([...pending.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+        }
+
+        // Settings saved by older versions kept the manager PIN as typed
+        const settings = this.cache.settings;
+        if (settings && settings.managerPin !== undefined) {
+            const { managerPin, ...rest } = settings;
+            this.writeKey('settings', { ...rest, managerPinHash: managerPin ? this.hashPin(managerPin) : null });
+        }
     }
 
     /**
-     * Get all ingredients from localStorage
+     * Wait until every queued write has been persisted
      */
-    getIngredients() {
-        const data = localStorage.getItem(this.storageKey.ingredients);
-        return data ? JSON.parse(data) : [];
+    flush() {
+        return this.writeQueue;
     }
 
     /**
-     * Save ingredients to localStorage
+     * Read any storage key by name (a copy, safe to mutate), null if empty
      */
-    saveIngredients(ingredients) {
-        localStorage.setItem(this.storageKey.ingredients, JSON.stringify(ingredients));
+    readKey(name) {
+        const value = this.cache[name];
+        return value === null || value === undefined ? null : this.clone(value);
     }
 
     /**
-     * Get all products from localStorage
+     * Read a storage key without copying, for read-only hot paths (cashier render, stock checks)
+     * Values in memory are frozen, so an accidental change throws instead of corrupting them
      */
-    getProducts() {
-        const data = localStorage.getItem(this.storageKey.products);
-        return data ? JSON.parse(data) : [];
+    viewKey(name) {
+        const value = this.cache[name];
+        return value === undefined ? null : value;
     }
 
     /**
-     * Save products to localStorage
+     * Write any storage key by name; null removes it
      */
-    saveProducts(products) {
-        localStorage.setItem(this.storageKey.products, JSON.stringify(products));
+    writeKey(name, value) {
+        const stored = value === null || value === undefined ? null : this.freeze(this.clone(value));
+
+        // Inside a transaction: visible in memory now, persisted together on commit
+        const tx = this.pendingTransaction;
+        if (tx) {
+            if (!(name in tx.before)) tx.before[name] = this.cache[name];
+            tx.after[name] = stored;
+            delete tx.appended[name]; // The whole value is written now
+            this.cache[name] = stored;
+            return;
+        }
+
+        this.cache[name] = stored;
+        this.queueWrite([name], () => this.adapter.write(this.storageKey[name], stored));
     }
 
     /**
-     * Get all sales from localStorage
+     * Add records to a list key without copying or rewriting what is already there (stock ledger)
      */
-    getSales() {
-        const data = localStorage.getItem(this.storageKey.sales);
-        return data ? JSON.parse(data) : [];
+    appendRecords(name, records) {
+        const added = records.map(record => this.freeze(this.clone(record)));
+        const previous = this.cache[name];
+        const list = Object.freeze([...(previous || []), ...added]);
+        this.cache[name] = list;
+
+        const tx = this.pendingTransaction;
+        if (tx) {
+            if (!(name in tx.before)) tx.before[name] = previous;
+            if (name in tx.after) {
+                tx.after[name] = list;
+            } else {
+                tx.appended[name] = [...(tx.appended[name] || []), ...added];
+            }
+            return;
+        }
+
+        this.queueWrite([name], () => this.persistAppended(name, added, list));
     }
 
     /**
-     * Save sales to localStorage
+     * Append to storage - or write the whole list if an earlier write of it failed,
+     * so a success never hides records that were lost
      */
-    saveSales(sales) {
-        localStorage.setItem(this.storageKey.sales, JSON.stringify(sales));
+    persistAppended(name, records, list) {
+        return this.failedWrites.has(name)
+            ? this.adapter.write(this.storageKey[name], list)
+            : this.adapter.append(this.storageKey[name], records);
     }
 
     /**
-     * Get last sale (for undo functionality)
+     * Chain a persistence task after earlier writes, tracking failures per key
      */
-    getLastSale() {
-        const data = localStorage.getItem(this.storageKey.lastSale);
-        return data ? JSON.parse(data) : null;
+    queueWrite(names, task) {
+        this.writeQueue = this.writeQueue
+            .then(task)
+            .then(() => names.forEach(name => this.failedWrites.delete(name)))
+            .catch(error => {
+                names.forEach(name => this.failedWrites.add(name));
+                if (this.onStorageError) this.onStorageError(error, names[0]);
+            });
     }
 
     /**
-     * Save last sale
+     * Run several writes as one all-or-nothing operation
+     * 1. work() runs against memory; if it throws, memory is rolled back and nothing is saved
+     * 2. Journal entry with every change is written (write-ahead) - to localStorage before this returns,
+     *    so an operation the UI has confirmed is never lost with the tab
+     * 3. Each key is written (apply)
+     * 4. Journal entry is cleared (commit)
+     * If the app dies between 2 and 4, init() finishes the operation on next start.
+     * 
+     * @param {string} type - e.g. 'sale', 'void', 'restock' (kept in the journal for diagnostics)
+     * @param {Function} work - Synchronous; uses the normal get/save methods
      */
-    saveLastSale(sale) {
-        localStorage.setItem(this.storageKey.lastSale, JSON.stringify(sale));
+    transaction(type, work) {
+        if (this.pendingTransaction) return work(); // Nested: joins the outer transaction
+
+        const tx = { type, before: {}, after: {}, appended: {} };
+        this.pendingTransaction = tx;
+
+        let result;
+        try {
+            result = work();
+            this.assertWritable([...Object.keys(tx.after), ...Object.keys(tx.appended)]);
+        } catch (error) {
+            Object.entries(tx.before).forEach(([name, value]) => {
+                this.cache[name] = value;
+            });
+            throw error;
+        } finally {
+            this.pendingTransaction = null;
+        }
+
+        const names = [...Object.keys(tx.after), ...Object.keys(tx.appended)];
+        if (names.length === 0) return result;
+        const appendedLists = {};
+        Object.keys(tx.appended).forEach(name => {
+            appendedLists[name] = this.cache[name];
+        });
+
+        const entry = {
+            id: this.generateId(),
+            type,
+            timestamp: new Date().toISOString(),
+            changes: {}
+        };
+        names.forEach(name => {
+            entry.changes[name] = name in tx.appended
+                ? { appended: tx.appended[name] }
+                : this.describeChange(tx.before[name], tx.after[name]);
+        });
+
+        // Too big for localStorage (e.g. a large import): journal through the adapter instead
+        this.journal.push(entry);
+        const journaled = this.saveJournal();
+        this.queueWrite(names, async () => {
+            if (!journaled) await this.writeAdapterJournal();
+            for (const name of names) {
+                if (name in tx.appended) {
+                    await this.persistAppended(name, tx.appended[name], appendedLists[name]);
+                } else {
+                    await this.adapter.write(this.storageKey[name], tx.after[name]);
+                }
+            }
+            this.settleJournal(entry.id, names);
+            if (!this.saveJournal() || this.journalInAdapter) await this.writeAdapterJournal();
+        });
+
+        return result;
     }
 
     /**
-     * Clear last sale
+     * Journal form of one key's change
+     * Lists of records (sales) store only changed records so the journal stays small
      */
-    clearLastSale() {
-        localStorage.removeItem(this.storageKey.lastSale);
+    describeChange(before, after) {
+        const isRecordList = list => Array.isArray(list) && list.every(item => item && item.id);
+        if (!isRecordList(before) || !isRecordList(after) || after.length === 0) {
+            return { value: after };
+        }
+
+        const previous = new Map(before.map(item => [item.id, JSON.stringify(item)]));
+        const afterIds = new Set(after.map(item => item.id));
+
+        return {
+            upserts: after.filter(item => previous.get(item.id) !== JSON.stringify(item)),
+            removedIds: before.filter(item => !afterIds.has(item.id)).map(item => item.id)
+        };
     }
 
     /**
-     * Add a new ingredient
-     * NEW: Stores total_quantity and total_cost (batch purchase model)
-     * Unit cost is computed dynamically: total_cost / total_quantity
+     * Re-apply a journaled change on top of what was saved (safe to apply twice)
      */
-    addIngredient(ingredient) {
-        const ingredients = this.getIngredients();
-        ingredient.id = this.generateId();
-        ingredients.push(ingredient);
-        this.saveIngredients(ingredients);
-        return ingredient;
+    applyChange(current, change) {
+        if ('value' in change) return change.value;
+        if ('appended' in change) {
+            const ids = new Set((current || []).map(item => item.id));
+            return [...(current || []), ...change.appended.filter(item => !ids.has(item.id))];
+        }
+
+        const records = (current || []).filter(item => !change.removedIds.includes(item.id));
+        change.upserts.forEach(item => {
+            const index = records.findIndex(existing => existing.id === item.id);
+            if (index !== -1) {
+                records[index] = item;
+            } else {
+                records.push(item);
+            }
+        });
+        return records;
     }
 
     /**
-     * Update an existing ingredient
-     * CRITICAL: Never store cost_per_unit directly - only total_cost and total_quantity
+     * Stored journal as a list (older versions kept a single entry)
      */
-    updateIngredient(id, updates) {
-        const ingredients = this.getIngredients();
-        const index = ingredients.findIndex(i => i.id === id);
-        if (index !== -1) {
-            ingredients[index] = { ...ingredients[index], ...updates };
-            this.saveIngredients(ingredients);
-            return ingredients[index];
-        }
-        return null;
+    toJournalList(value) {
+        if (!value) return [];
+        return Array.isArray(value) ? value : [value];
     }
 
     /**
-     * Delete an ingredient
+     * Journal entries kept in localStorage
      */
-    deleteIngredient(id) {
-        let ingredients = this.getIngredients();
-        ingredients = ingredients.filter(i => i.id !== id);
-        this.saveIngredients(ingredients);
+    readJournal() {
+        try {
+            const data = localStorage.getItem(this.journalKey);
+            return this.toJournalList(data ? JSON.parse(data) : null);
+        } catch (error) {
+            return [];
+        }
     }
 
     /**
-     * Add a new product
+     * Keep the pending journal entries in localStorage, which saves synchronously
+     * @returns {boolean} false if localStorage is unavailable or full (its copy is then dropped,
+     *   so a stale list is never replayed - the adapter copy takes over)
      */
-    addProduct(product) {
-        const products = this.getProducts();
-        product.id = this.generateId();
-        products.push(product);
-        this.saveProducts(products);
-        return product;
+    saveJournal() {
+        try {
+            if (this.journal.length === 0) {
+                localStorage.removeItem(this.journalKey);
+            } else {
+                localStorage.setItem(this.journalKey, JSON.stringify(this.journal));
+            }
+            return true;
+        } catch (error) {
+            try {
+                localStorage.removeItem(this.journalKey);
+            } catch (removeError) {
+                // localStorage unavailable
+            }
+            return false;
+        }
     }
 
     /**
-     * Update an existing product
+     * Keep the pending journal entries through the adapter
      */
-    updateProduct(id, updates) {
-        const products = this.getProducts();
-        const index = products.findIndex(p => p.id === id);
-        if (index !== -1) {
-            products[index] = { ...products[index], ...updates };
-            this.saveProducts(products);
-            return products[index];
-        }
-        return null;
+    async writeAdapterJournal() {
+        await this.adapter.write(this.journalKey, this.journal.length > 0 ? this.journal : null);
+        this.journalInAdapter = this.journal.length > 0;
     }
 
     /**
-     * Delete a product
+     * Drop a journal entry once all its keys are written
+     * Older entries no longer need those keys either: the values just written include their changes
      */
-    deleteProduct(id) {
-        let products = this.getProducts();
-        products = products.filter(p => p.id !== id);
-        this.saveProducts(products);
+    settleJournal(id, names) {
+        const index = this.journal.findIndex(entry => entry.id === id);
+        if (index === -1) return;
+
+        const older = this.journal.slice(0, index)
+            .map(entry => {
+                const changes = { ...entry.changes };
+                names.forEach(name => delete changes[name]);
+                return { ...entry, changes };
+            })
+            .filter(entry => Object.keys(entry.changes).length > 0);
+        this.journal = [...older, ...this.journal.slice(index + 1)];
     }
 
     /**
-     * Record a sale (handles both real and demo mode)
+     * Finish operations that were interrupted after their journal entries were written
+     * @param {Array} entries - Oldest first
      */
-    recordSale(sale) {
-        sale.id = this.generateId();
-        sale.timestamp = new Date().toISOString();
-        sale.quantity = sale.quantity || 1;
-        
-        // Route to demo or real sales based on flag
-        if (sale.isDemoMode) {
-            const demoSales = this.getDemoSales();
-            demoSales.push(sale);
-            this.saveDemoSales(demoSales);
-            this.saveDemoLastSale(sale);
-        } else {
-            const sales = this.getSales();
-            sales.push(sale);
-            this.saveSales(sales);
-            this.saveLastSale(sale);
+    async recoverTransactions(entries) {
+        const touched = new Set();
+        entries.forEach(entry => {
+            Object.entries(entry.changes).forEach(([name, change]) => {
+                if (!this.storageKey[name]) return;
+                this.cache[name] = this.freeze(this.applyChange(this.cache[name], change));
+                touched.add(name);
+            });
+        });
+
+        for (const name of touched) {
+            await this.adapter.write(this.storageKey[name], this.cache[name]);
         }
-        
-        return sale;
+        this.journal = [];
+        this.saveJournal();
+        await this.adapter.write(this.journalKey, null);
+
+        this.recoveredTransactions = entries;
     }
 
     /**
-     * Generate a unique ID
+     * Write again every key that failed to save (e.g. after freeing space)
+     * @returns {Promise<boolean>} true if everything is saved now
      */
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    async retryFailedWrites() {
+        [...this.failedWrites].forEach(name => this.writeKey(name, this.cache[name]));
+        await this.flush();
+
+        // Memory now matches storage, so a leftover journal entry must not be replayed later
+        if (this.failedWrites.size === 0) {
+            this.journal = [];
+            this.saveJournal();
+            this.queueWrite([], () => this.writeAdapterJournal());
+            await this.flush();
+        }
+        return this.failedWrites.size === 0;
     }
 
     /**
-     * Export all data as JSON
+     * Refuse new changes while earlier ones could not be saved
+     * Otherwise a reload would bring back stock without its sale (or vice versa)
+     * @param {Array} names - Keys the change rewrites; rewriting every unsaved key is allowed (e.g. clear all)
      */
-    exportData() {
-        return {
-            ingredients: this.getIngredients(),
-            products: this.getProducts(),
-            sales: this.getSales(),
-            exportDate: new Date().toISOString()
-        };
+    assertWritable(names = []) {
+        if ([...this.failedWrites].some(name => !names.includes(name))) {
+            throw new Error('Storage is full - recent changes are not saved. Free space in Settings → Storage.');
+        }
     }
 
     /**
-     * Import data from JSON
+     * Storage usage for the current adapter
+     * @returns {Promise<Object|null>} { usage, quota, ratio, level: 'ok' | 'warning' | 'critical' }
      */
-    importData(data) {
-        if (data.ingredients) this.saveIngredients(data.ingredients);
-        if (data.products) this.saveProducts(data.products);
-        if (data.sales) this.saveSales(data.sales);
+    async getStorageUsage() {
+        const estimate = await this.adapter.estimateUsage();
+        if (!estimate || !estimate.quota) return null;
+
+        const ratio = estimate.usage / estimate.quota;
+        const level = ratio >= this.storageCriticalLevel ? 'critical'
+            : ratio >= this.storageWarningLevel ? 'warning' : 'ok';
+
+        return { ...estimate, ratio, level };
     }
 
     /**
-     * Reset all event data (sales only)
+     * Deep copy so callers never mutate the in-memory data
      */
-    resetEvent() {
-        this.saveSales([]);
-        this.clearLastSale();
+    clone(value) {
+        return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value));
     }
 
     /**
-     * Clear all data (nuclear option)
+     * Deep-freeze a value held in memory (copies made by readKey are not frozen)
      */
-    clearAllData() {
-        Object.values(this.storageKey).forEach(key => {
-            localStorage.removeItem(key);
-        });
+    freeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(child => this.freeze(child));
+            Object.freeze(value);
+        }
+        return value;
     }
-}
-
-// ========================================
-// BUSINESS LOGIC
-// ========================================
 
-class BusinessLogic {
-    constructor(dataManager) {
-        this.dataManager = dataManager;
+    /**
+     * Get active event session
+     */
+    getActiveEvent() {
+        return this.readKey('activeEvent');
     }
 
     /**
-     * Check if a product can be sold (all ingredients available)
-     * @param {string} productId - Product to check
-     * @param {number} quantity - Number of items to sell (default 1)
+     * Start a new event
      */
-    canSellProduct(productId, quantity = 1) {
-        const products = this.dataManager.getProducts();
-        const product = products.find(p => p.id === productId);
-        if (!product || !product.active) return false;
-
-        const ingredients = this.dataManager.getIngredients();
+    startEvent(eventData) {
+        const event = {
+            id: this.generateId(),
+            name: eventData.name || 'Unnamed Event',
+            startTime: new Date().toISOString(),
+            fixedCost: eventData.fixedCost,
+            plannedOutput: eventData.plannedOutput || null, // NEW: For break-even tracking
+            startingInventory: JSON.parse(JSON.stringify(this.getIngredients())), // Deep copy snapshot
+            cashDrawer: {
+                openingFloat: eventData.openingFloat || 0, // Cash in the drawer before the first sale
+                movements: []                              // Cash in/out not tied to sales
+            },
+            status: 'active'
+        };
         
-        for (const recipeItem of product.recipe) {
-            const ingredient = ingredients.find(i => i.id === recipeItem.ingredientId);
-            const requiredQty = recipeItem.quantity * quantity;
-            if (!ingredient || ingredient.totalQuantity < requiredQty) {
-                return false;
-            }
-        }
+        this.transaction('start-event', () => {
+            this.saveActiveEvent(event);
+
+            // Clear sales for new event
+            this.saveSales([]);
+            this.clearLastSale();
+        });
+
+        this.createRestorePoint(`Started "${event.name}"`);
         
-        return true;
+        return event;
     }
 
     /**
-     * Check stock levels for a product sale
-     * Returns warning info if stock is low but sale is still possible
+     * Save active event session
      */
-    checkStockWarnings(productId, quantity = 1) {
-        const products = this.dataManager.getProducts();
-        const product = products.find(p => p.id === productId);
-        if (!product) return null;
-
-        const ingredients = this.dataManager.getIngredients();
-        const warnings = [];
-        
-        product.recipe.forEach(recipeItem => {
-            const ingredient = ingredients.find(i => i.id === recipeItem.ingredientId);
-            const requiredQty = recipeItem.quantity * quantity;
-            const remaining = ingredient.totalQuantity - requiredQty;
-            
-            if (ingredient.lowStockThreshold && remaining <= ingredient.lowStockThreshold) {
-                const estimatedCupsLeft = Math.floor(remaining / recipeItem.quantity);
-                warnings.push({
-                    ingredientName: ingredient.name,
-                    remaining: remaining,
-                    unit: ingredient.unit,
-                    estimatedCupsLeft: estimatedCupsLeft
-                });
-            }
-        });
-        
-        return warnings.length > 0 ? warnings : null;
+    saveActiveEvent(event) {
+        this.writeKey('activeEvent', event);
     }
 
     /**
-     * Process a sale - SIMPLIFIED FOR CORRECT ACCOUNTING
-     * 
-     * Sales track: Revenue
-     * Inventory tracks: Quantities
-     * Accounting tracks: Fixed costs (separate)
-     * 
-     * CRITICAL: Sales only allowed during active event (unless demo mode)
-     * DEMO MODE: Sales tracked but inventory NOT affected
-     * 
-     * @param {string} productId - Product to sell
-     * @param {number} quantity - Number of items (default 1)
+     * Record a cash drawer movement (e.g. paying a supplier from the drawer)
+     * @param {Object} movement - { type: 'in' | 'out', amount, reason }
      */
-    processSale(productId, quantity = 1) {
-        // Check settings for demo mode
-        const settings = this.dataManager.getSettings();
-        const isDemoMode = settings.demoMode || false;
-        
-        // CRITICAL CHECK: Require active event for real sales (not demo)
-        const activeEvent = this.dataManager.getActiveEvent();
-        if (!isDemoMode && (!activeEvent || activeEvent.status !== 'active')) {
-            throw new Error('No active event. Please start an event before making sales.');
+    addCashMovement(movement) {
+        const event = this.getActiveEvent();
+        if (!event || event.status !== 'active') {
+            throw new Error('No active event. Cash movements need an open drawer.');
         }
 
-        if (quantity < 1) {
-            throw new Error('Quantity must be at least 1');
-        }
+        // Events started before cash drawers existed have no drawer yet
+        event.cashDrawer = event.cashDrawer || { openingFloat: 0, movements: [] };
 
-        if (!this.canSellProduct(productId, quantity)) {
-            throw new Error('Product cannot be sold - insufficient ingredients');
-        }
+        movement.id = this.generateId();
+        movement.timestamp = new Date().toISOString();
+        event.cashDrawer.movements.push(movement);
+        this.saveActiveEvent(event);
 
-        const products = this.dataManager.getProducts();
-        const product = products.find(p => p.id === productId);
-        const ingredients = this.dataManager.getIngredients();
+        return movement;
+    }
 
-        // Deduct stock ONLY if not demo mode
-        if (!isDemoMode) {
-            product.recipe.forEach(recipeItem => {
-                const ingredient = ingredients.find(i => i.id === recipeItem.ingredientId);
-                ingredient.totalQuantity -= (recipeItem.quantity * quantity);
-            });
-            this.dataManager.saveIngredients(ingredients);
+    /**
+     * End the current event
+     * @param {Object} closeData - { cashCount } end-of-shift drawer reconciliation (optional)
+     */
+    endEvent(closeData = {}) {
+        const event = this.getActiveEvent();
+        if (!event || event.status !== 'active') return null;
+
+        const sales = this.getSales();
+        const validSales = sales.filter(sale => !sale.voided); // Voided sales kept in log, not in totals
+        const totalRevenue = validSales.reduce((sum, sale) => sum + sale.sellingPrice, 0);
+        const profit = totalRevenue - event.fixedCost;
+
+        // Finalize event
+        event.endTime = new Date().toISOString();
+        event.status = 'closed';
+        event.totalRevenue = totalRevenue;
+        event.profit = profit;
+        event.itemsSold = validSales.reduce((sum, sale) => sum + (sale.quantity || 1), 0);
+        event.salesLog = JSON.parse(JSON.stringify(sales)); // Deep copy
+        event.endingInventory = JSON.parse(JSON.stringify(this.getIngredients())); // Deep copy
+
+        if (closeData.cashCount) {
+            event.cashDrawer = event.cashDrawer || { openingFloat: 0, movements: [] };
+            event.cashDrawer.closingCount = closeData.cashCount;
         }
 
-        // Record sale (REVENUE ONLY - no per-unit costs)
-        const sale = {
-            productId: product.id,
-            productName: product.name,
-            sellingPrice: product.sellingPrice * quantity,
-            quantity: quantity,
-            paymentType: 'cash',
-            eventId: activeEvent ? activeEvent.id : null,
-            isDemoMode: isDemoMode // Flag for separation
-        };
+        this.transaction('end-event', () => {
+            // Move to history
+            const history = this.getEventHistory();
+            history.push(event);
+            this.saveEventHistory(history);
+
+            // Clear active event
+            this.writeKey('activeEvent', null);
+        });
+
+        this.createRestorePoint(`Ended "${event.name}"`);
 
-        return this.dataManager.recordSale(sale);
+        return event;
     }
 
     /**
-     * Undo the last sale
-     * Restore quantities from the product recipe
-     * FIXED: Handles batch sales with quantity > 1
-     * Handles both real and demo mode undo
+     * Get event history
      */
-    undoLastSale() {
-        const settings = this.dataManager.getSettings();
-        const isDemoMode = settings.demoMode || false;
-        
-        // Get appropriate last sale based on mode
-        const lastSale = isDemoMode ? this.dataManager.getDemoLastSale() : this.dataManager.getLastSale();
-        
-        if (!lastSale) {
-            throw new Error('No sale to undo');
-        }
+    getEventHistory() {
+        return this.readKey('eventHistory') || [];
+    }
 
-        // Get the product to find recipe
-        const products = this.dataManager.getProducts();
-        const product = products.find(p => p.id === lastSale.productId);
-        
-        // Restore inventory ONLY if not demo mode
-        if (product && !isDemoMode) {
-            const saleQuantity = lastSale.quantity || 1;
-            const ingredients = this.dataManager.getIngredients();
-            
-            product.recipe.forEach(recipeItem => {
-                const ingredient = ingredients.find(i => i.id === recipeItem.ingredientId);
-                if (ingredient) {
-                    // Restore: ingredient quantity × sale quantity
-                    ingredient.totalQuantity += (recipeItem.quantity * saleQuantity);
-                }
-            });
-            this.dataManager.saveIngredients(ingredients);
-        }
+    /**
+     * Save event history
+     */
+    saveEventHistory(history) {
+        this.writeKey('eventHistory', history);
+    }
 
-        // Remove sale from history
-        if (isDemoMode) {
-            let demoSales = this.dataManager.getDemoSales();
-            demoSales = demoSales.filter(s => s.id !== lastSale.id);
-            this.dataManager.saveDemoSales(demoSales);
-            this.dataManager.clearDemoLastSale();
-        } else {
-            let sales = this.dataManager.getSales();
-            sales = sales.filter(s => s.id !== lastSale.id);
-            this.dataManager.saveSales(sales);
-            this.dataManager.clearLastSale();
+    /**
+     * Update an archived event (e.g. rename)
+     */
+    updateArchivedEvent(id, updates) {
+        const history = this.getEventHistory();
+        const index = history.findIndex(e => e.id === id);
+        if (index !== -1) {
+            history[index] = { ...history[index], ...updates };
+            this.saveEventHistory(history);
+            return history[index];
         }
-
-        return lastSale;
+        return null;
     }
 
     /**
-     * Get today's sales summary - CORRECT ACCOUNTING
-     * 
-     * Profit = Total Revenue - Fixed Event Cost
-     * NO per-unit cost calculation
-     * 
-     * Handles both real and demo sales separately
+     * Delete an archived event
      */
-    getSalesSummary() {
-        const settings = this.dataManager.getSettings();
-        const isDemoMode = settings.demoMode || false;
-        
-        // Get appropriate sales based on mode
-        const sales = isDemoMode ? this.dataManager.getDemoSales() : this.dataManager.getSales();
-        const activeEvent = this.dataManager.getActiveEvent();
-        
-        // Calculate total revenue (handles batch sales with quantity)
-        const totalRevenue = sales.reduce((sum, sale) => {
-            return sum + sale.sellingPrice;
-        }, 0);
-        
-        // Get fixed cost from active event
-        const fixedCost = activeEvent ? activeEvent.fixedCost : 0;
-        const netProfit = totalRevenue - fixedCost;
-        
-        // Count total items sold (sum of quantities)
-        const itemsSold = sales.reduce((sum, sale) => sum + (sale.quantity || 1), 0);
+    deleteArchivedEvent(id) {
+        let history = this.getEventHistory();
+        history = history.filter(e => e.id !== id);
+        this.saveEventHistory(history);
+    }
 
-        return {
-            totalRevenue,
-            fixedCost,
-            netProfit,
-            itemsSold,
-            hasActiveEvent: activeEvent && activeEvent.status === 'active',
-            isDemoMode: isDemoMode
+    /**
+     * Get user settings
+     */
+    getSettings() {
+        const stored = this.readKey('settings');
+        const defaults = {
+            theme: 'auto',
+            demoMode: false,
+            paymentMethods: [
+                { id: 'cash', name: 'Cash', type: 'cash' },
+                { id: 'gcash', name: 'GCash', type: 'ewallet' },
+                { id: 'maya', name: 'Maya', type: 'ewallet' },
+                { id: 'card', name: 'Card', type: 'card' }
+            ],
+            // Fixed discounts are per item on a line (₱20 off each) and off the total on an order
+            discountPresets: [
+                { id: 'senior-pwd', name: 'Senior/PWD', type: 'percent', value: 20 },
+                { id: 'staff', name: 'Staff', type: 'percent', value: 10 },
+                { id: 'happy-hour', name: 'Happy Hour', type: 'fixed', value: 20 }
+            ],
+            managerPinHash: null, // { salt, hash } - obscured PIN required for manual price overrides (see hashPin)
+            promotions: [], // Time-based pricing, see BusinessLogic.getActivePromotion
+            restorePointInterval: 25 // Automatic restore point every N sales (0 = off)
         };
+        // Merge so settings saved by older versions pick up new defaults
+        return stored ? { ...defaults, ...stored } : defaults;
     }
 
     /**
-     * Get sales breakdown by product
-     * FIXED: Properly counts batch sales with quantity > 1
-     * Handles both real and demo sales
+     * Save user settings
      */
-    getSalesBreakdown() {
-        const settings = this.dataManager.getSettings();
-        const isDemoMode = settings.demoMode || false;
-        
-        // Get appropriate sales based on mode
-        const sales = isDemoMode ? this.dataManager.getDemoSales() : this.dataManager.getSales();
-        const breakdown = {};
+    saveSettings(settings) {
+        this.writeKey('settings', settings);
+    }
 
-        sales.forEach(sale => {
-            if (!breakdown[sale.productId]) {
-                breakdown[sale.productId] = {
-                    productName: sale.productName,
-                    count: 0,
-                    revenue: 0
-                };
-            }
-            // Count actual items sold (sum of quantities)
-            breakdown[sale.productId].count += (sale.quantity || 1);
-            breakdown[sale.productId].revenue += sale.sellingPrice;
-        });
+    /**
+     * Get demo sales (separate from real sales)
+     */
+    getDemoSales() {
+        return this.readKey('demoSales') || [];
+    }
 
-        return Object.values(breakdown).sort((a, b) => b.revenue - a.revenue);
+    /**
+     * Save demo sales
+     */
+    saveDemoSales(sales) {
+        this.writeKey('demoSales', sales);
     }
 
     /**
-     * Get low stock ingredients
-     * Inventory tracking is PURELY operational - NOT for costing
+     * Get last demo sale (for undo)
      */
-    getLowStockIngredients() {
-        const ingredients = this.dataManager.getIngredients();
-        return ingredients.filter(i => 
-            i.lowStockThreshold && i.totalQuantity <= i.lowStockThreshold
-        );
+    getDemoLastSale() {
+        return this.readKey('demoLastSale');
     }
-}
 
-// ========================================
-// UI MANAGER
-// ========================================
+    /**
+     * Save last demo sale
+     */
+    saveDemoLastSale(sale) {
+        this.writeKey('demoLastSale', sale);
+    }
 
-class UIManager {
-    constructor(dataManager, businessLogic) {
-        this.dataManager = dataManager;
-        this.businessLogic = businessLogic;
-        this.currentScreen = 'cashier';
-        this.editingIngredient = null;
-        this.editingProduct = null;
+    /**
+     * Clear last demo sale
+     */
+    clearDemoLastSale() {
+        this.writeKey('demoLastSale', null);
     }
 
     /**
-     * Initialize the UI
+     * Clear all demo sales
      */
-    init() {
-        this.setupNavigation();
-        this.setupModals();
-        this.setupForms();
-        this.setupButtons();
-        this.initTheme();
-        this.initDemoMode();
-        this.renderAll();
+    clearAllDemoSales() {
+        this.saveDemoSales([]);
+        this.clearDemoLastSale();
     }
 
     /**
-     * Setup navigation
+     * Get event costs (fixed sunk costs)
      */
-    setupNavigation() {
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const screen = btn.dataset.screen;
-                this.switchScreen(screen);
-            });
-        });
+    getEventCosts() {
+        return this.readKey('eventCosts') || { totalFixedCost: 0, notes: '' };
     }
 
     /**
-     * Switch between screens
+     * Save event costs
      */
-    switchScreen(screenName) {
-        // Update active nav button
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.screen === screenName);
+    saveEventCosts(costs) {
+        this.writeKey('eventCosts', costs);
+    }
+
+    /**
+     * Take a snapshot of current stock levels
+     */
+    takeStockSnapshot() {
+        const ingredients = this.getIngredients();
+        const snapshot = {};
+        ingredients.forEach(ing => {
+            snapshot[ing.id] = ing.totalQuantity;
         });
+        this.writeKey('stockSnapshot', snapshot);
+    }
 
-        // Update active screen
-        document.querySelectorAll('.screen').forEach(screen => {
-            screen.classList.toggle('active', screen.id === `${screenName}-screen`);
+    /**
+     * Get stock changes since last snapshot
+     */
+    getStockChanges() {
+        const oldStock = this.readKey('stockSnapshot');
+        if (!oldStock) return {};
+        
+        const ingredients = this.getIngredients();
+        const changes = {};
+        
+        ingredients.forEach(ing => {
+            const oldQty = oldStock[ing.id];
+            if (oldQty !== undefined && oldQty !== ing.totalQuantity) {
+                changes[ing.id] = {
+                    old: oldQty,
+                    new: ing.totalQuantity,
+                    change: ing.totalQuantity - oldQty
+                };
+            }
         });
+        
+        return changes;
+    }
 
-        this.currentScreen = screenName;
+    /**
+     * Get all ingredients
+     */
+    getIngredients() {
+        return this.readKey('ingredients') || [];
+    }
 
-        // Render the active screen
-        if (screenName === 'cashier') this.renderCashier();
-        if (screenName === 'products') this.renderProducts();
-        if (screenName === 'inventory') this.renderInventory();
-        if (screenName === 'reports') this.renderReports();
+    /**
+     * Save ingredients
+     */
+    saveIngredients(ingredients) {
+        this.writeKey('ingredients', ingredients);
     }
 
     /**
-     * Setup modal functionality
+     * Get all products
      */
-    setupModals() {
-        // Close modals
-        document.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.closeModal(btn.closest('.modal').id);
-            });
-        });
+    getProducts() {
+        return this.readKey('products') || [];
+    }
 
-        // Close modal on background click
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    this.closeModal(modal.id);
-                }
-            });
-        });
+    /**
+     * Save products
+     */
+    saveProducts(products) {
+        this.writeKey('products', products);
     }
 
     /**
-     * Open a modal
+     * Get all sales
      */
-    openModal(modalId) {
-        document.getElementById(modalId).classList.add('active');
+    getSales() {
+        return this.readKey('sales') || [];
     }
 
     /**
-     * Close a modal
+     * Save sales
      */
-    closeModal(modalId) {
-        document.getElementById(modalId).classList.remove('active');
-        this.editingIngredient = null;
-        this.editingProduct = null;
+    saveSales(sales) {
+        this.writeKey('sales', sales);
     }
 
     /**
-     * Setup forms
+     * Get last sale (for undo functionality)
      */
-    setupForms() {
-        // Ingredient form
-        document.getElementById('ingredient-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.saveIngredient();
-        });
+    getLastSale() {
+        return this.readKey('lastSale');
+    }
 
-        // Product form
-        document.getElementById('product-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.saveProduct();
-        });
+    /**
+     * Save last sale
+     */
+    saveLastSale(sale) {
+        this.writeKey('lastSale', sale);
+    }
 
-        // Start event form
-        document.getElementById('start-event-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.startEvent();
+    /**
+     * Clear last sale
+     */
+    clearLastSale() {
+        this.writeKey('lastSale', null);
+    }
+
+    /**
+     * Add a new ingredient
+     * NEW: Stores total_quantity and total_cost (batch purchase model)
+     * Unit cost is computed dynamically: total_cost / total_quantity
+     */
+    addIngredient(ingredient) {
+        return this.transaction('edit', () => {
+            const ingredients = this.getIngredients();
+            ingredient.id = this.generateId();
+            ingredients.push(ingredient);
+            this.saveIngredients(ingredients);
+
+            this.logStockMovements([{
+                ingredientId: ingredient.id,
+                type: 'edit',
+                delta: ingredient.totalQuantity || 0,
+                note: 'Initial stock'
+            }]);
+            return ingredient;
         });
     }
 
     /**
-     * Setup buttons
+     * Update an existing ingredient
+     * CRITICAL: Never store cost_per_unit directly - only total_cost and total_quantity
      */
-    setupButtons() {
-        // Event action button (dynamically changes between Start/End)
-        document.getElementById('event-action-btn').addEventListener('click', () => {
-            const activeEvent = this.dataManager.getActiveEvent();
-            if (activeEvent && activeEvent.status === 'active') {
-                this.openEndEventModal();
-            } else {
-                this.openStartEventModal();
+    updateIngredient(id, updates) {
+        return this.transaction('edit', () => {
+            const ingredients = this.getIngredients();
+            const index = ingredients.findIndex(i => i.id === id);
+            if (index !== -1) {
+                const previousQuantity = ingredients[index].totalQuantity;
+                ingredients[index] = { ...ingredients[index], ...updates };
+                this.saveIngredients(ingredients);
+
+                // Quantity typed over in the edit form
+                this.logStockMovements([{
+                    ingredientId: id,
+                    type: 'edit',
+                    delta: ingredients[index].totalQuantity - previousQuantity,
+                    note: 'Edited quantity'
+                }]);
+                return ingredients[index];
             }
+            return null;
         });
+    }
 
-        // End event confirm
-        document.getElementById('end-event-confirm').addEventListener('click', () => {
-            this.endEvent();
-        });
+    /**
+     * Change one ingredient's stock by a delta and log it
+     * @param {string} type - 'restock' | 'adjustment' | 'waste' | 'stocktake' | 'prep' (see logStockMovements)
+     * @param {Object} details - { note, saleId } stored on the ledger entry
+     */
+    adjustIngredientStock(ingredientId, delta, type, details = {}) {
+        return this.transaction(type, () => {
+            const ingredients = this.getIngredients();
+            const ingredient = ingredients.find(i => i.id === ingredientId);
+            if (!ingredient) {
+                throw new Error('Ingredient not found');
+            }
 
-        document.getElementById('end-event-cancel').addEventListener('click', () => {
-            this.closeModal('end-event-modal');
+            ingredient.totalQuantity += delta;
+            this.saveIngredients(ingredients);
+            this.logStockMovements([{ ingredientId, type, delta, ...details }]);
+            return ingredient;
         });
+    }
 
-        // Batch sale quantity input - update total on change
-        const batchQtyInput = document.getElementById('batch-quantity');
-        if (batchQtyInput) {
-            batchQtyInput.addEventListener('input', () => {
-                this.updateBatchTotal();
-            });
-        }
+    /**
+     * Get waste records (oldest first), optionally for one event (null = recorded outside an event)
+     */
+    getWasteLog(eventId = undefined) {
+        const log = this.readKey('wasteLog') || [];
+        return eventId === undefined ? log : log.filter(record => (record.eventId || null) === eventId);
+    }
 
-        // Batch sale confirm button
-        document.getElementById('batch-sale-confirm').addEventListener('click', () => {
-            this.confirmBatchSale();
-        });
+    /**
+     * Append a waste record
+     */
+    addWasteRecord(record) {
+        const log = this.getWasteLog();
+        record.id = this.generateId();
+        record.timestamp = new Date().toISOString();
+        log.push(record);
+        this.writeKey('wasteLog', log);
+        return record;
+    }
 
-        // Break-even calculation inputs
-        const fixedCostInput = document.getElementById('event-fixed-cost');
-        const plannedOutputInput = document.getElementById('event-planned-output');
-        
-        if (fixedCostInput) {
-            fixedCostInput.addEventListener('input', () => {
-                this.updateBreakEvenCalc();
-            });
-        }
-        
-        if (plannedOutputInput) {
-            plannedOutputInput.addEventListener('input', () => {
-                this.updateBreakEvenCalc();
-            });
-        }
+    /**
+     * Get purchase records (oldest first), optionally for one ingredient
+     */
+    getPurchases(ingredientId = null) {
+        const purchases = this.readKey('purchases') || [];
+        return ingredientId ? purchases.filter(p => p.ingredientId === ingredientId) : purchases;
+    }
 
-        // Demo mode toggle
-        const demoToggle = document.getElementById('demo-mode-toggle');
-        if (demoToggle) {
-            demoToggle.addEventListener('change', (e) => {
-                this.toggleDemoMode(e.target.checked);
-            });
-        }
+    /**
+     * Append purchase records (one per ingredient bought)
+     */
+    addPurchases(records) {
+        const purchases = this.getPurchases();
+        const timestamp = new Date().toISOString();
+        records.forEach(record => {
+            record.id = this.generateId();
+            record.timestamp = timestamp;
+            purchases.push(record);
+        });
+        this.writeKey('purchases', purchases);
+        return records;
+    }
 
-        // Clear demo sales button
-        const clearDemoBtn = document.getElementById('clear-demo-sales-btn');
-        if (clearDemoBtn) {
-            clearDemoBtn.addEventListener('click', () => {
-                this.clearDemoSales();
-            });
+    /**
+     * Get stocktake records (oldest first), optionally for one event (null = counted outside an event)
+     */
+    getStocktakes(eventId = undefined) {
+        const stocktakes = this.readKey('stocktakes') || [];
+        return eventId === undefined ? stocktakes : stocktakes.filter(record => (record.eventId || null) === eventId);
+    }
+
+    /**
+     * Append a stocktake record
+     */
+    addStocktake(record) {
+        const stocktakes = this.getStocktakes();
+        record.id = this.generateId();
+        record.timestamp = new Date().toISOString();
+        stocktakes.push(record);
+        this.writeKey('stocktakes', stocktakes);
+        return record;
+    }
+
+    /**
+     * Get stock ledger entries (oldest first), optionally for one ingredient
+     * Imported entries are appended, so order by time here
+     */
+    getStockLedger(ingredientId = null) {
+        const ledger = (this.viewKey('stockLedger') || [])
+            .filter(entry => !ingredientId || entry.ingredientId === ingredientId)
+            .map(entry => ({ ...entry }));
+        return ledger.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Append stock movements to the ledger (one stored record each - nothing is rewritten)
+     * Call AFTER saving ingredients, so balance is the resulting quantity
+     * @param {Array} movements - [{ ingredientId, type, delta, saleId, note }]
+     *   type: 'sale' | 'undo' | 'void' | 'restock' | 'adjustment' | 'waste' | 'stocktake' | 'prep' | 'edit'
+     */
+    logStockMovements(movements) {
+        const changes = movements.filter(m => m.delta !== 0);
+        if (changes.length === 0) return;
+
+        const ingredients = this.viewKey('ingredients') || [];
+        const activeEvent = this.getActiveEvent();
+        const timestamp = new Date().toISOString();
+
+        const entries = changes.map(movement => {
+            const ingredient = ingredients.find(i => i.id === movement.ingredientId);
+            return {
+                id: this.generateId(),
+                ingredientId: movement.ingredientId,
+                ingredientName: ingredient ? ingredient.name : '',
+                type: movement.type,
+                delta: movement.delta,
+                balance: ingredient ? ingredient.totalQuantity : null,
+                saleId: movement.saleId || null,
+                eventId: activeEvent ? activeEvent.id : null,
+                note: movement.note || '',
+                timestamp
+            };
+        });
+
+        this.appendRecords('stockLedger', entries);
+    }
+
+    /**
+     * Delete an ingredient
+     */
+    deleteIngredient(id) {
+        let ingredients = this.getIngredients();
+        ingredients = ingredients.filter(i => i.id !== id);
+        this.saveIngredients(ingredients);
+    }
+
+    /**
+     * Add a new product
+     */
+    addProduct(product) {
+        const products = this.getProducts();
+        product.id = this.generateId();
+        products.push(product);
+        this.saveProducts(products);
+        return product;
+    }
+
+    /**
+     * Update an existing product
+     */
+    updateProduct(id, updates) {
+        const products = this.getProducts();
+        const index = products.findIndex(p => p.id === id);
+        if (index !== -1) {
+            products[index] = { ...products[index], ...updates };
+            this.saveProducts(products);
+            return products[index];
         }
+        return null;
+    }
 
-        // Theme selector
-        const themeSelect = document.getElementById('theme-select');
-        if (themeSelect) {
-            themeSelect.addEventListener('change', (e) => {
-                this.changeTheme(e.target.value);
-            });
+    /**
+     * Delete a product
+     */
+    deleteProduct(id) {
+        let products = this.getProducts();
+        products = products.filter(p => p.id !== id);
+        this.saveProducts(products);
+    }
+
+    /**
+     * Record a sale (handles both real and demo mode)
+     */
+    recordSale(sale) {
+        sale.id = this.generateId();
+        sale.timestamp = new Date().toISOString();
+        sale.quantity = sale.quantity || 1;
+        
+        // Route to demo or real sales based on flag
+        if (sale.isDemoMode) {
+            const demoSales = this.getDemoSales();
+            demoSales.push(sale);
+            this.saveDemoSales(demoSales);
+            this.saveDemoLastSale(sale);
+        } else {
+            const sales = this.getSales();
+            sales.push(sale);
+            this.saveSales(sales);
+            this.saveLastSale(sale);
+
+            const interval = this.getSettings().restorePointInterval;
+            if (interval > 0 && sales.length % interval === 0) {
+                this.createRestorePoint(`Auto - ${sales.length} sales`);
+            }
         }
+        
+        return sale;
+    }
 
-        // Add ingredient button
-        document.getElementById('add-ingredient-btn').addEventListener('click', () => {
-            this.openIngredientModal();
-        });
+    /**
+     * Generate a unique ID
+     */
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
 
-        // Add product button
-        document.getElementById('add-product-btn').addEventListener('click', () => {
-            this.openProductModal();
+    /**
+     * Export all data as JSON
+     * Full backup: every storage key, with schema version and checksum
+     */
+    exportData() {
+        const data = {};
+        Object.keys(this.storageKey).forEach(name => {
+            data[name] = this.readKey(name);
         });
 
-        // Add recipe item button
-        document.getElementById('add-recipe-item-btn').addEventListener('click', () => {
-            this.addRecipeBuilderItem();
-        });
+        // The manager PIN belongs to this device - backups never carry it
+        if (data.settings) {
+            delete data.settings.managerPinHash;
+        }
 
-        // Undo sale button
-        document.getElementById('undo-sale-btn').addEventListener('click', () => {
-            this.undoSale();
-        });
+        return this.buildBackup(data);
+    }
 
-        // Restock low items button
-        document.getElementById('restock-low-btn').addEventListener('click', () => {
-            this.bulkRestockLowItems();
-        });
+    /**
+     * Wrap storage values in the versioned, checksummed backup format
+     * @param {Object} data - storageKey name -> value (may be a subset of keys)
+     */
+    buildBackup(data) {
+        return {
+            format: this.backupFormat,
+            version: this.backupVersion,
+            exportDate: new Date().toISOString(),
+            checksum: this.computeChecksum(JSON.stringify(data)),
+            data
+        };
+    }
 
-        // Export data button
-        document.getElementById('export-data-btn').addEventListener('click', () => {
-            this.exportData();
+    /**
+     * Checksum for backup integrity (FNV-1a, 32-bit hex)
+     * Synchronous and dependency-free so it works offline on any origin
+     */
+    computeChecksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Obscure a manager PIN for storage (salted FNV-1a checksum), so settings don't show it as typed
+     * Not a password hash: anyone with the data can find a 4-8 digit PIN by trying them all.
+     * Kept synchronous so priceOrder can check overrides.
+     * @param {string} salt - Stored with the hash (new random salt if omitted)
+     * @returns {Object} { salt, hash }
+     */
+    hashPin(pin, salt = this.generateId()) {
+        return { salt, hash: this.computeChecksum(`${salt}:${pin}`) };
+    }
+
+    /**
+     * Collections merged by id on import: storageKey name -> label
+     */
+    getImportCollections() {
+        return {
+            ingredients: 'Ingredients',
+            products: 'Products',
+            sales: 'Sales',
+            eventHistory: 'Events',
+            demoSales: 'Demo Sales',
+            stockLedger: 'Stock Movements',
+            wasteLog: 'Waste Records',
+            stocktakes: 'Stocktakes',
+            purchases: 'Purchases'
+        };
+    }
+
+    /**
+     * Convert any supported backup file into { version, values }
+     * - v2+: full backup, values = every storage key in the file
+     * - v1 / unversioned: legacy export with ingredients, products, sales (and maybe eventHistory)
+     */
+    normalizeBackup(data) {
+        if (data.format === this.backupFormat) {
+            return { version: data.version, values: data.data || {} };
+        }
+
+        const values = {};
+        ['ingredients', 'products', 'sales', 'eventHistory'].forEach(name => {
+            if (data[name] !== undefined) values[name] = data[name];
         });
+        return { version: data.version === undefined ? 1 : data.version, values };
+    }
 
-        // Reset event button
-        document.getElementById('reset-event-btn').addEventListener('click', () => {
-            this.confirmResetEvent();
+    /**
+     * Validate a backup file's structure, version and checksum
+     * Nothing is written - safe to call on untrusted input
+     * @param {Object} data - Parsed backup file
+     * @param {string} mode - 'replace' or 'merge' (affects what the data will hold after import)
+     * @returns {Object} { valid, errors[] }
+     */
+    validateImport(data, mode = 'merge') {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && !isNaN(value);
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isList = (value, check) => Array.isArray(value) && value.every(item => isObject(item) && check(item));
+        const isOptionalList = (value, check) => value === undefined || value === null || isList(value, check);
+
+        if (!isObject(data)) {
+            return { valid: false, errors: ['File is not a booth data backup'] };
+        }
+
+        const { version, values } = this.normalizeBackup(data);
+
+        if (!Number.isInteger(version) || version < 1) {
+            return { valid: false, errors: ['Unrecognized backup version'] };
+        }
+        if (version > this.backupVersion) {
+            return { valid: false, errors: [`Backup version ${version} is newer than this app supports (${this.backupVersion})`] };
+        }
+
+        if (data.format === this.backupFormat) {
+            if (!isObject(data.data)) {
+                return { valid: false, errors: ['Backup has no data section'] };
+            }
+            if (data.checksum !== this.computeChecksum(JSON.stringify(data.data))) {
+                return { valid: false, errors: ['Backup checksum mismatch - file is corrupted or was edited'] };
+            }
+        }
+
+        if (!Object.keys(values).some(name => this.storageKey[name])) {
+            errors.push('Backup contains no ingredients, products, sales or events');
+        }
+
+        const checkItems = (name, check) => {
+            if (values[name] === undefined || values[name] === null) return;
+            if (!Array.isArray(values[name])) {
+                errors.push(`"${name}" must be a list`);
+                return;
+            }
+            values[name].forEach((item, index) => {
+                if (!isObject(item) || typeof item.id !== 'string' || !check(item)) {
+                    errors.push(`${name}[${index}] is missing required fields`);
+                }
+            });
+        };
+
+        checkItems('ingredients', i => typeof i.name === 'string' && typeof i.unit === 'string' && isNumber(i.totalQuantity)
+            && isOptionalList(i.prepRecipe, r => typeof r.ingredientId === 'string'));
+        checkItems('products', p => typeof p.name === 'string' && isNumber(p.sellingPrice)
+            && isList(p.recipe, r => typeof r.ingredientId === 'string')
+            && isOptionalList(p.modifierGroups, g => isList(g.options, o =>
+                isOptionalList(o.recipeChanges, c => typeof c.ingredientId === 'string')))
+            && isOptionalList(p.components, c => isList(c.choices, choice => typeof choice.productId === 'string')));
+        checkItems('sales', s => isNumber(s.sellingPrice) && typeof s.timestamp === 'string');
+        checkItems('demoSales', s => isNumber(s.sellingPrice) && typeof s.timestamp === 'string');
+        checkItems('eventHistory', e => typeof e.name === 'string' && typeof e.startTime === 'string');
+        checkItems('stockLedger', m => typeof m.ingredientId === 'string' && isNumber(m.delta) && typeof m.timestamp === 'string');
+        checkItems('wasteLog', w => typeof w.itemName === 'string' && isNumber(w.quantity) && typeof w.timestamp === 'string');
+        checkItems('stocktakes', t => Array.isArray(t.lines) && typeof t.timestamp === 'string');
+        checkItems('purchases', p => typeof p.ingredientId === 'string' && isNumber(p.quantity) && isNumber(p.cost));
+
+        // Single-record keys must be objects (or null when empty)
+        ['activeEvent', 'settings', 'eventCosts', 'stockSnapshot', 'lastSale', 'demoLastSale'].forEach(name => {
+            if (values[name] !== undefined && values[name] !== null && !isObject(values[name])) {
+                errors.push(`"${name}" has an invalid format`);
+            }
         });
+
+        // Recipes, option recipe changes, prep recipes and bundle choices must reference items that
+        // will exist after import - including ones kept from this device when the file replaces the rest
+        if (errors.length === 0) {
+            const ingredients = this.getImportResult(values, mode, 'ingredients');
+            const products = this.getImportResult(values, mode, 'products');
+            const ingredientIds = new Set(ingredients.map(i => i.id));
+            const productIds = new Set(products.map(p => p.id));
+            const fileIngredientIds = new Set((values.ingredients || []).map(i => i.id));
+            const fileProductIds = new Set((values.products || []).map(p => p.id));
+            const whereMissing = fromFile => fromFile ? 'missing from the backup' : 'this import would remove';
+
+            products.forEach(product => {
+                const usedIngredients = [
+                    ...product.recipe.map(r => r.ingredientId),
+                    ...(product.modifierGroups || []).flatMap(group => group.options.flatMap(option =>
+                        (option.recipeChanges || []).flatMap(change => [change.ingredientId, change.replacementId])))
+                ].filter(Boolean);
+                if (usedIngredients.some(id => !ingredientIds.has(id))) {
+                    errors.push(`Product "${product.name}" uses an ingredient ${whereMissing(fileProductIds.has(product.id))}`);
+                }
+
+                const usedProducts = (product.components || []).flatMap(c => c.choices.map(choice => choice.productId));
+                if (usedProducts.some(id => !productIds.has(id))) {
+                    errors.push(`Bundle "${product.name}" includes a product ${whereMissing(fileProductIds.has(product.id))}`);
+                }
+            });
+
+            ingredients.forEach(ingredient => {
+                if ((ingredient.prepRecipe || []).some(r => !ingredientIds.has(r.ingredientId))) {
+                    errors.push(`Ingredient "${ingredient.name}" is prepared from an ingredient ${whereMissing(fileIngredientIds.has(ingredient.id))}`);
+                }
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
     }
 
     /**
-     * Render all screens
+     * What a collection will hold after an import (merge: by id, incoming wins; absent from the file: kept)
      */
-    renderAll() {
-        this.updateEventBanner();
-        this.renderCashier();
-        this.renderProducts();
-        this.renderInventory();
-        this.renderReports();
+    getImportResult(values, mode, name) {
+        const current = this.readKey(name) || [];
+        if (!Array.isArray(values[name])) return current;
+        if (mode !== 'merge') return values[name];
+
+        const incomingIds = new Set(values[name].map(item => item.id));
+        return [...current.filter(item => !incomingIds.has(item.id)), ...values[name]];
     }
 
-    // ========================================
-    // EVENT MANAGEMENT
-    // ========================================
+    /**
+     * Ledger entries in a backup that this device does not have yet
+     */
+    getNewLedgerEntries(entries) {
+        if (!Array.isArray(entries)) return [];
+        const ids = new Set((this.viewKey('stockLedger') || []).map(entry => entry.id));
+        return entries.filter(entry => !ids.has(entry.id));
+    }
 
     /**
-     * Update event status banner
+     * Preview what an import will change, per collection
+     * @param {Object} data - Validated backup
+     * @param {string} mode - 'replace' (replace keys in file) or 'merge' (merge by id)
+     * @returns {Object} { collections: [...counts], otherKeys: [names restored as a whole] }
      */
-    updateEventBanner() {
-        const activeEvent = this.dataManager.getActiveEvent();
-        const banner = document.getElementById('event-banner');
-        const statusText = document.getElementById('event-text');
-        const actionBtn = document.getElementById('event-action-btn');
+    previewImport(data, mode) {
+        const { values } = this.normalizeBackup(data);
+        const labels = this.getImportCollections();
+
+        const collections = Object.entries(labels)
+            .filter(([name]) => Array.isArray(values[name]))
+            .map(([name, label]) => {
+                const current = this.readKey(name) || [];
+                const currentIds = new Set(current.map(item => item.id));
+                const incoming = values[name];
+                const updated = incoming.filter(item => currentIds.has(item.id)).length;
+
+                // Append-only in both modes: existing entries stay, known ones are skipped
+                if (name === 'stockLedger') {
+                    const added = this.getNewLedgerEntries(incoming).length;
+                    return {
+                        key: name,
+                        label,
+                        current: current.length,
+                        incoming: incoming.length,
+                        added,
+                        updated: 0,
+                        removed: 0,
+                        result: current.length + added
+                    };
+                }
 
-        if (!banner) return;
+                return {
+                    key: name,
+                    label,
+                    current: current.length,
+                    incoming: incoming.length,
+                    added: mode === 'merge' ? incoming.length - updated : incoming.length,
+                    updated: mode === 'merge' ? updated : 0,
+                    removed: mode === 'merge' ? 0 : current.length,
+                    result: mode === 'merge' ? current.length + incoming.length - updated : incoming.length
+                };
+            });
 
-        banner.style.display = 'flex';
+        // Merge only fills single-record keys that are empty locally
+        const otherKeys = Object.keys(values)
+            .filter(name => this.storageKey[name] && !labels[name])
+            .filter(name => values[name] !== null)
+            .filter(name => mode === 'replace' || this.readKey(name) === null);
 
-        if (activeEvent && activeEvent.status === 'active') {
-            banner.classList.add('active');
-            statusText.textContent = `Active Event: ${activeEvent.name}`;
-            actionBtn.textContent = 'End Event';
-            actionBtn.classList.remove('btn-primary');
-            actionBtn.classList.add('btn-danger');
-        } else {
-            banner.classList.remove('active');
-            statusText.textContent = 'No Active Event';
-            actionBtn.textContent = 'Start Event';
-            actionBtn.classList.remove('btn-danger');
-            actionBtn.classList.add('btn-primary');
+        return { collections, otherKeys };
+    }
+
+    /**
+     * Import data from JSON (full v2 backups and legacy three-key exports)
+     * Validates everything first, so invalid or partial files leave existing data untouched
+     * Keys absent from the file are kept as-is in both modes
+     * The stock ledger is never replaced: entries from the file that are new here are added to it
+     * 
+     * @param {Object} data - Backup contents
+     * @param {string} mode - 'replace' or 'merge' (by id, incoming wins)
+     */
+    importData(data, mode = 'replace') {
+        const validation = this.validateImport(data, mode);
+        if (!validation.valid) {
+            throw new Error(validation.errors[0]);
+        }
+
+        const { values } = this.normalizeBackup(data);
+        const collections = this.getImportCollections();
+
+        // Build every result before writing anything
+        const results = {};
+        const ledgerEntries = this.getNewLedgerEntries(values.stockLedger);
+        Object.entries(values)
+            .filter(([name]) => this.storageKey[name] && name !== 'stockLedger')
+            .forEach(([name, value]) => {
+                if (mode !== 'merge') {
+                    results[name] = value;
+                } else if (collections[name] && Array.isArray(value)) {
+                    const merged = this.readKey(name) || [];
+                    value.forEach(item => {
+                        const index = merged.findIndex(existing => existing.id === item.id);
+                        if (index !== -1) {
+                            merged[index] = item;
+                        } else {
+                            merged.push(item);
+                        }
+                    });
+                    if (['sales', 'demoSales', 'wasteLog', 'stocktakes', 'purchases'].includes(name)) {
+                        merged.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                    }
+                    results[name] = merged;
+                } else if (value !== null && this.readKey(name) === null) {
+                    results[name] = value;
+                }
+            });
+
+        // The manager PIN stays as set on this device - a backup never sets or clears it
+        if (results.settings) {
+            const { managerPin, managerPinHash, ...settings } = results.settings;
+            const current = this.readKey('settings');
+            results.settings = current && current.managerPinHash
+                ? { ...settings, managerPinHash: current.managerPinHash }
+                : settings;
+        }
+
+        this.transaction('import', () => {
+            Object.entries(results).forEach(([name, value]) => this.writeKey(name, value));
+            if (ledgerEntries.length > 0) this.appendRecords('stockLedger', ledgerEntries);
+
+            // Undo must not point at a sale that no longer exists
+            const lastSale = this.getLastSale();
+            if (lastSale && !this.getSales().some(s => s.id === lastSale.id)) {
+                this.clearLastSale();
+            }
+        });
+    }
+
+    /**
+     * Save a full backup as a local restore point
+     * The backup is taken synchronously, so callers can clear data right after
+     * @param {string} reason - Shown in the restore point list
+     * @returns {Promise} resolves with the point, or null if it could not be stored
+     */
+    createRestorePoint(reason) {
+        if (!this.restorePoints.isAvailable()) return Promise.resolve(null);
+
+        const backup = this.exportData();
+        const activeEvent = backup.data.activeEvent;
+        const point = {
+            id: this.generateId(),
+            timestamp: backup.exportDate,
+            reason,
+            summary: {
+                eventName: activeEvent ? activeEvent.name : null,
+                sales: (backup.data.sales || []).length,
+                products: (backup.data.products || []).length,
+                ingredients: (backup.data.ingredients || []).length,
+                pastEvents: (backup.data.eventHistory || []).length
+            },
+            backup
+        };
+
+        return this.restorePoints.add(point, this.maxRestorePoints).catch(() => null);
+    }
+
+    /**
+     * List restore points, newest first (empty if IndexedDB is unavailable)
+     */
+    async getRestorePoints() {
+        if (!this.restorePoints.isAvailable()) return [];
+        return this.restorePoints.list();
+    }
+
+    /**
+     * Roll back every storage key to a restore point
+     * Current state is saved as its own restore point first, so a rollback can be undone
+     */
+    async restoreFromPoint(id) {
+        const point = await this.restorePoints.get(id);
+        if (!point) {
+            throw new Error('Restore point not found');
         }
+
+        await this.createRestorePoint('Before rollback');
+        this.importData(point.backup, 'replace');
+        return point;
+    }
+
+    /**
+     * Full copies of archived events, as a backup file that "Restore Data → Merge" puts back
+     */
+    exportEventArchive(eventIds) {
+        const events = this.getEventHistory().filter(e => eventIds.includes(e.id));
+        return this.buildBackup({ eventHistory: events });
+    }
+
+    /**
+     * Replace archived events' salesLog with precomputed summaries to free space
+     * @param {Object} summaries - event id -> summary built by BusinessLogic.summarizeEventSales
+     */
+    compactArchivedEvents(summaries) {
+        const history = this.getEventHistory().map(event => {
+            if (!summaries[event.id]) return event;
+
+            const compacted = { ...event, salesSummary: summaries[event.id] };
+            delete compacted.salesLog;
+            return compacted;
+        });
+        this.saveEventHistory(history);
+    }
+
+    /**
+     * Reset all event data (sales only)
+     */
+    resetEvent() {
+        this.createRestorePoint('Before reset');
+        this.transaction('reset-event', () => {
+            this.saveSales([]);
+            this.clearLastSale();
+        });
+    }
+
+    /**
+     * Clear all data (nuclear option)
+     */
+    clearAllData() {
+        this.createRestorePoint('Before clearing all data');
+        this.transaction('clear-all', () => {
+            Object.keys(this.storageKey).forEach(name => {
+                this.writeKey(name, null);
+            });
+        });
+    }
+}
+
+// ========================================
+// RESTORE POINTS (IndexedDB)
+// ========================================
+
+class RestorePointStore {
+    constructor() {
+        this.storeName = 'restorePoints';
+        this.backupStoreName = 'restorePointBackups';
+    }
+
+    /**
+     * IndexedDB is missing in some private browsing modes - restore points are then skipped
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the shared app database
+     */
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available on this device'));
+        }
+        return IndexedDBAdapter.openDatabase();
+    }
+
+    /**
+     * Run work inside one transaction; resolves when it commits
+     * (a write over quota aborts the transaction without an error event)
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Save a restore point, dropping the oldest first to make room within the limit
+     * Summaries and full backups are kept apart, so listing never loads the backups
+     */
+    async add(point, limit) {
+        const { backup, ...summary } = point;
+
+        const keys = await this.transaction(this.storeName, 'readonly', tx =>
+            tx.objectStore(this.storeName).index('timestamp').getAllKeys());
+        const expired = keys.result.slice(0, Math.max(keys.result.length - (limit - 1), 0));
+        if (expired.length > 0) {
+            await this.transaction([this.storeName, this.backupStoreName], 'readwrite', tx => {
+                expired.forEach(id => {
+                    tx.objectStore(this.storeName).delete(id);
+                    tx.objectStore(this.backupStoreName).delete(id);
+                });
+            });
+        }
+
+        await this.transaction([this.storeName, this.backupStoreName], 'readwrite', tx => {
+            tx.objectStore(this.backupStoreName).put({ id: point.id, backup });
+            tx.objectStore(this.storeName).put(summary);
+        });
+        return point;
+    }
+
+    /**
+     * All restore points, newest first (summaries only - see get() for the backup)
+     */
+    async list() {
+        const points = await this.transaction(this.storeName, 'readonly', tx => tx.objectStore(this.storeName).getAll());
+        return points.result.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Get one restore point by id, with its full backup
+     */
+    async get(id) {
+        const requests = await this.transaction([this.storeName, this.backupStoreName], 'readonly', tx => ({
+            point: tx.objectStore(this.storeName).get(id),
+            backup: tx.objectStore(this.backupStoreName).get(id)
+        }));
+        if (!requests.point.result || !requests.backup.result) return null;
+        return { ...requests.point.result, backup: requests.backup.result.backup };
+    }
+}
+
+// ========================================
+// BUSINESS LOGIC
+// ========================================
+
+class BusinessLogic {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.wasteReasons = [
+            { id: 'spillage', label: 'Spillage' },
+            { id: 'expired', label: 'Expired / Spoiled' },
+            { id: 'comp', label: 'Comp / Staff' },
+            { id: 'remake', label: 'Wrong Order / Remake' },
+            { id: 'other', label: 'Other' }
+        ];
+        // factor = how many base units (grams / ml / pcs) are in one of this unit
+        this.units = {
+            grams: { label: 'g', dimension: 'mass', factor: 1 },
+            kg: { label: 'kg', dimension: 'mass', factor: 1000 },
+            oz: { label: 'oz', dimension: 'mass', factor: 28.3495 },
+            lb: { label: 'lb', dimension: 'mass', factor: 453.592 },
+            ml: { label: 'ml', dimension: 'volume', factor: 1 },
+            L: { label: 'L', dimension: 'volume', factor: 1000 },
+            'fl oz': { label: 'fl oz', dimension: 'volume', factor: 29.5735 },
+            pcs: { label: 'pcs', dimension: 'count', factor: 1 },
+            dozen: { label: 'dozen', dimension: 'count', factor: 12 }
+        };
+    }
+
+    /**
+     * Units an ingredient can be measured in: its base unit, compatible standard units, then its pack sizes
+     * @returns {Array} [{ id, label, factor }] - factor converts to the ingredient's base unit
+     */
+    getUnitOptions(ingredient) {
+        const base = this.units[ingredient.unit];
+        const options = base
+            ? Object.entries(this.units)
+                .filter(([, unit]) => unit.dimension === base.dimension)
+                .map(([id, unit]) => ({ id, label: unit.label, factor: unit.factor / base.factor }))
+            : [{ id: ingredient.unit, label: ingredient.unit, factor: 1 }];
+
+        // Base unit first
+        options.sort((a, b) => (b.id === ingredient.unit) - (a.id === ingredient.unit));
+
+        (ingredient.packSizes || []).forEach(pack => {
+            options.push({
+                id: `pack:${pack.name}`,
+                label: `${pack.name} (${pack.quantity} ${ingredient.unit})`,
+                factor: pack.quantity
+            });
+        });
+
+        return options;
+    }
+
+    /**
+     * Convert a quantity in any compatible unit to the ingredient's base unit
+     * @throws {Error} if the unit can't measure this ingredient (e.g. L for an ingredient kept in grams)
+     */
+    toBaseQuantity(quantity, unitId, ingredient) {
+        if (!unitId || unitId === ingredient.unit) return quantity;
+
+        const option = this.getUnitOptions(ingredient).find(o => o.id === unitId);
+        if (!option) {
+            const label = this.units[unitId] ? this.units[unitId].label : unitId.replace(/^pack:/, '');
+            throw new Error(`${ingredient.name} is measured in ${ingredient.unit} - can't convert from ${label}`);
+        }
+        return quantity * option.factor;
+    }
+
+    /**
+     * Parse typed quantities like "500", "1.5 L" or "2 sleeve" into the ingredient's base unit
+     * @returns {number} NaN if there is no valid number
+     * @throws {Error} if the unit is unknown or incompatible
+     */
+    parseQuantityInput(text, ingredient) {
+        const match = String(text).trim().match(/^(-?\d*\.?\d+)\s*(.*)$/);
+        if (!match) return NaN;
+
+        const quantity = parseFloat(match[1]);
+        const unitText = match[2].trim().toLowerCase();
+        if (!unitText) return quantity;
+
+        const option = this.getUnitOptions(ingredient).find(o =>
+            o.id.toLowerCase() === unitText ||
+            o.id.toLowerCase() === `pack:${unitText}` ||
+            o.label.toLowerCase() === unitText
+        );
+        if (option) return quantity * option.factor;
+
+        const known = Object.keys(this.units).find(id => id.toLowerCase() === unitText || this.units[id].label.toLowerCase() === unitText);
+        return this.toBaseQuantity(quantity, known || unitText, ingredient);
+    }
+
+    /**
+     * Parse pack sizes typed as "sleeve = 50, case = 1000"
+     * @returns {Array} [{ name, quantity }]
+     */
+    parsePackSizes(text) {
+        if (!text || !text.trim()) return [];
+
+        return text.split(',').filter(part => part.trim()).map(part => {
+            const [name, quantity] = part.split('=').map(value => (value || '').trim());
+            const amount = parseFloat(quantity);
+            if (!name || isNaN(amount) || amount <= 0) {
+                throw new Error(`Invalid pack size "${part.trim()}" - use name = quantity, e.g. sleeve = 50`);
+            }
+            if (this.units[name]) {
+                throw new Error(`"${name}" is already a standard unit`);
+            }
+            return { name, quantity: amount };
+        });
+    }
+
+    /**
+     * Label of a unit id as shown to the user
+     */
+    getUnitLabel(unitId, ingredient) {
+        const option = this.getUnitOptions(ingredient).find(o => o.id === unitId);
+        if (!option) return unitId;
+        return unitId.startsWith('pack:') ? unitId.slice(5) : option.label;
+    }
+
+    /**
+     * Normalize a sale into its line items
+     * Orders store items[]; legacy single-product sales are wrapped as one line
+     */
+    getSaleItems(sale) {
+        if (Array.isArray(sale.items)) return sale.items;
+
+        const quantity = sale.quantity || 1;
+        return [{
+            productId: sale.productId,
+            productName: sale.productName,
+            unitPrice: sale.sellingPrice / quantity,
+            quantity: quantity,
+            lineTotal: sale.sellingPrice
+        }];
+    }
+
+    // ========================================
+    // PREPARED INGREDIENTS (batch prep)
+    // ========================================
+
+    /**
+     * Whether an ingredient is made in-house from other ingredients (e.g. cold brew concentrate)
+     */
+    isPrepared(ingredient) {
+        return !!ingredient && Array.isArray(ingredient.prepRecipe) && ingredient.prepRecipe.length > 0;
+    }
+
+    /**
+     * Prepared ingredients whose prep recipe uses an ingredient
+     */
+    getPrepsUsingIngredient(ingredientId) {
+        return this.dataManager.getIngredients().filter(ingredient =>
+            this.isPrepared(ingredient) && ingredient.prepRecipe.some(r => r.ingredientId === ingredientId)
+        );
+    }
+
+    /**
+     * Make batches of a prepared ingredient: deduct the raw ingredients and add the yield, all or nothing
+     * @param {number} batches - may be fractional (half a batch)
+     * @returns {Object} { produced, consumed[{ ingredientId, ingredientName, quantity, unit }] }
+     */
+    prepareBatch(ingredientId, batches) {
+        const ingredients = this.dataManager.getIngredients();
+        const prepared = ingredients.find(i => i.id === ingredientId);
+        if (!this.isPrepared(prepared)) {
+            throw new Error('Not a prepared ingredient');
+        }
+        if (!(batches > 0)) {
+            throw new Error('Enter how many batches to prep');
+        }
+
+        // An ingredient listed twice in the prep recipe is checked against its total
+        const needed = new Map();
+        prepared.prepRecipe.forEach(item => {
+            needed.set(item.ingredientId, (needed.get(item.ingredientId) || 0) + item.quantity * batches);
+        });
+
+        const consumed = [...needed.entries()].map(([id, quantity]) => {
+            const ingredient = ingredients.find(i => i.id === id);
+            if (!ingredient) throw new Error(`Missing ingredient in ${prepared.name} prep`);
+
+            if (ingredient.totalQuantity < quantity) {
+                throw new Error(`Not enough ${ingredient.name}: need ${quantity} ${ingredient.unit}, have ${ingredient.totalQuantity}`);
+            }
+            return { ingredientId: ingredient.id, ingredientName: ingredient.name, quantity, unit: ingredient.unit };
+        });
+        const produced = prepared.prepYield * batches;
+
+        return this.dataManager.transaction('prep', () => {
+            consumed.forEach(item => {
+                this.dataManager.adjustIngredientStock(item.ingredientId, -item.quantity, 'prep', {
+                    note: `Used for ${prepared.name}`
+                });
+            });
+            this.dataManager.adjustIngredientStock(prepared.id, produced, 'prep', {
+                note: `Prepped ${batches} batch${batches === 1 ? '' : 'es'}`
+            });
+
+            return { produced, consumed };
+        });
+    }
+
+    // ========================================
+    // MODIFIERS (sizes, hot/iced, add-ons)
+    // ========================================
+
+    /**
+     * Products whose recipe or modifier options use an ingredient
+     */
+    getProductsUsingIngredient(ingredientId) {
+        return this.dataManager.getProducts().filter(product =>
+            product.recipe.some(r => r.ingredientId === ingredientId) ||
+            (product.modifierGroups || []).some(group => group.options.some(option =>
+                (option.recipeChanges || []).some(change =>
+                    change.ingredientId === ingredientId || change.replacementId === ingredientId
+                )
+            ))
+        );
+    }
+
+    /**
+     * Whether a product is a bundle of other products
+     */
+    isBundle(product) {
+        return Array.isArray(product.components) && product.components.length > 0;
+    }
+
+    /**
+     * Bundles that include a product as one of their choices
+     */
+    getBundlesUsingProduct(productId) {
+        return this.dataManager.getProducts().filter(product =>
+            this.isBundle(product) &&
+            product.components.some(component => component.choices.some(choice => choice.productId === productId))
+        );
+    }
+
+    /**
+     * Chosen product for each bundle component
+     * Bundle selections are stored in the same options list as "componentId:choiceIndex" (default: first choice)
+     * @returns {Array} [{ component, choice, product, quantity }] - product is null if it was deleted
+     */
+    getBundleComponents(product, optionIds = []) {
+        const products = this.dataManager.viewKey('products') || [];
+
+        return (product.components || []).map(component => {
+            const picked = optionIds.find(id => id.startsWith(`${component.id}:`));
+            const index = picked ? parseInt(picked.slice(component.id.length + 1)) : 0;
+            const choice = component.choices[index] || component.choices[0];
+
+            return {
+                component,
+                choice,
+                product: products.find(p => p.id === choice.productId) || null,
+                quantity: component.quantity || 1
+            };
+        });
+    }
+
+    /**
+     * Short text for a selection, e.g. ["16oz", "Oat milk"] or, for bundles, ["Latte (16oz)", "Cookie"]
+     */
+    describeSelection(product, optionIds = []) {
+        if (!this.isBundle(product)) {
+            return this.getSelectedOptions(product, optionIds).map(({ option }) => option.name);
+        }
+
+        return this.getBundleComponents(product, optionIds).map(({ choice, quantity }) => {
+            const name = this.describeBundleChoice(choice);
+            return quantity > 1 ? `${quantity}× ${name}` : name;
+        });
+    }
+
+    /**
+     * Name of one bundle choice, e.g. "Latte (16oz)"
+     */
+    describeBundleChoice(choice) {
+        const chosen = (this.dataManager.viewKey('products') || []).find(p => p.id === choice.productId);
+        if (!chosen) return 'Unavailable';
+
+        const optionNames = this.describeSelection(chosen, choice.options);
+        return optionNames.length > 0 ? `${chosen.name} (${optionNames.join(', ')})` : chosen.name;
+    }
+
+    /**
+     * Whether a bundle choice's product still exists and is on sale
+     */
+    isChoiceAvailable(choice) {
+        const chosen = (this.dataManager.viewKey('products') || []).find(p => p.id === choice.productId);
+        return Boolean(chosen && chosen.active);
+    }
+
+    /**
+     * Chosen options of a product, in group order
+     * @param {Array} optionIds - Selected option ids
+     * @returns {Array} [{ group, option }]
+     */
+    getSelectedOptions(product, optionIds = []) {
+        const selected = [];
+        (product.modifierGroups || []).forEach(group => {
+            group.options.forEach(option => {
+                if (optionIds.includes(option.id)) selected.push({ group, option });
+            });
+        });
+        return selected;
+    }
+
+    /**
+     * Options pre-selected when ordering: the first option of every required single-select group
+     */
+    getDefaultOptions(product) {
+        if (this.isBundle(product)) {
+            return product.components.map(component =>
+                `${component.id}:${Math.max(component.choices.findIndex(choice => this.isChoiceAvailable(choice)), 0)}`);
+        }
+
+        return (product.modifierGroups || [])
+            .filter(group => group.required && group.selection === 'single' && group.options.length > 0)
+            .map(group => group.options[0].id);
+    }
+
+    /**
+     * Check a selection against the product's modifier groups
+     * @throws {Error} on unknown options, several picks in a single-select group, or a missing required group
+     */
+    validateOptions(product, optionIds = []) {
+        if (this.isBundle(product)) {
+            this.validateBundleChoices(product, optionIds);
+            return;
+        }
+
+        const groups = product.modifierGroups || [];
+        const known = new Set(groups.flatMap(group => group.options.map(option => option.id)));
+        if (optionIds.some(id => !known.has(id))) {
+            throw new Error(`${product.name}: option no longer available`);
+        }
+
+        groups.forEach(group => {
+            const picked = group.options.filter(option => optionIds.includes(option.id)).length;
+            if (group.selection === 'single' && picked > 1) {
+                throw new Error(`${product.name}: choose only one ${group.name}`);
+            }
+            if (group.required && picked === 0) {
+                throw new Error(`${product.name}: choose a ${group.name}`);
+            }
+        });
+    }
+
+    /**
+     * Check bundle choices: one valid choice per component, and each chosen product's fixed options
+     * @throws {Error}
+     */
+    validateBundleChoices(product, optionIds = []) {
+        product.components.forEach(component => {
+            const picked = optionIds.filter(id => id.startsWith(`${component.id}:`));
+            const index = picked.length > 0 ? parseInt(picked[0].slice(component.id.length + 1)) : 0;
+            if (picked.length > 1) {
+                throw new Error(`${product.name}: choose only one ${component.name}`);
+            }
+            if (!component.choices[index]) {
+                throw new Error(`${product.name}: ${component.name} choice no longer available`);
+            }
+        });
+
+        const componentIds = product.components.map(component => `${component.id}:`);
+        if (optionIds.some(id => !componentIds.some(prefix => id.startsWith(prefix)))) {
+            throw new Error(`${product.name}: option no longer available`);
+        }
+
+        this.getBundleComponents(product, optionIds).forEach(({ component, choice, product: chosen }) => {
+            if (!chosen) throw new Error(`${product.name}: ${component.name} product was deleted`);
+            if (!chosen.active) throw new Error(`${product.name}: ${chosen.name} is not available`);
+            if (this.isBundle(chosen)) throw new Error(`${product.name}: bundles can't contain bundles`);
+            this.validateOptions(chosen, choice.options);
+        });
+    }
+
+    /**
+     * Price of one item with its options
+     * Bundles sell at their own price, whatever is chosen
+     */
+    getUnitPrice(product, optionIds = []) {
+        return this.getSelectedOptions(product, optionIds)
+            .reduce((price, { option }) => price + (option.priceDelta || 0), product.sellingPrice);
+    }
+
+    /**
+     * Recipe for one item after applying its options' recipe changes
+     * - add: adds quantity of the ingredient
+     * - remove: takes away quantity (or all of it when no quantity is set)
+     * - substitute: swaps the ingredient for replacementId (same amount, or quantity if set)
+     * Bundles combine the resolved recipes of their chosen component products
+     * @returns {Array} [{ ingredientId, quantity }] in base units
+     */
+    resolveRecipe(product, optionIds = []) {
+        const amounts = new Map();
+
+        if (this.isBundle(product)) {
+            this.getBundleComponents(product, optionIds).forEach(({ choice, product: chosen, quantity }) => {
+                if (!chosen || this.isBundle(chosen)) return;
+                this.resolveRecipe(chosen, choice.options).forEach(item => {
+                    amounts.set(item.ingredientId, (amounts.get(item.ingredientId) || 0) + item.quantity * quantity);
+                });
+            });
+        }
+
+        product.recipe.forEach(item => {
+            amounts.set(item.ingredientId, (amounts.get(item.ingredientId) || 0) + item.quantity);
+        });
+
+        this.getSelectedOptions(product, optionIds).forEach(({ option }) => {
+            (option.recipeChanges || []).forEach(change => {
+                const current = amounts.get(change.ingredientId) || 0;
+
+                if (change.action === 'add') {
+                    amounts.set(change.ingredientId, current + change.quantity);
+                } else if (change.action === 'remove') {
+                    amounts.set(change.ingredientId, change.quantity > 0 ? Math.max(current - change.quantity, 0) : 0);
+                } else if (change.action === 'substitute' && current > 0) {
+                    amounts.set(change.ingredientId, 0);
+                    amounts.set(change.replacementId,
+                        (amounts.get(change.replacementId) || 0) + (change.quantity > 0 ? change.quantity : current));
+                }
+            });
+        });
+
+        return [...amounts.entries()]
+            .filter(([, quantity]) => quantity > 0)
+            .map(([ingredientId, quantity]) => ({ ingredientId, quantity }));
+    }
+
+    /**
+     * Sum ingredient requirements for a set of cart items
+     * Shared ingredients across products are aggregated
+     * Runs for every product on each cashier render, so it reads memory without copying
+     * @param {Array} items - [{ productId, quantity, options }]
+     * @returns {Object|null} ingredientId -> required quantity, null if a product is unavailable
+     */
+    getCartRequirements(items) {
+        const products = this.dataManager.viewKey('products') || [];
+        const requirements = {};
+
+        for (const item of items) {
+            const product = products.find(p => p.id === item.productId);
+            if (!product || !product.active) return null;
+            if (this.isBundle(product) &&
+                this.getBundleComponents(product, item.options).some(({ choice }) => !this.isChoiceAvailable(choice))) {
+                return null;
+            }
+
+            this.resolveRecipe(product, item.options).forEach(recipeItem => {
+                requirements[recipeItem.ingredientId] = (requirements[recipeItem.ingredientId] || 0)
+                    + (recipeItem.quantity * item.quantity);
+            });
+        }
+
+        return requirements;
+    }
+
+    /**
+     * Check if a whole cart can be sold against current stock
+     * @param {Array} items - [{ productId, quantity, options }]
+     */
+    canSellCart(items) {
+        const requirements = this.getCartRequirements(items);
+        if (!requirements) return false;
+
+        const ingredients = this.dataManager.viewKey('ingredients') || [];
+
+        for (const [ingredientId, requiredQty] of Object.entries(requirements)) {
+            const ingredient = ingredients.find(i => i.id === ingredientId);
+            if (!ingredient || ingredient.totalQuantity < requiredQty) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if a product can be sold (all ingredients available)
+     * Validates against what is already in the cart, since products share ingredients
+     * @param {string} productId - Product to check
+     * @param {number} quantity - Number of items to sell (default 1)
+     * @param {Array} cartItems - Items already in the cart (default empty)
+     * @param {Array} options - Chosen option ids (default: the product's default options)
+     */
+    canSellProduct(productId, quantity = 1, cartItems = [], options = null) {
+        if (options === null) {
+            const product = (this.dataManager.viewKey('products') || []).find(p => p.id === productId);
+            options = product ? this.getDefaultOptions(product) : [];
+        }
+        return this.canSellCart([...cartItems, { productId, quantity, options }]);
+    }
+
+    /**
+     * Check stock levels for a cart
+     * Returns warning info if stock is low but sale is still possible
+     * @param {Array} items - [{ productId, quantity, options }]
+     */
+    checkStockWarnings(items) {
+        const requirements = this.getCartRequirements(items);
+        if (!requirements) return null;
+
+        const products = this.dataManager.viewKey('products') || [];
+        const ingredients = this.dataManager.viewKey('ingredients') || [];
+        const warnings = [];
+
+        Object.entries(requirements).forEach(([ingredientId, requiredQty]) => {
+            const ingredient = ingredients.find(i => i.id === ingredientId);
+            if (!ingredient) return;
+
+            const remaining = ingredient.totalQuantity - requiredQty;
+
+            if (ingredient.lowStockThreshold && remaining <= ingredient.lowStockThreshold) {
+                // Estimate using the heaviest per-item usage among cart products
+                const perItem = Math.max(...items.map(item => {
+                    const product = products.find(p => p.id === item.productId);
+                    const recipeItem = this.resolveRecipe(product, item.options).find(r => r.ingredientId === ingredientId);
+                    return recipeItem ? recipeItem.quantity : 0;
+                }));
+
+                warnings.push({
+                    ingredientName: ingredient.name,
+                    remaining: remaining,
+                    unit: ingredient.unit,
+                    estimatedCupsLeft: Math.max(Math.floor(remaining / perItem), 0)
+                });
+            }
+        });
+
+        return warnings.length > 0 ? warnings : null;
+    }
+
+    // ========================================
+    // DISCOUNTS & PRICE OVERRIDES
+    // ========================================
+
+    /**
+     * Get configured discount presets (e.g. Senior/PWD 20%)
+     */
+    getDiscountPresets() {
+        return this.dataManager.getSettings().discountPresets;
+    }
+
+    /**
+     * Check a discount's type and value
+     * @param {Object} discount - { presetId, name, type: 'percent'|'fixed', value }
+     */
+    validateDiscount(discount) {
+        if (discount.type === 'percent') {
+            if (!(discount.value > 0 && discount.value <= 100)) {
+                throw new Error('Percentage discount must be between 0 and 100');
+            }
+        } else if (discount.type === 'fixed') {
+            if (!(discount.value > 0)) {
+                throw new Error('Discount amount must be greater than zero');
+            }
+        } else {
+            throw new Error('Unknown discount type');
+        }
+    }
+
+    /**
+     * Money taken off a base amount - never more than the base
+     * @param {number} units - Fixed discounts apply per unit on a line (₱20 off each); 1 for the order
+     */
+    getDiscountAmount(discount, base, units = 1) {
+        const roundMoney = value => Math.round(value * 100) / 100;
+        const amount = discount.type === 'percent' ? base * discount.value / 100 : discount.value * units;
+        return roundMoney(Math.min(amount, base));
+    }
+
+    /**
+     * Whether manual price overrides need the manager PIN
+     */
+    isManagerPinSet() {
+        return !!this.dataManager.getSettings().managerPinHash;
+    }
+
+    /**
+     * Check a manager PIN (anything passes when no PIN is set)
+     */
+    checkManagerPin(pin) {
+        const stored = this.dataManager.getSettings().managerPinHash;
+        return !stored || this.dataManager.hashPin(String(pin), stored.salt).hash === stored.hash;
+    }
+
+    /**
+     * Set the manager PIN (blank removes it)
+     * @throws {Error} unless it is 4-8 digits
+     */
+    setManagerPin(pin) {
+        const trimmed = String(pin).trim();
+        if (trimmed !== '' && !/^\d{4,8}$/.test(trimmed)) {
+            throw new Error('PIN must be 4-8 digits');
+        }
+
+        const settings = this.dataManager.getSettings();
+        settings.managerPinHash = trimmed ? this.dataManager.hashPin(trimmed) : null;
+        this.dataManager.saveSettings(settings);
+    }
+
+    // ========================================
+    // PROMOTIONS (time-based pricing)
+    // ========================================
+
+    /**
+     * Get configured promotions
+     * { id, name, type: 'percent'|'fixed'|'price', value, days[] (0 = Sunday; empty = every day),
+     *   startTime, endTime ('HH:MM'; blank = all day), productIds[], categories[] (both empty = whole menu), active }
+     */
+    getPromotions() {
+        const settings = this.dataManager.viewKey('settings');
+        return (settings && settings.promotions) || [];
+    }
+
+    /**
+     * Product categories in use, sorted
+     */
+    getProductCategories() {
+        const categories = this.dataManager.getProducts()
+            .map(product => (product.category || '').trim())
+            .filter(Boolean);
+        return [...new Set(categories)].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Check a promotion's rules
+     * @throws {Error} on a missing name, invalid value or incomplete time window
+     */
+    validatePromotion(promotion) {
+        if (!promotion.name || !promotion.name.trim()) {
+            throw new Error('Please enter a promotion name');
+        }
+
+        if (promotion.type === 'price') {
+            if (!(promotion.value >= 0)) {
+                throw new Error('Enter the promotional price');
+            }
+        } else {
+            this.validateDiscount(promotion);
+        }
+
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (!promotion.startTime && !promotion.endTime) return;
+        if (!timePattern.test(promotion.startTime || '') || !timePattern.test(promotion.endTime || '')) {
+            throw new Error('Enter both a start and end time, or leave both blank for all day');
+        }
+        if (promotion.startTime === promotion.endTime) {
+            throw new Error('Start and end time must be different');
+        }
+    }
+
+    /**
+     * Whether a promotion's day and time window includes a moment
+     * Windows past midnight (e.g. 22:00-02:00) wrap around and belong to the day they start on:
+     * Friday 22:00-02:00 also covers Saturday 00:00-02:00
+     */
+    isPromotionActive(promotion, date = new Date()) {
+        if (!promotion.active) return false;
+        const onDay = day => promotion.days.length === 0 || promotion.days.includes(day);
+        if (!promotion.startTime) return onDay(date.getDay());
+
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(promotion.startTime);
+        const end = toMinutes(promotion.endTime);
+
+        if (start < end) return onDay(date.getDay()) && now >= start && now < end;
+        if (now >= start) return onDay(date.getDay());
+        return now < end && onDay((date.getDay() + 6) % 7); // After midnight: started the day before
+    }
+
+    /**
+     * Promotions running at a moment (before product targeting)
+     */
+    getActivePromotions(date = new Date()) {
+        return this.getPromotions().filter(promotion => this.isPromotionActive(promotion, date));
+    }
+
+    /**
+     * Whether a promotion targets a product (by product or category)
+     */
+    promotionAppliesTo(promotion, product) {
+        if (promotion.productIds.length === 0 && promotion.categories.length === 0) return true;
+        return promotion.productIds.includes(product.id) ||
+            (!!product.category && promotion.categories.includes(product.category));
+    }
+
+    /**
+     * Best running promotion for a product at a unit price
+     * @returns {Object|null} { promotion, saving } - saving is per unit
+     */
+    getActivePromotion(product, unitPrice, date = new Date()) {
+        const roundMoney = value => Math.round(value * 100) / 100;
+        let best = null;
+
+        this.getActivePromotions(date)
+            .filter(promotion => this.promotionAppliesTo(promotion, product))
+            .forEach(promotion => {
+                const saving = promotion.type === 'percent' ? unitPrice * promotion.value / 100
+                    : promotion.type === 'fixed' ? promotion.value
+                    : unitPrice - promotion.value; // 'price' - promotional price, never a markup
+                const capped = roundMoney(Math.min(Math.max(saving, 0), unitPrice));
+                if (capped > 0 && (!best || capped > best.saving)) {
+                    best = { promotion, saving: capped };
+                }
+            });
+
+        return best;
+    }
+
+    /**
+     * Price a cart: price overrides or running promotions, then line discounts, then the order discount
+     * The order discount is shared across lines by their amount, so line totals always add up to the total
+     * @param {Array} items - [{ productId, quantity, options, priceOverride, managerPin, discount }] -
+     *   a price override needs the manager PIN when one is set
+     * @param {Object|null} orderDiscount - { presetId, name, type, value }
+     * @param {Date} date - When promotions are evaluated (default: now)
+     * @returns {Object} { lines[{ product, listPrice, unitPrice, gross, promotion, discount, orderDiscountShare, lineTotal }],
+     *   grossTotal, orderDiscount, promotionTotal, discountTotal, total } - discounts carry their computed amount;
+     *   discountTotal includes promotions
+     */
+    priceOrder(items, orderDiscount = null, date = new Date()) {
+        const roundMoney = value => Math.round(value * 100) / 100;
+        const products = this.dataManager.getProducts();
+
+        const lines = items.map(item => {
+            const product = products.find(p => p.id === item.productId);
+            if (!product) {
+                throw new Error('Product not found');
+            }
+
+            const listPrice = this.getUnitPrice(product, item.options);
+            const overridden = item.priceOverride !== undefined && item.priceOverride !== null;
+            if (overridden && !(item.priceOverride >= 0)) {
+                throw new Error(`Invalid price for ${product.name}`);
+            }
+            if (overridden && !this.checkManagerPin(item.managerPin)) {
+                throw new Error(`Manager PIN required to change the price of ${product.name}`);
+            }
+
+            const unitPrice = overridden ? roundMoney(item.priceOverride) : listPrice;
+            const gross = unitPrice * item.quantity;
+
+            // Promotions apply to menu prices - a manager override replaces them
+            const active = overridden ? null : this.getActivePromotion(product, listPrice, date);
+            const promotion = active ? {
+                promotionId: active.promotion.id,
+                name: active.promotion.name,
+                type: active.promotion.type,
+                value: active.promotion.value,
+                amount: roundMoney(active.saving * item.quantity)
+            } : null;
+            const afterPromotion = gross - (promotion ? promotion.amount : 0);
+
+            let discount = null;
+            if (item.discount) {
+                this.validateDiscount(item.discount);
+                discount = { ...item.discount, amount: this.getDiscountAmount(item.discount, afterPromotion, item.quantity) };
+            }
+
+            return {
+                product,
+                listPrice,
+                unitPrice,
+                gross,
+                promotion,
+                discount,
+                orderDiscountShare: 0,
+                lineTotal: afterPromotion - (discount ? discount.amount : 0)
+            };
+        });
+
+        let appliedOrderDiscount = null;
+        const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+        if (orderDiscount) {
+            this.validateDiscount(orderDiscount);
+            appliedOrderDiscount = { ...orderDiscount, amount: this.getDiscountAmount(orderDiscount, subtotal) };
+
+            lines.forEach(line => {
+                line.orderDiscountShare = subtotal > 0 ? roundMoney(appliedOrderDiscount.amount * line.lineTotal / subtotal) : 0;
+            });
+
+            // Rounding remainder goes to the largest line
+            const remainder = roundMoney(appliedOrderDiscount.amount - lines.reduce((sum, line) => sum + line.orderDiscountShare, 0));
+            if (remainder !== 0 && lines.length > 0) {
+                const largest = lines.reduce((max, line) => line.lineTotal > max.lineTotal ? line : max);
+                largest.orderDiscountShare = roundMoney(largest.orderDiscountShare + remainder);
+            }
+
+            lines.forEach(line => {
+                line.lineTotal -= line.orderDiscountShare;
+            });
+        }
+
+        const grossTotal = lines.reduce((sum, line) => sum + line.gross, 0);
+        const promotionTotal = roundMoney(lines.reduce((sum, line) => sum + (line.promotion ? line.promotion.amount : 0), 0));
+        const discountTotal = roundMoney(
+            promotionTotal +
+            lines.reduce((sum, line) => sum + (line.discount ? line.discount.amount : 0), 0) +
+            (appliedOrderDiscount ? appliedOrderDiscount.amount : 0)
+        );
+
+        return {
+            lines,
+            grossTotal,
+            orderDiscount: appliedOrderDiscount,
+            promotionTotal,
+            discountTotal,
+            total: roundMoney(grossTotal - discountTotal)
+        };
+    }
+
+    /**
+     * Process an order - SIMPLIFIED FOR CORRECT ACCOUNTING
+     * 
+     * Sales track: Revenue
+     * Inventory tracks: Quantities
+     * Accounting tracks: Fixed costs (separate)
+     * 
+     * CRITICAL: Sales only allowed during active event (unless demo mode)
+     * DEMO MODE: Sales tracked but inventory NOT affected
+     * 
+     * The whole cart is recorded as ONE sale with line items, so
+     * undo reverses the complete order.
+     * 
+     * @param {Array} items - [{ productId, quantity, options, priceOverride, managerPin, discount }] - options: chosen
+     *   modifier option ids; priceOverride: unit price, approved with managerPin when a PIN is set;
+     *   discount: { presetId, name, type, value }
+     * @param {Array} payments - [{ methodId, amount, tendered, reference }] (default: exact cash)
+     * @param {Object|null} orderDiscount - Discount on the whole order { presetId, name, type, value }
+     * @param {Date} pricedAt - When promotions are evaluated (the cashier passes when payment started)
+     */
+    processOrder(items, payments = null, orderDiscount = null, pricedAt = new Date()) {
+        // Check settings for demo mode
+        const settings = this.dataManager.getSettings();
+        const isDemoMode = settings.demoMode || false;
+        
+        // CRITICAL CHECK: Require active event for real sales (not demo)
+        const activeEvent = this.dataManager.getActiveEvent();
+        if (!isDemoMode && (!activeEvent || activeEvent.status !== 'active')) {
+            throw new Error('No active event. Please start an event before making sales.');
+        }
+
+        if (!items || items.length === 0) {
+            throw new Error('Cart is empty');
+        }
+
+        if (items.some(item => !(item.quantity >= 1))) {
+            throw new Error('Quantity must be at least 1');
+        }
+
+        const products = this.dataManager.getProducts();
+        items.forEach(item => {
+            const product = products.find(p => p.id === item.productId);
+            if (product) this.validateOptions(product, item.options);
+        });
+
+        if (!this.canSellCart(items)) {
+            throw new Error('Order cannot be completed - insufficient ingredients');
+        }
+
+        // Build line items
+        // unitCost is a snapshot for the optional COGS view - profit still uses fixed cost
+        // lineTotal is what the line actually brought in, after promotions, its discount and share of the order discount
+        const pricing = this.priceOrder(items, orderDiscount, pricedAt);
+        const lineItems = items.map((item, index) => {
+            const priced = pricing.lines[index];
+            const product = priced.product;
+            const productCost = this.getProductCost(product, item.options);
+            const line = {
+                productId: product.id,
+                productName: product.name,
+                options: this.getSelectedOptions(product, item.options).map(({ group, option }) => ({
+                    groupName: group.name,
+                    name: option.name,
+                    priceDelta: option.priceDelta || 0
+                })),
+                unitPrice: priced.unitPrice,
+                unitCost: productCost.complete ? productCost.cost : null,
+                quantity: item.quantity,
+                lineTotal: priced.lineTotal
+            };
+
+            if (item.priceOverride !== undefined && item.priceOverride !== null) {
+                line.listPrice = priced.listPrice; // Menu price before the manager override
+            }
+            if (priced.promotion) {
+                line.promotion = priced.promotion;
+            }
+            if (priced.discount) {
+                line.discount = priced.discount;
+            }
+            if (priced.orderDiscountShare > 0) {
+                line.orderDiscountShare = priced.orderDiscountShare;
+            }
+
+            if (this.isBundle(product)) {
+                const names = this.describeSelection(product, item.options);
+                line.options = product.components.map((component, i) => ({
+                    groupName: component.name,
+                    name: names[i],
+                    priceDelta: 0
+                }));
+                line.components = this.allocateBundleRevenue(product, item.options, line.lineTotal, item.quantity);
+            }
+            return line;
+        });
+        const orderTotal = pricing.total;
+
+        // Validate payments BEFORE touching stock
+        const paymentList = this.normalizePayments(payments, orderTotal);
+
+        // Stock deduction and sale record are saved together or not at all
+        return this.dataManager.transaction('sale', () => {
+            // Deduct stock ONLY if not demo mode
+            // Deductions are recorded on the sale so a void restores exactly what was taken
+            const deductions = [];
+            if (!isDemoMode) {
+                const requirements = this.getCartRequirements(items);
+                const ingredients = this.dataManager.getIngredients();
+
+                Object.entries(requirements).forEach(([ingredientId, requiredQty]) => {
+                    const ingredient = ingredients.find(i => i.id === ingredientId);
+                    ingredient.totalQuantity -= requiredQty;
+                    deductions.push({ ingredientId, quantity: requiredQty });
+                });
+                this.dataManager.saveIngredients(ingredients);
+            }
+
+            const sale = {
+                items: lineItems,
+                grossTotal: pricing.grossTotal,
+                discountTotal: pricing.discountTotal,
+                sellingPrice: orderTotal, // Net of discounts
+                quantity: lineItems.reduce((sum, line) => sum + line.quantity, 0),
+                paymentType: paymentList.length === 0 ? 'none' : paymentList.length === 1 ? paymentList[0].methodId : 'split',
+                payments: paymentList,
+                changeGiven: paymentList.reduce((sum, payment) => sum + (payment.change || 0), 0),
+                deductions: deductions,
+                eventId: activeEvent ? activeEvent.id : null,
+                isDemoMode: isDemoMode // Flag for separation
+            };
+            if (pricing.orderDiscount) {
+                sale.orderDiscount = pricing.orderDiscount;
+            }
+
+            const recorded = this.dataManager.recordSale(sale);
+            this.dataManager.logStockMovements(deductions.map(d => ({
+                ingredientId: d.ingredientId,
+                type: 'sale',
+                delta: -d.quantity,
+                saleId: recorded.id
+            })));
+            return recorded;
+        });
+    }
+
+    /**
+     * Get configured payment methods
+     */
+    getPaymentMethods() {
+        return this.dataManager.getSettings().paymentMethods;
+    }
+
+    /**
+     * Validate and normalize order payments
+     * - Payments must cover the order total exactly (split across methods allowed)
+     * - Cash payments may be overpaid via tendered amount; change is computed
+     * - Reference numbers are kept for e-wallet/card payments
+     * - A zero total (fully discounted) needs no payment
+     * 
+     * @param {Array|null} payments - [{ methodId, amount, tendered, reference }]
+     * @param {number} orderTotal - Amount due
+     */
+    normalizePayments(payments, orderTotal) {
+        const roundMoney = value => Math.round(value * 100) / 100;
+        const due = roundMoney(orderTotal);
+
+        // Fully discounted orders take no payment
+        if (due === 0) return [];
+
+        // Default: exact cash
+        if (!payments || payments.length === 0) {
+            payments = [{ methodId: 'cash', amount: due, tendered: due }];
+        }
+
+        const methods = this.getPaymentMethods();
+
+        const normalized = payments.map(payment => {
+            const method = methods.find(m => m.id === payment.methodId);
+            if (!method) {
+                throw new Error('Unknown payment method');
+            }
+
+            const amount = roundMoney(payment.amount);
+            if (isNaN(amount) || amount <= 0) {
+                throw new Error(`Enter an amount for ${method.name}`);
+            }
+
+            const entry = {
+                methodId: method.id,
+                methodName: method.name,
+                methodType: method.type,
+                amount: amount
+            };
+
+            if (method.type === 'cash') {
+                const tendered = payment.tendered !== undefined && payment.tendered !== null && payment.tendered !== ''
+                    ? roundMoney(payment.tendered)
+                    : amount;
+                if (isNaN(tendered) || tendered < amount) {
+                    throw new Error(`Cash tendered is less than ${method.name} amount`);
+                }
+                entry.tendered = tendered;
+                entry.change = roundMoney(tendered - amount);
+            } else if (payment.reference && payment.reference.trim() !== '') {
+                entry.reference = payment.reference.trim();
+            }
+
+            return entry;
+        });
+
+        const paid = roundMoney(normalized.reduce((sum, payment) => sum + payment.amount, 0));
+        if (paid !== due) {
+            throw new Error(`Payments (${paid.toFixed(2)}) must equal the order total (${due.toFixed(2)})`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Get totals per payment method
+     * Legacy sales without payments[] count as their paymentType (cash)
+     * @param {Array} sales - Sales to summarize (default: current valid sales)
+     */
+    getPaymentBreakdown(sales = this.getValidSales()) {
+        const methods = this.getPaymentMethods();
+        const breakdown = {};
+
+        sales.filter(sale => !sale.voided).forEach(sale => {
+            const payments = Array.isArray(sale.payments)
+                ? sale.payments
+                : [{ methodId: sale.paymentType || 'cash', amount: sale.sellingPrice }];
+
+            payments.forEach(payment => {
+                if (!breakdown[payment.methodId]) {
+                    const method = methods.find(m => m.id === payment.methodId);
+                    breakdown[payment.methodId] = {
+                        methodId: payment.methodId,
+                        methodName: payment.methodName || (method ? method.name : payment.methodId),
+                        count: 0,
+                        total: 0
+                    };
+                }
+                breakdown[payment.methodId].count += 1;
+                breakdown[payment.methodId].total += payment.amount;
+            });
+        });
+
+        return Object.values(breakdown).sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * Gross sales, discounts and net sales
+     * Gross = charged unit price × quantity (after any price override); Net = what was taken (sellingPrice)
+     * @param {Array} sales - Sales to summarize (default: current valid sales)
+     * @returns {Object} { grossSales, discounts, netSales, byDiscount[{ name, count, amount }],
+     *   byPromotion[{ promotionId, name, items, amount }], overrides{ count, amount } }
+     *   - discounts include promotions; overrides.amount is how far overridden prices were below the menu price
+     */
+    getDiscountSummary(sales = this.getValidSales()) {
+        const roundMoney = value => Math.round(value * 100) / 100;
+        const byDiscount = {};
+        const byPromotion = {};
+        const overrides = { count: 0, amount: 0 };
+        let grossSales = 0;
+        let netSales = 0;
+
+        const addDiscount = (name, amount) => {
+            byDiscount[name] = byDiscount[name] || { name, count: 0, amount: 0 };
+            byDiscount[name].count += 1;
+            byDiscount[name].amount += amount;
+        };
+
+        sales.filter(sale => !sale.voided).forEach(sale => {
+            this.getSaleItems(sale).forEach(line => {
+                grossSales += line.unitPrice * line.quantity;
+                if (line.discount) addDiscount(line.discount.name, line.discount.amount);
+                if (line.promotion) {
+                    const id = line.promotion.promotionId;
+                    byPromotion[id] = byPromotion[id] || { promotionId: id, name: line.promotion.name, items: 0, amount: 0 };
+                    byPromotion[id].items += line.quantity;
+                    byPromotion[id].amount += line.promotion.amount;
+                }
+                if (line.listPrice !== undefined) {
+                    overrides.count += 1;
+                    overrides.amount += (line.listPrice - line.unitPrice) * line.quantity;
+                }
+            });
+            if (sale.orderDiscount) addDiscount(`${sale.orderDiscount.name} (order)`, sale.orderDiscount.amount);
+            netSales += sale.sellingPrice;
+        });
+
+        return {
+            grossSales,
+            discounts: roundMoney(grossSales - netSales),
+            netSales,
+            byDiscount: Object.values(byDiscount).sort((a, b) => b.amount - a.amount),
+            byPromotion: Object.values(byPromotion).sort((a, b) => b.amount - a.amount),
+            overrides
+        };
+    }
+
+    /**
+     * Process a single-product sale
+     * @param {string} productId - Product to sell
+     * @param {number} quantity - Number of items (default 1)
+     */
+    processSale(productId, quantity = 1) {
+        return this.processOrder([{ productId, quantity }]);
+    }
+
+    /**
+     * Undo the last sale
+     * Voids the most recent non-voided sale (stock restored, record kept)
+     * Repeated undo walks back through earlier sales
+     * Handles both real and demo mode undo
+     */
+    undoLastSale() {
+        const settings = this.dataManager.getSettings();
+        const isDemoMode = settings.demoMode || false;
+        
+        // Get appropriate last sale based on mode
+        const lastSale = isDemoMode ? this.dataManager.getDemoLastSale() : this.dataManager.getLastSale();
+        
+        if (!lastSale) {
+            throw new Error('No sale to undo');
+        }
+
+        return this.voidSale(lastSale.id, 'Undo last sale', 'undo');
+    }
+
+    /**
+     * Void a sale from the current event
+     * Restores the ingredient quantities actually deducted at sale time
+     * and keeps the sale as a voided record (excluded from totals)
+     * 
+     * @param {string} saleId - Sale to void
+     * @param {string} reason - Why the sale was voided
+     * @param {string} movementType - Stock ledger type for the restored stock ('void', or 'undo' for undo last sale)
+     */
+    voidSale(saleId, reason, movementType = 'void') {
+        const settings = this.dataManager.getSettings();
+        const isDemoMode = settings.demoMode || false;
+
+        const sales = isDemoMode ? this.dataManager.getDemoSales() : this.dataManager.getSales();
+        const sale = sales.find(s => s.id === saleId);
+
+        if (!sale) {
+            throw new Error('Sale not found in current event');
+        }
+
+        if (sale.voided) {
+            throw new Error('Sale is already voided');
+        }
+
+        return this.dataManager.transaction('void', () => {
+            // Restore inventory ONLY if not demo mode
+            if (!isDemoMode) {
+                const ingredients = this.dataManager.getIngredients();
+                const restored = [];
+
+                this.getSaleDeductions(sale).forEach(deduction => {
+                    const ingredient = ingredients.find(i => i.id === deduction.ingredientId);
+                    if (ingredient) {
+                        ingredient.totalQuantity += deduction.quantity;
+                        restored.push(deduction);
+                    }
+                });
+                this.dataManager.saveIngredients(ingredients);
+
+                this.dataManager.logStockMovements(restored.map(d => ({
+                    ingredientId: d.ingredientId,
+                    type: movementType,
+                    delta: d.quantity,
+                    saleId: sale.id,
+                    note: reason || ''
+                })));
+            }
+
+            // Keep the record, flagged as voided
+            sale.voided = true;
+            sale.voidedAt = new Date().toISOString();
+            sale.voidReason = reason || '';
+
+            if (isDemoMode) {
+                this.dataManager.saveDemoSales(sales);
+            } else {
+                this.dataManager.saveSales(sales);
+            }
+
+            this.refreshLastSale(sales, isDemoMode);
+
+            return sale;
+        });
+    }
+
+    /**
+     * Get ingredient quantities deducted by a sale
+     * Sales record their deductions; legacy sales fall back to current recipes
+     */
+    getSaleDeductions(sale) {
+        if (Array.isArray(sale.deductions)) return sale.deductions;
+
+        const products = this.dataManager.getProducts();
+        const deductions = [];
+
+        this.getSaleItems(sale).forEach(line => {
+            const product = products.find(p => p.id === line.productId);
+            if (!product) return;
+
+            product.recipe.forEach(recipeItem => {
+                deductions.push({
+                    ingredientId: recipeItem.ingredientId,
+                    quantity: recipeItem.quantity * line.quantity
+                });
+            });
+        });
+
+        return deductions;
+    }
+
+    /**
+     * Point the undo record at the most recent non-voided sale
+     */
+    refreshLastSale(sales, isDemoMode) {
+        const remaining = sales.filter(s => !s.voided);
+        const latest = remaining[remaining.length - 1];
+
+        if (isDemoMode) {
+            latest ? this.dataManager.saveDemoLastSale(latest) : this.dataManager.clearDemoLastSale();
+        } else {
+            latest ? this.dataManager.saveLastSale(latest) : this.dataManager.clearLastSale();
+        }
+    }
+
+    /**
+     * Startup integrity check: detect and repair data left inconsistent by a crash
+     * (interrupted journaled operations are already completed by dataManager.init())
+     * @returns {Array} Descriptions of repairs made (empty if everything was consistent)
+     */
+    checkIntegrity() {
+        const repairs = [];
+
+        this.dataManager.transaction('repair', () => {
+            // Duplicate sale records (e.g. a sale written twice) - keep the latest copy
+            [
+                { label: 'sales', get: () => this.dataManager.getSales(), save: s => this.dataManager.saveSales(s) },
+                { label: 'demo sales', get: () => this.dataManager.getDemoSales(), save: s => this.dataManager.saveDemoSales(s) }
+            ].forEach(({ label, get, save }) => {
+                const sales = get();
+                const byId = new Map();
+                sales.forEach(sale => byId.set(sale.id, sale)); // First position, last copy wins
+                if (byId.size !== sales.length) {
+                    save([...byId.values()]);
+                    repairs.push(`Removed ${sales.length - byId.size} duplicate ${label}`);
+                }
+            });
+
+            // Event archived but never closed
+            const activeEvent = this.dataManager.getActiveEvent();
+            if (activeEvent && this.dataManager.getEventHistory().some(e => e.id === activeEvent.id)) {
+                this.dataManager.saveActiveEvent(null);
+                repairs.push(`Closed "${activeEvent.name}", which was already in event history`);
+            }
+
+            // Undo record must match the latest non-voided sale
+            [
+                { isDemoMode: false, sales: this.dataManager.getSales(), lastSale: this.dataManager.getLastSale() },
+                { isDemoMode: true, sales: this.dataManager.getDemoSales(), lastSale: this.dataManager.getDemoLastSale() }
+            ].forEach(({ isDemoMode, sales, lastSale }) => {
+                const remaining = sales.filter(s => !s.voided);
+                const latest = remaining[remaining.length - 1] || null;
+                if (JSON.stringify(latest) !== JSON.stringify(lastSale)) {
+                    this.refreshLastSale(sales, isDemoMode);
+                    repairs.push(`Fixed ${isDemoMode ? 'demo ' : ''}undo record`);
+                }
+            });
+        });
+
+        return repairs;
+    }
+
+    /**
+     * Get current sales for the active mode, excluding voided ones
+     */
+    getValidSales() {
+        const settings = this.dataManager.viewKey('settings') || {};
+        const sales = this.dataManager.viewKey(settings.demoMode ? 'demoSales' : 'sales') || [];
+        return sales.filter(sale => !sale.voided); // Records are read-only (not copied)
+    }
+
+    /**
+     * Get today's sales summary - CORRECT ACCOUNTING
+     * 
+     * Profit = Total Revenue - Fixed Event Cost
+     * NO per-unit cost calculation
+     * 
+     * Handles both real and demo sales separately
+     */
+    getSalesSummary() {
+        const settings = this.dataManager.getSettings();
+        const isDemoMode = settings.demoMode || false;
+        
+        // Get appropriate sales based on mode (voided sales excluded)
+        const sales = this.getValidSales();
+        const activeEvent = this.dataManager.getActiveEvent();
+        
+        // Calculate total revenue (handles batch sales with quantity)
+        const totalRevenue = sales.reduce((sum, sale) => {
+            return sum + sale.sellingPrice;
+        }, 0);
+        
+        // Get fixed cost from active event
+        const fixedCost = activeEvent ? activeEvent.fixedCost : 0;
+        const netProfit = totalRevenue - fixedCost;
+        
+        // Count total items sold (sum of quantities)
+        const itemsSold = sales.reduce((sum, sale) => sum + (sale.quantity || 1), 0);
+
+        return {
+            totalRevenue,
+            fixedCost,
+            netProfit,
+            itemsSold,
+            hasActiveEvent: activeEvent && activeEvent.status === 'active',
+            isDemoMode: isDemoMode
+        };
+    }
+
+    /**
+     * Split a bundle line's revenue across its component products
+     * Shares follow each component's standalone price (evenly if all are free)
+     * @returns {Array} [{ productId, productName, quantity, revenue }]
+     */
+    allocateBundleRevenue(product, optionIds, lineTotal, bundleQuantity) {
+        const components = this.getBundleComponents(product, optionIds).filter(c => c.product);
+        const weights = components.map(({ choice, product: chosen, quantity }) =>
+            this.getUnitPrice(chosen, choice.options) * quantity
+        );
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        return components.map(({ product: chosen, quantity }, i) => ({
+            productId: chosen.id,
+            productName: chosen.name,
+            quantity: quantity * bundleQuantity,
+            revenue: totalWeight > 0 ? lineTotal * (weights[i] / totalWeight) : lineTotal / components.length
+        }));
+    }
+
+    /**
+     * Unit cost of an ingredient from its batch purchase, or for prepared ingredients
+     * from the cost of its raw ingredients ÷ yield
+     * @returns {number|null} null when no batch cost is set (or a raw ingredient has none)
+     */
+    getUnitCost(ingredient) {
+        if (this.isPrepared(ingredient)) {
+            if (!(ingredient.prepYield > 0)) return null;
+
+            const ingredients = this.dataManager.getIngredients();
+            let batchCost = 0;
+            for (const item of ingredient.prepRecipe) {
+                const raw = ingredients.find(i => i.id === item.ingredientId);
+                const unitCost = this.isPrepared(raw) ? null : this.getUnitCost(raw);
+                if (unitCost === null) return null;
+                batchCost += unitCost * item.quantity;
+            }
+            return batchCost / ingredient.prepYield;
+        }
+
+        if (!ingredient || !(ingredient.batchCost >= 0) || !(ingredient.batchQuantity > 0)) {
+            return null;
+        }
+        return ingredient.batchCost / ingredient.batchQuantity;
+    }
+
+    /**
+     * Recipe cost and margin of one product (with its chosen options)
+     * @returns {Object} { cost, complete, margin, marginPercent, missing[] } -
+     *   cost sums the ingredients that have a unit cost; margin is null unless every ingredient does
+     */
+    getProductCost(product, optionIds = []) {
+        const ingredients = this.dataManager.getIngredients();
+        const missing = [];
+        let cost = 0;
+
+        this.resolveRecipe(product, optionIds).forEach(item => {
+            const ingredient = ingredients.find(i => i.id === item.ingredientId);
+            const unitCost = this.getUnitCost(ingredient);
+            if (unitCost === null) {
+                missing.push(ingredient ? ingredient.name : 'Unknown ingredient');
+            } else {
+                cost += unitCost * item.quantity;
+            }
+        });
+
+        const complete = missing.length === 0;
+        const price = this.getUnitPrice(product, optionIds);
+        const margin = complete ? price - cost : null;
+
+        return {
+            cost,
+            complete,
+            margin,
+            marginPercent: complete && price > 0 ? (margin / price) * 100 : null,
+            missing
+        };
+    }
+
+    /**
+     * Cost of goods sold view: Gross Profit = Revenue - COGS
+     * Uses the unitCost snapshotted at sale time, falling back to today's recipe cost for older sales
+     * @param {Array} sales - Sales to summarize (default: current valid sales)
+     * @returns {Object} { revenue, cogs, grossProfit, grossMargin, uncostedItems }
+     */
+    getCostOfGoodsSummary(sales = this.getValidSales()) {
+        const products = this.dataManager.getProducts();
+        let revenue = 0;
+        let cogs = 0;
+        let uncostedItems = 0;
+
+        sales.filter(sale => !sale.voided).forEach(sale => {
+            revenue += sale.sellingPrice;
+            this.getSaleItems(sale).forEach(line => {
+                let unitCost = line.unitCost;
+                if (unitCost === undefined) {
+                    const product = products.find(p => p.id === line.productId);
+                    const productCost = product ? this.getProductCost(product) : null;
+                    unitCost = productCost && productCost.complete ? productCost.cost : null;
+                }
+
+                if (unitCost === null) {
+                    uncostedItems += line.quantity;
+                } else {
+                    cogs += unitCost * line.quantity;
+                }
+            });
+        });
+
+        const grossProfit = revenue - cogs;
+        return {
+            revenue,
+            cogs,
+            grossProfit,
+            grossMargin: revenue > 0 ? (grossProfit / revenue) * 100 : null,
+            uncostedItems
+        };
+    }
+
+    /**
+     * Get sales breakdown by product
+     * FIXED: Properly counts batch sales with quantity > 1
+     * Multi-item orders are split into their line items
+     * Bundles count as themselves; their components are also attributed to the component products
+     * Handles both real and demo sales
+     * @param {Array} sales - Sales to summarize (default: current valid sales)
+     */
+    getSalesBreakdown(sales = this.getValidSales()) {
+        const breakdown = {};
+        const entry = (productId, productName) => {
+            if (!breakdown[productId]) {
+                breakdown[productId] = {
+                    productId,
+                    productName,
+                    count: 0,
+                    revenue: 0,
+                    bundleCount: 0,   // Sold inside bundles (attributed - not included in count/revenue)
+                    bundleRevenue: 0
+                };
+            }
+            return breakdown[productId];
+        };
+
+        sales.filter(sale => !sale.voided).forEach(sale => {
+            this.getSaleItems(sale).forEach(line => {
+                // Count actual items sold (sum of quantities)
+                const row = entry(line.productId, line.productName);
+                row.count += line.quantity;
+                row.revenue += line.lineTotal;
+
+                (line.components || []).forEach(component => {
+                    const componentRow = entry(component.productId, component.productName);
+                    componentRow.bundleCount += component.quantity;
+                    componentRow.bundleRevenue += component.revenue;
+                });
+            });
+        });
+
+        return Object.values(breakdown).sort((a, b) => b.revenue - a.revenue);
+    }
+
+    /**
+     * Get expected cash in the drawer for the active event
+     * Expected = Opening Float + Cash Sales + Cash In - Cash Out
+     * Only real (non-demo, non-voided) sales count
+     */
+    getCashDrawerSummary() {
+        const event = this.dataManager.getActiveEvent();
+        if (!event) return null;
+
+        const drawer = event.cashDrawer || { openingFloat: 0, movements: [] };
+        const sales = this.dataManager.getSales().filter(sale => !sale.voided);
+
+        const cashSales = sales.reduce((sum, sale) => {
+            if (!Array.isArray(sale.payments)) {
+                return sum + ((sale.paymentType || 'cash') === 'cash' ? sale.sellingPrice : 0);
+            }
+            return sum + sale.payments
+                .filter(payment => payment.methodType === 'cash')
+                .reduce((paid, payment) => paid + payment.amount, 0);
+        }, 0);
+
+        const cashIn = drawer.movements
+            .filter(m => m.type === 'in')
+            .reduce((sum, m) => sum + m.amount, 0);
+        const cashOut = drawer.movements
+            .filter(m => m.type === 'out')
+            .reduce((sum, m) => sum + m.amount, 0);
+
+        return {
+            openingFloat: drawer.openingFloat,
+            cashSales,
+            cashIn,
+            cashOut,
+            expectedCash: drawer.openingFloat + cashSales + cashIn - cashOut,
+            movements: drawer.movements
+        };
+    }
+
+    /**
+     * Reconcile a denomination count against expected drawer cash
+     * @param {Object} denominationCounts - denomination value -> number of bills/coins
+     */
+    reconcileCashCount(denominationCounts) {
+        const summary = this.getCashDrawerSummary();
+        const roundMoney = value => Math.round(value * 100) / 100;
+
+        const countedTotal = roundMoney(Object.entries(denominationCounts)
+            .reduce((sum, [value, count]) => sum + parseFloat(value) * count, 0));
+        const expectedCash = roundMoney(summary ? summary.expectedCash : 0);
+
+        return {
+            denominations: denominationCounts,
+            countedTotal,
+            expectedCash,
+            overShort: roundMoney(countedTotal - expectedCash), // Positive = over, negative = short
+            countedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Compare an archived event's starting and ending inventory
+     * Change includes restocks during the event, not only sales usage
+     */
+    getInventoryComparison(event) {
+        const starting = event.startingInventory || [];
+        const ending = event.endingInventory || [];
+        const ids = [...new Set([...starting, ...ending].map(i => i.id))];
+
+        return ids.map(id => {
+            const start = starting.find(i => i.id === id);
+            const end = ending.find(i => i.id === id);
+            const info = end || start;
+
+            return {
+                ingredientId: id,
+                name: info.name,
+                unit: info.unit,
+                starting: start ? start.totalQuantity : null,
+                ending: end ? end.totalQuantity : null,
+                change: (end ? end.totalQuantity : 0) - (start ? start.totalQuantity : 0)
+            };
+        });
+    }
+
+    /**
+     * Summarize one archived event from its salesLog
+     * Recomputed from sales so voided sales are excluded consistently
+     */
+    summarizeArchivedEvent(event) {
+        const sales = (event.salesLog || []).filter(sale => !sale.voided);
+        const summary = event.salesSummary; // Compacted events no longer have a salesLog
+        const revenue = summary ? event.totalRevenue : sales.reduce((sum, sale) => sum + sale.sellingPrice, 0);
+        const itemsSold = summary ? event.itemsSold : sales.reduce((sum, sale) => sum + (sale.quantity || 1), 0);
+        const orders = summary ? summary.orders : sales.length;
+
+        return {
+            id: event.id,
+            name: event.name,
+            startTime: event.startTime,
+            revenue,
+            fixedCost: event.fixedCost,
+            profit: revenue - event.fixedCost,
+            itemsSold,
+            orders,
+            averageTicket: orders > 0 ? revenue / orders : 0
+        };
+    }
+
+    /**
+     * Precompute everything reports need from an archived event's salesLog,
+     * so the log itself can be pruned
+     */
+    summarizeEventSales(event) {
+        const sales = (event.salesLog || []).filter(sale => !sale.voided);
+
+        return {
+            compactedAt: new Date().toISOString(),
+            orders: sales.length,
+            transactions: (event.salesLog || []).length,
+            products: this.getSalesBreakdown(sales),
+            payments: this.getPaymentBreakdown(sales),
+            discounts: this.getDiscountSummary(sales),
+            hours: this.getHourlyActivity(sales)
+        };
+    }
+
+    /**
+     * Group sales by day of week and hour (only slots with sales)
+     * @returns {Array} [{ day, hour, items, revenue, orders }]
+     */
+    getHourlyActivity(sales) {
+        const hours = {};
+
+        sales.filter(sale => !sale.voided).forEach(sale => {
+            const date = new Date(sale.timestamp);
+            const key = `${date.getDay()}-${date.getHours()}`;
+            hours[key] = hours[key] || { day: date.getDay(), hour: date.getHours(), items: 0, revenue: 0, orders: 0 };
+            hours[key].items += sale.quantity || 1;
+            hours[key].revenue += sale.sellingPrice;
+            hours[key].orders += 1;
+        });
+
+        return Object.values(hours);
+    }
+
+    /**
+     * Sales by product for an archived event (compacted or not)
+     */
+    getArchivedSalesBreakdown(event) {
+        return event.salesSummary ? event.salesSummary.products : this.getSalesBreakdown(event.salesLog || []);
+    }
+
+    /**
+     * Payments by method for an archived event (compacted or not)
+     */
+    getArchivedPaymentBreakdown(event) {
+        return event.salesSummary ? event.salesSummary.payments : this.getPaymentBreakdown(event.salesLog || []);
+    }
+
+    /**
+     * Gross / discounts / net for an archived event (null if compacted before discounts were summarized)
+     */
+    getArchivedDiscountSummary(event) {
+        if (event.salesSummary) {
+            const discounts = event.salesSummary.discounts;
+            // Summaries compacted before promotions existed have no byPromotion
+            return discounts ? { byPromotion: [], ...discounts } : null;
+        }
+        return this.getDiscountSummary(event.salesLog || []);
+    }
+
+    /**
+     * Archived events eligible for compaction: all but the latest N that still have a salesLog
+     */
+    getCompactableEvents(keepLatest) {
+        return this.dataManager.getEventHistory()
+            .slice()
+            .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+            .slice(keepLatest)
+            .filter(event => !event.salesSummary);
+    }
+
+    /**
+     * Prune salesLog of the given archived events, keeping report summaries
+     * Export them with dataManager.exportEventArchive() first
+     */
+    compactEventHistory(eventIds) {
+        const summaries = {};
+        this.dataManager.getEventHistory()
+            .filter(event => eventIds.includes(event.id) && !event.salesSummary)
+            .forEach(event => {
+                summaries[event.id] = this.summarizeEventSales(event);
+            });
+
+        this.dataManager.compactArchivedEvents(summaries);
+        return Object.keys(summaries).length;
+    }
+
+    /**
+     * Get per-event trend data across archived events (oldest first)
+     */
+    getEventTrends() {
+        return this.dataManager.getEventHistory()
+            .slice()
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+            .map(event => this.summarizeArchivedEvent(event));
+    }
+
+    /**
+     * Get best-selling products across all archived events
+     * Grouped by product id, so a renamed product stays one row (shown under its latest name)
+     * @param {number} limit - Max products to return
+     */
+    getTopProductsAcrossEvents(limit = 10) {
+        const totals = {};
+        const history = this.dataManager.getEventHistory()
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+        history.forEach(event => {
+            this.getArchivedSalesBreakdown(event).forEach(item => {
+                const key = this.getBreakdownKey(item);
+                totals[key] = totals[key] || { productId: item.productId, count: 0, revenue: 0 };
+                totals[key].productName = item.productName; // Oldest event first, so the latest name wins
+                totals[key].count += item.count;
+                totals[key].revenue += item.revenue;
+            });
+        });
+
+        return this.withCurrentProductNames(Object.values(totals))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * Group key for a product breakdown row
+     * Summaries compacted before rows carried productId fall back to the name
+     */
+    getBreakdownKey(item) {
+        return item.productId || item.productName;
+    }
+
+    /**
+     * Show products that still exist under their current name (they may have been renamed since)
+     */
+    withCurrentProductNames(rows) {
+        const products = this.dataManager.viewKey('products') || [];
+        return rows.map(row => {
+            const product = row.productId && products.find(p => p.id === row.productId);
+            return product ? { ...row, productName: product.name } : row;
+        });
+    }
+
+    /**
+     * Compare two archived events side by side
+     * @returns {Object|null} { a, b, products: [{ productId, productName, a: {count, revenue}, b: {count, revenue} }] }
+     */
+    compareEvents(eventIdA, eventIdB) {
+        const history = this.dataManager.getEventHistory();
+        const eventA = history.find(e => e.id === eventIdA);
+        const eventB = history.find(e => e.id === eventIdB);
+        if (!eventA || !eventB) return null;
+
+        const breakdownA = this.getArchivedSalesBreakdown(eventA);
+        const breakdownB = this.getArchivedSalesBreakdown(eventB);
+        const keys = [...new Set([...breakdownA, ...breakdownB].map(item => this.getBreakdownKey(item)))];
+        const bIsLater = new Date(eventB.startTime) >= new Date(eventA.startTime);
+        const empty = { count: 0, revenue: 0 };
+
+        const products = keys.map(key => {
+            const a = breakdownA.find(item => this.getBreakdownKey(item) === key);
+            const b = breakdownB.find(item => this.getBreakdownKey(item) === key);
+            const latest = bIsLater ? (b || a) : (a || b);
+            return { productId: latest.productId, productName: latest.productName, a: a || empty, b: b || empty };
+        });
+
+        return {
+            a: this.summarizeArchivedEvent(eventA),
+            b: this.summarizeArchivedEvent(eventB),
+            products: this.withCurrentProductNames(products)
+        };
+    }
+
+    /**
+     * Get sales grouped into time buckets (for staffing/prep planning)
+     * Empty buckets between the first and last sale are included
+     * @param {number} bucketMinutes - 15, 30 or 60
+     * @param {Array} sales - Sales to bucket (default: current valid sales)
+     * @returns {Array} [{ start, items, revenue, orders }]
+     */
+    getSalesTimeline(bucketMinutes = 60, sales = this.getValidSales()) {
+        const validSales = sales.filter(sale => !sale.voided);
+        if (validSales.length === 0) return [];
+
+        const bucketMs = bucketMinutes * 60000;
+        const times = validSales.map(sale => new Date(sale.timestamp).getTime());
+
+        // Align to local clock boundaries (e.g. 14:00, 14:15)
+        const firstSale = new Date(Math.min(...times));
+        firstSale.setMinutes(Math.floor(firstSale.getMinutes() / bucketMinutes) * bucketMinutes, 0, 0);
+        const first = firstSale.getTime();
+        const last = Math.max(...times);
+
+        const buckets = [];
+        for (let start = first; start <= last; start += bucketMs) {
+            buckets.push({ start: new Date(start).toISOString(), items: 0, revenue: 0, orders: 0 });
+        }
+
+        validSales.forEach((sale, index) => {
+            const bucket = buckets[Math.floor((times[index] - first) / bucketMs)];
+            bucket.items += sale.quantity || 1;
+            bucket.revenue += sale.sellingPrice;
+            bucket.orders += 1;
+        });
+
+        return buckets;
+    }
+
+    /**
+     * Get day-of-week × hour activity across archived events
+     * @returns {Object} { cells[day][hour] = { items, revenue, orders }, maxRevenue }
+     */
+    getPeakHourHeatmap() {
+        const cells = Array.from({ length: 7 }, () =>
+            Array.from({ length: 24 }, () => ({ items: 0, revenue: 0, orders: 0 }))
+        );
+        let maxRevenue = 0;
+
+        this.dataManager.getEventHistory().forEach(event => {
+            const hours = event.salesSummary
+                ? event.salesSummary.hours
+                : this.getHourlyActivity(event.salesLog || []);
+
+            hours.forEach(slot => {
+                const cell = cells[slot.day][slot.hour];
+                cell.items += slot.items;
+                cell.revenue += slot.revenue;
+                cell.orders += slot.orders;
+                maxRevenue = Math.max(maxRevenue, cell.revenue);
+            });
+        });
+
+        return { cells, maxRevenue };
+    }
+
+    /**
+     * Record waste or a comp: deduct stock and log why
+     * Demo mode logs it without touching stock, like a demo sale
+     * @param {Object} data - { kind: 'product' | 'ingredient', itemId, options, quantity, reason, recordedBy, note } -
+     *   options: the product's chosen option ids (default: its default options)
+     */
+    recordWaste(data) {
+        const quantity = parseFloat(data.quantity);
+        if (!(quantity > 0)) {
+            throw new Error('Quantity must be greater than zero');
+        }
+        if (!this.wasteReasons.some(r => r.id === data.reason)) {
+            throw new Error('Choose a reason');
+        }
+        if (!data.recordedBy || !data.recordedBy.trim()) {
+            throw new Error('Enter who is recording this');
+        }
+
+        const isDemoMode = this.dataManager.getSettings().demoMode || false;
+        let item;
+        let unit;
+        let options = [];
+        let requirements;
+
+        if (data.kind === 'product') {
+            item = this.dataManager.getProducts().find(p => p.id === data.itemId);
+            if (!item) throw new Error('Product not found');
+            unit = 'pcs';
+            requirements = {};
+            // As picked in the waste modal, else the defaults (first size, first bundle choice)
+            options = data.options || this.getDefaultOptions(item);
+            this.validateOptions(item, options);
+            this.resolveRecipe(item, options).forEach(r => {
+                requirements[r.ingredientId] = (requirements[r.ingredientId] || 0) + r.quantity * quantity;
+            });
+        } else {
+            item = this.dataManager.getIngredients().find(i => i.id === data.itemId);
+            if (!item) throw new Error('Ingredient not found');
+            unit = item.unit;
+            requirements = { [item.id]: quantity };
+        }
+
+        const ingredients = this.dataManager.getIngredients();
+        Object.entries(requirements).forEach(([ingredientId, needed]) => {
+            const ingredient = ingredients.find(i => i.id === ingredientId);
+            if (!ingredient || ingredient.totalQuantity < needed) {
+                throw new Error(`Not enough ${ingredient ? ingredient.name : 'stock'} to record this waste`);
+            }
+        });
+
+        const reasonLabel = this.wasteReasons.find(r => r.id === data.reason).label;
+        const activeEvent = this.dataManager.getActiveEvent();
+
+        return this.dataManager.transaction('waste', () => {
+            // Deduct stock ONLY if not demo mode
+            if (!isDemoMode) {
+                Object.entries(requirements).forEach(([ingredientId, needed]) => {
+                    this.dataManager.adjustIngredientStock(ingredientId, -needed, 'waste', {
+                        note: `${reasonLabel}: ${quantity} ${unit} ${item.name}`
+                    });
+                });
+            }
+
+            return this.dataManager.addWasteRecord({
+                kind: data.kind,
+                itemId: item.id,
+                itemName: item.name,
+                options: data.kind === 'product' ? this.describeSelection(item, options) : [],
+                quantity,
+                unit,
+                reason: data.reason,
+                recordedBy: data.recordedBy.trim(),
+                note: data.note || '',
+                deductions: isDemoMode ? [] : Object.entries(requirements).map(([ingredientId, qty]) => ({ ingredientId, quantity: qty })),
+                estimatedValue: this.estimateWasteValue(data.kind, item, quantity, options),
+                eventId: activeEvent ? activeEvent.id : null,
+                isDemoMode
+            });
+        });
+    }
+
+    /**
+     * Estimated value of wasted stock, at cost
+     * Products: recipe cost with the given options. Ingredients: unit cost.
+     * @returns {number|null} null unless every ingredient involved has a batch cost
+     */
+    estimateWasteValue(kind, item, quantity, options = []) {
+        if (kind === 'product') {
+            const productCost = this.getProductCost(item, options);
+            return productCost.complete ? productCost.cost * quantity : null;
+        }
+
+        const unitCost = this.getUnitCost(item);
+        return unitCost === null ? null : unitCost * quantity;
+    }
+
+    /**
+     * Waste totals for an event (default: active event, or records outside any event)
+     * @returns {Object} { records, count, totalValue, unvalued, byReason[], byItem[] }
+     */
+    getWasteSummary(eventId = undefined) {
+        if (eventId === undefined) {
+            const activeEvent = this.dataManager.getActiveEvent();
+            eventId = activeEvent ? activeEvent.id : null;
+        }
+
+        // Demo waste only shows in demo mode, and real waste only outside it (same as sales)
+        const isDemoMode = this.dataManager.getSettings().demoMode || false;
+        const records = this.dataManager.getWasteLog(eventId).filter(record => Boolean(record.isDemoMode) === isDemoMode);
+        const byReason = {};
+        const byItem = {};
+
+        records.forEach(record => {
+            const reason = this.wasteReasons.find(r => r.id === record.reason);
+            byReason[record.reason] = byReason[record.reason]
+                || { reason: record.reason, label: reason ? reason.label : record.reason, count: 0, value: 0 };
+            byReason[record.reason].count += 1;
+            byReason[record.reason].value += record.estimatedValue || 0;
+
+            const key = `${record.kind}:${record.itemId}`;
+            byItem[key] = byItem[key]
+                || { name: record.itemName, kind: record.kind, unit: record.unit, quantity: 0, value: 0 };
+            byItem[key].quantity += record.quantity;
+            byItem[key].value += record.estimatedValue || 0;
+        });
+
+        return {
+            records,
+            count: records.length,
+            totalValue: records.reduce((sum, r) => sum + (r.estimatedValue || 0), 0),
+            unvalued: records.filter(r => r.estimatedValue === null || r.estimatedValue === undefined).length,
+            byReason: Object.values(byReason).sort((a, b) => b.value - a.value),
+            byItem: Object.values(byItem).sort((a, b) => b.value - a.value)
+        };
+    }
+
+    /**
+     * Record a restock: add what was bought to stock and save one purchase record per ingredient
+     * Purchases with a cost also become the ingredient's batch cost (latest purchase price)
+     * @param {Array} lines - [{ ingredientId, quantity, unit, cost, supplier }] - quantity in unit (default: base unit)
+     * @param {Object} details - { date: 'YYYY-MM-DD', addToEventCost } - addToEventCost adds the
+     *   spend to the active event's fixed cost so profit reflects mid-event purchases
+     * @returns {Object} { records, totalCost }
+     */
+    recordPurchases(lines, details = {}) {
+        const ingredients = this.dataManager.getIngredients();
+        const activeEvent = this.dataManager.getActiveEvent();
+
+        if (!details.date || isNaN(new Date(details.date).getTime())) {
+            throw new Error('Enter the purchase date');
+        }
+        if (details.addToEventCost && !activeEvent) {
+            throw new Error('No active event to add the cost to');
+        }
+
+        const records = lines.map(line => {
+            const ingredient = ingredients.find(i => i.id === line.ingredientId);
+            if (!ingredient) throw new Error('Ingredient not found');
+
+            const quantity = parseFloat(line.quantity);
+            const cost = line.cost === '' || line.cost === undefined ? 0 : parseFloat(line.cost);
+            if (isNaN(quantity) || quantity <= 0) {
+                throw new Error(`Enter a valid quantity for ${ingredient.name}`);
+            }
+            if (isNaN(cost) || cost < 0) {
+                throw new Error(`Enter a valid cost for ${ingredient.name}`);
+            }
+
+            const record = {
+                ingredientId: ingredient.id,
+                ingredientName: ingredient.name,
+                unit: ingredient.unit,
+                quantity: this.toBaseQuantity(quantity, line.unit, ingredient),
+                cost,
+                supplier: (line.supplier || '').trim(),
+                date: details.date,
+                eventId: activeEvent ? activeEvent.id : null,
+                addedToEventCost: !!details.addToEventCost
+            };
+
+            // Keep the purchase unit as bought (e.g. 2 carton) alongside the base quantity
+            if (line.unit && line.unit !== ingredient.unit) {
+                record.purchaseQuantity = quantity;
+                record.purchaseUnit = line.unit;
+                record.purchaseUnitLabel = this.getUnitLabel(line.unit, ingredient);
+            }
+            return record;
+        });
+
+        if (records.length === 0) {
+            throw new Error('Enter at least one purchased quantity');
+        }
+
+        const totalCost = records.reduce((sum, r) => sum + r.cost, 0);
+
+        return this.dataManager.transaction('restock', () => {
+            records.forEach(record => {
+                this.dataManager.adjustIngredientStock(record.ingredientId, record.quantity, 'restock', {
+                    note: record.supplier ? `Purchased from ${record.supplier}` : 'Purchased'
+                });
+                if (record.cost > 0) {
+                    this.dataManager.updateIngredient(record.ingredientId, {
+                        batchCost: record.cost,
+                        batchQuantity: record.quantity
+                    });
+                }
+            });
+
+            if (details.addToEventCost) {
+                const event = this.dataManager.getActiveEvent();
+                event.fixedCost += totalCost;
+                this.dataManager.saveActiveEvent(event);
+            }
+
+            return { records: this.dataManager.addPurchases(records), totalCost };
+        });
+    }
+
+    /**
+     * Commit a physical count: adjust every counted ingredient to what was counted
+     * and save one reconciliation record (attached to the active event)
+     * @param {Object} counts - { ingredientId: countedQuantity } (uncounted ingredients are left alone)
+     * @param {Object} details - { countedBy, note }
+     */
+    reconcileStocktake(counts, details = {}) {
+        const ingredients = this.dataManager.getIngredients();
+        const lines = Object.entries(counts).map(([ingredientId, value]) => {
+            const ingredient = ingredients.find(i => i.id === ingredientId);
+            if (!ingredient) throw new Error('Ingredient not found');
+
+            const counted = parseFloat(value);
+            if (isNaN(counted) || counted < 0) {
+                throw new Error(`Enter a valid count for ${ingredient.name}`);
+            }
+
+            return {
+                ingredientId,
+                ingredientName: ingredient.name,
+                unit: ingredient.unit,
+                expected: ingredient.totalQuantity,
+                counted,
+                variance: counted - ingredient.totalQuantity
+            };
+        });
+
+        if (lines.length === 0) {
+            throw new Error('Enter at least one counted quantity');
+        }
+
+        const activeEvent = this.dataManager.getActiveEvent();
+
+        return this.dataManager.transaction('stocktake', () => {
+            lines.filter(line => line.variance !== 0).forEach(line => {
+                this.dataManager.adjustIngredientStock(line.ingredientId, line.variance, 'stocktake', {
+                    note: `Counted ${line.counted} ${line.unit}`
+                });
+            });
+
+            return this.dataManager.addStocktake({
+                countedBy: (details.countedBy || '').trim(),
+                note: details.note || '',
+                eventId: activeEvent ? activeEvent.id : null,
+                lines
+            });
+        });
+    }
+
+    /**
+     * Get low stock ingredients
+     * Inventory tracking is PURELY operational - NOT for costing
+     */
+    getLowStockIngredients() {
+        const ingredients = this.dataManager.getIngredients();
+        return ingredients.filter(i => 
+            i.lowStockThreshold && i.totalQuantity <= i.lowStockThreshold
+        );
+    }
+}
+
+// ========================================
+// CHARTS (drawn locally - no CDN, works offline)
+// ========================================
+
+class ChartRenderer {
+    /**
+     * Vertical bar chart as inline SVG
+     * Supports negative values (e.g. losses) with a zero baseline
+     * @param {Array} points - [{ label, value }]
+     * @param {Object} options - { formatValue, color, negativeColor }
+     */
+    barChart(points, options = {}) {
+        if (points.length === 0) {
+            return '<p class="empty-hint">Not enough data yet</p>';
+        }
+
+        const formatValue = options.formatValue || (value => value);
+        const color = options.color || 'var(--primary)';
+        const negativeColor = options.negativeColor || 'var(--danger)';
+
+        const width = 600;
+        const height = 220;
+        const padTop = 20;
+        const padBottom = 40;
+        const chartHeight = height - padTop - padBottom;
+
+        const max = Math.max(0, ...points.map(p => p.value));
+        const min = Math.min(0, ...points.map(p => p.value));
+        const range = (max - min) || 1;
+        const scale = value => padTop + ((max - value) / range) * chartHeight;
+        const zeroY = scale(0);
+
+        const slot = width / points.length;
+        const barWidth = Math.min(slot * 0.6, 60);
+
+        // Dense charts (e.g. 15-min buckets) skip labels so they stay readable
+        const showValues = points.length <= 16;
+        const labelEvery = Math.ceil(points.length / 12);
+
+        const bars = points.map((point, index) => {
+            const x = index * slot + (slot - barWidth) / 2;
+            const y = point.value >= 0 ? scale(point.value) : zeroY;
+            const barHeight = Math.max(Math.abs(scale(point.value) - zeroY), 1);
+            const labelY = point.value >= 0 ? y - 4 : y + barHeight + 12;
+            const label = point.label.length > 12 ? point.label.slice(0, 11) + '…' : point.label;
+
+            return `
+                <g>
+                    <title>${point.label}: ${formatValue(point.value)}</title>
+                    <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="4"
+                          style="fill: ${point.value >= 0 ? color : negativeColor};"></rect>
+                    ${showValues ? `<text x="${x + barWidth / 2}" y="${labelY}" text-anchor="middle" class="chart-value">${formatValue(point.value)}</text>` : ''}
+                    ${index % labelEvery === 0 ? `<text x="${index * slot + slot / 2}" y="${height - padBottom + 16}" text-anchor="middle" class="chart-label">${label}</text>` : ''}
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">
+                <line x1="0" y1="${zeroY}" x2="${width}" y2="${zeroY}" class="chart-axis"></line>
+                ${bars}
+            </svg>
+        `;
+    }
+
+    /**
+     * Horizontal bar list (HTML) for ranked items
+     * @param {Array} points - [{ label, value, detail }]
+     * @param {Object} options - { formatValue }
+     */
+    rankedBars(points, options = {}) {
+        if (points.length === 0) {
+            return '<p class="empty-hint">Not enough data yet</p>';
+        }
+
+        const formatValue = options.formatValue || (value => value);
+        const max = Math.max(...points.map(p => p.value)) || 1;
+
+        return points.map(point => `
+            <div class="ranked-bar">
+                <div class="ranked-bar-header">
+                    <span class="breakdown-name">${point.label}</span>
+                    <span class="breakdown-stats">${formatValue(point.value)}${point.detail ? ` · ${point.detail}` : ''}</span>
+                </div>
+                <div class="ranked-bar-track">
+                    <div class="ranked-bar-fill" style="width: ${(point.value / max) * 100}%;"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Paired horizontal bars (HTML) comparing two series per label
+     * @param {Array} rows - [{ label, a, b }]
+     * @param {Object} options - { formatValue, labelA, labelB }
+     */
+    pairedBars(rows, options = {}) {
+        if (rows.length === 0) {
+            return '<p class="empty-hint">Not enough data yet</p>';
+        }
+
+        const formatValue = options.formatValue || (value => value);
+        const max = Math.max(...rows.map(r => Math.max(r.a, r.b))) || 1;
+
+        return `
+            <div class="chart-legend">
+                <span><i class="legend-swatch a"></i>${options.labelA || 'A'}</span>
+                <span><i class="legend-swatch b"></i>${options.labelB || 'B'}</span>
+            </div>
+            ${rows.map(row => `
+                <div class="ranked-bar">
+                    <div class="ranked-bar-header">
+                        <span class="breakdown-name">${row.label}</span>
+                        <span class="breakdown-stats">${formatValue(row.a)} vs ${formatValue(row.b)}</span>
+                    </div>
+                    <div class="ranked-bar-track"><div class="ranked-bar-fill a" style="width: ${(row.a / max) * 100}%;"></div></div>
+                    <div class="ranked-bar-track"><div class="ranked-bar-fill b" style="width: ${(row.b / max) * 100}%;"></div></div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Day-of-week × hour heatmap (HTML grid)
+     * Only the range of hours that has any activity is shown
+     * @param {Object} heatmap - { cells[day][hour] = { revenue, items }, maxRevenue }
+     * @param {Object} options - { formatValue }
+     */
+    heatmap(heatmap, options = {}) {
+        if (heatmap.maxRevenue === 0) {
+            return '<p class="empty-hint">Not enough data yet</p>';
+        }
+
+        const formatValue = options.formatValue || (value => value);
+        const dayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+        const activeHours = [];
+        heatmap.cells.forEach(day => day.forEach((cell, hour) => {
+            if (cell.orders > 0) activeHours.push(hour);
+        }));
+        const firstHour = Math.min(...activeHours);
+        const lastHour = Math.max(...activeHours);
+        const hours = Array.from({ length: lastHour - firstHour + 1 }, (_, i) => firstHour + i);
+
+        return `
+            <div class="heatmap" style="grid-template-columns: 3rem repeat(${hours.length}, minmax(1.75rem, 1fr));">
+                <div></div>
+                ${hours.map(hour => `<div class="heatmap-hour">${hour}</div>`).join('')}
+                ${heatmap.cells.map((day, dayIndex) => `
+                    <div class="heatmap-day">${dayLabels[dayIndex]}</div>
+                    ${hours.map(hour => {
+                        const cell = day[hour];
+                        const intensity = cell.revenue / heatmap.maxRevenue;
+                        return `
+                            <div class="heatmap-cell" style="opacity: ${cell.orders > 0 ? 0.15 + intensity * 0.85 : 0.05};"
+                                 title="${dayLabels[dayIndex]} ${hour}:00 - ${formatValue(cell.revenue)}, ${cell.items} items"></div>
+                        `;
+                    }).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+}
+
+// ========================================
+// UI MANAGER
+// ========================================
+
+class UIManager {
+    constructor(dataManager, businessLogic) {
+        this.dataManager = dataManager;
+        this.businessLogic = businessLogic;
+        this.currentScreen = 'cashier';
+        this.editingIngredient = null;
+        this.editingProduct = null;
+        this.cart = []; // [{ productId, quantity, options, discount, priceOverride, managerPin }] - current order being built
+        this.orderDiscount = null; // Discount on the whole order { presetId, name, type, value }
+        this.discountTarget = null; // Cart line key (or 'order') being discounted in the discount modal
+        this.showAllTransactions = false;
+        this.viewingEventId = null; // Archived event open in the detail view
+        this.pendingImport = null;  // Validated backup awaiting confirmation
+        this.charts = new ChartRenderer();
+        this.trendMetric = 'revenue';
+        this.timelineBucket = 60;      // Minutes per timeline bar
+        this.timelineMetric = 'revenue';
+        this.cashDenominations = [1000, 500, 200, 100, 50, 20, 10, 5, 1, 0.25]; // PHP bills and coins
+    }
+
+    /**
+     * Initialize the UI
+     */
+    init() {
+        this.setupNavigation();
+        this.setupModals();
+        this.setupForms();
+        this.setupButtons();
+        this.initTheme();
+        this.initDemoMode();
+        this.renderAll();
+        this.setupServiceWorker();
+
+        this.dataManager.onStorageError = (error) => this.handleStorageError(error);
+        this.checkStorageUsage();
+
+        // Promotions start and end on the clock - refresh prices when the running set changes
+        setInterval(() => this.refreshPromotions(), 60000);
+    }
+
+    /**
+     * Re-render the cashier when a promotion starts or ends
+     */
+    refreshPromotions() {
+        const key = this.getActivePromotionKey();
+        if (key === this.activePromotionKey) return;
+        if (this.currentScreen === 'cashier') {
+            this.renderCashier();
+        } else {
+            this.activePromotionKey = key;
+        }
+    }
+
+    /**
+     * Identifies which promotions are running right now
+     */
+    getActivePromotionKey() {
+        return this.businessLogic.getActivePromotions().map(promotion => promotion.id).join(',');
+    }
+
+    /**
+     * Tell the user what the startup integrity check fixed
+     */
+    reportRecovery(repairs) {
+        const messages = [
+            ...this.dataManager.recoveredTransactions.map(recovered =>
+                `Completed an interrupted ${recovered.type} from ${this.formatDateTime(new Date(recovered.timestamp))}`),
+            ...repairs
+        ];
+        if (messages.length === 0) return;
+
+        this.showToast(`Data recovered: ${messages.join('; ')}`, 'warning');
+    }
+
+    /**
+     * Register the offline service worker and offer updates when a new version is deployed
+     * The new version only takes over when the user taps Reload, never mid-sale
+     */
+    setupServiceWorker() {
+        // Service workers need http(s) - opening index.html as a file still works, just not installable
+        if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+        const banner = document.getElementById('update-banner');
+        let reloading = false;
+
+        const offerUpdate = (worker) => {
+            banner.classList.add('active');
+            document.getElementById('update-reload-btn').onclick = () => {
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            };
+        };
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // First install has no controller - nothing to update from
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                });
+            });
+        }).catch(() => {
+            // Not fatal: the app keeps working, it just won't open without internet
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            location.reload();
+        });
+    }
+
+    /**
+     * Setup navigation
+     */
+    setupNavigation() {
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const screen = btn.dataset.screen;
+                this.switchScreen(screen);
+            });
+        });
+    }
+
+    /**
+     * Switch between screens
+     */
+    switchScreen(screenName) {
+        // Update active nav button
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.screen === screenName);
+        });
+
+        // Update active screen
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.toggle('active', screen.id === `${screenName}-screen`);
+        });
+
+        this.currentScreen = screenName;
+
+        // Render the active screen
+        if (screenName === 'cashier') this.renderCashier();
+        if (screenName === 'products') this.renderProducts();
+        if (screenName === 'inventory') this.renderInventory();
+        if (screenName === 'reports') this.renderReports();
+        if (screenName === 'history') this.renderHistory();
+        if (screenName === 'settings') this.renderSettings();
+    }
+
+    /**
+     * Setup modal functionality
+     */
+    setupModals() {
+        // Close modals
+        document.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeModal(btn.closest('.modal').id);
+            });
+        });
+
+        // Close modal on background click
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal(modal.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Open a modal
+     */
+    openModal(modalId) {
+        document.getElementById(modalId).classList.add('active');
+    }
+
+    /**
+     * Close a modal
+     */
+    closeModal(modalId) {
+        document.getElementById(modalId).classList.remove('active');
+        this.editingIngredient = null;
+        this.editingProduct = null;
+    }
+
+    /**
+     * Setup forms
+     */
+    setupForms() {
+        // Ingredient form
+        ['ingredient-batch-cost', 'ingredient-batch-quantity', 'ingredient-unit'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateUnitCostHint());
+        });
+
+        // Prepared ingredients (made from a prep recipe)
+        document.getElementById('ingredient-is-prepared').addEventListener('change', () => {
+            this.togglePrepSection();
+        });
+
+        document.getElementById('add-prep-item-btn').addEventListener('click', () => {
+            this.addRecipeBuilderItem('', '', '', this.getPrepBuilderOptions());
+        });
+
+        document.getElementById('ingredient-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveIngredient();
+        });
+
+        // Product form
+        document.getElementById('product-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProduct();
+        });
+
+        // Promotion form
+        document.getElementById('promotion-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePromotion();
+        });
+
+        // Start event form
+        document.getElementById('start-event-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startEvent();
+        });
+    }
+
+    /**
+     * Setup buttons
+     */
+    setupButtons() {
+        // Event action button (dynamically changes between Start/End)
+        document.getElementById('event-action-btn').addEventListener('click', () => {
+            const activeEvent = this.dataManager.getActiveEvent();
+            if (activeEvent && activeEvent.status === 'active') {
+                this.openEndEventModal();
+            } else {
+                this.openStartEventModal();
+            }
+        });
+
+        // End event confirm
+        document.getElementById('end-event-confirm').addEventListener('click', () => {
+            this.endEvent();
+        });
+
+        document.getElementById('end-event-cancel').addEventListener('click', () => {
+            this.closeModal('end-event-modal');
+        });
+
+        // Cart checkout / clear buttons
+        document.getElementById('checkout-btn').addEventListener('click', () => {
+            this.checkout();
+        });
+
+        document.getElementById('cart-clear-btn').addEventListener('click', () => {
+            this.clearCart();
+        });
+
+        // Discounts and price overrides
+        document.getElementById('cart-discount-btn').addEventListener('click', () => {
+            this.openDiscountModal('order');
+        });
+
+        ['discount-type', 'discount-value', 'discount-override-price', 'discount-pin'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateDiscountPreview());
+        });
+
+        document.getElementById('discount-apply-btn').addEventListener('click', () => {
+            this.applyDiscountSelection();
+        });
+
+        document.getElementById('discount-preset-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addDiscountPreset();
+        });
+
+        document.getElementById('manager-pin-btn').addEventListener('click', () => {
+            this.changeManagerPin();
+        });
+
+        // Promotions
+        document.getElementById('add-promotion-btn').addEventListener('click', () => {
+            this.openPromotionModal();
+        });
+
+        // Payment modal
+        document.getElementById('add-payment-row-btn').addEventListener('click', () => {
+            this.addPaymentRow();
+        });
+
+        document.getElementById('payment-confirm').addEventListener('click', () => {
+            this.confirmPayment();
+        });
+
+        // Payment method settings
+        document.getElementById('payment-method-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addPaymentMethod();
+        });
+
+        // Storage
+        document.getElementById('compact-events-btn').addEventListener('click', () => {
+            this.compactOldEvents();
+        });
+
+        document.getElementById('compact-keep-latest').addEventListener('change', () => {
+            this.renderStorageSettings();
+        });
+
+        document.getElementById('retry-save-btn').addEventListener('click', () => {
+            this.retryFailedWrites();
+        });
+
+        // Restore points
+        document.getElementById('create-restore-point-btn').addEventListener('click', () => {
+            this.createRestorePoint();
+        });
+
+        document.getElementById('restore-point-interval').addEventListener('change', (e) => {
+            this.updateRestorePointInterval(e.target.value);
+        });
+
+        // Break-even calculation inputs
+        const fixedCostInput = document.getElementById('event-fixed-cost');
+        const plannedOutputInput = document.getElementById('event-planned-output');
+        
+        if (fixedCostInput) {
+            fixedCostInput.addEventListener('input', () => {
+                this.updateBreakEvenCalc();
+            });
+        }
+        
+        if (plannedOutputInput) {
+            plannedOutputInput.addEventListener('input', () => {
+                this.updateBreakEvenCalc();
+            });
+        }
+
+        // Demo mode toggle
+        const demoToggle = document.getElementById('demo-mode-toggle');
+        if (demoToggle) {
+            demoToggle.addEventListener('change', (e) => {
+                this.toggleDemoMode(e.target.checked);
+            });
+        }
+
+        // Clear demo sales button
+        const clearDemoBtn = document.getElementById('clear-demo-sales-btn');
+        if (clearDemoBtn) {
+            clearDemoBtn.addEventListener('click', () => {
+                this.clearDemoSales();
+            });
+        }
+
+        // Theme selector
+        const themeSelect = document.getElementById('theme-select');
+        if (themeSelect) {
+            themeSelect.addEventListener('change', (e) => {
+                this.changeTheme(e.target.value);
+            });
+        }
+
+        // Add ingredient button
+        document.getElementById('add-ingredient-btn').addEventListener('click', () => {
+            this.openIngredientModal();
+        });
+
+        // Add product button
+        document.getElementById('add-product-btn').addEventListener('click', () => {
+            this.openProductModal();
+        });
+
+        // Add recipe item button
+        document.getElementById('add-recipe-item-btn').addEventListener('click', () => {
+            this.addRecipeBuilderItem();
+        });
+
+        // Add modifier group button
+        document.getElementById('add-modifier-group-btn').addEventListener('click', () => {
+            this.addModifierGroupBuilder();
+        });
+
+        // Bundle products
+        document.getElementById('product-is-bundle').addEventListener('change', () => {
+            this.toggleBundleSections();
+        });
+
+        document.getElementById('add-bundle-component-btn').addEventListener('click', () => {
+            this.addBundleComponentBuilder();
+        });
+
+        // Add the product with the chosen options
+        document.getElementById('modifier-add-btn').addEventListener('click', () => {
+            this.addModifierSelectionToCart();
+        });
+
+        // Waste / comp
+        document.getElementById('waste-btn').addEventListener('click', () => {
+            this.openWasteModal();
+        });
+
+        document.getElementById('waste-kind').addEventListener('change', () => {
+            this.renderWasteItemOptions();
+        });
+
+        document.getElementById('waste-item').addEventListener('change', () => {
+            this.updateWasteUnit();
+            this.renderWasteOptions();
+        });
+
+        document.getElementById('waste-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWaste();
+        });
+
+        // Cash in/out button
+        document.getElementById('cash-drawer-btn').addEventListener('click', () => {
+            this.openCashMovementModal();
+        });
+
+        document.getElementById('cash-movement-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCashMovement();
+        });
+
+        // Undo sale button
+        document.getElementById('undo-sale-btn').addEventListener('click', () => {
+            this.undoSale();
+        });
+
+        // Restock
+        document.getElementById('restock-btn').addEventListener('click', () => {
+            this.openRestockModal();
+        });
+
+        document.getElementById('restock-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRestock();
+        });
+
+        // Stocktake
+        document.getElementById('stocktake-btn').addEventListener('click', () => {
+            this.openStocktakeModal();
+        });
+
+        document.getElementById('stocktake-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveStocktake();
+        });
+
+        // Export data button
+        document.getElementById('export-data-btn').addEventListener('click', () => {
+            this.exportData();
+        });
+
+        // Show all / recent transactions toggle
+        document.getElementById('toggle-transactions-btn').addEventListener('click', () => {
+            this.showAllTransactions = !this.showAllTransactions;
+            this.renderReports();
+        });
+
+        // Sales timeline controls
+        document.getElementById('timeline-bucket').addEventListener('change', (e) => {
+            this.timelineBucket = parseInt(e.target.value);
+            this.renderTimeline();
+        });
+
+        document.getElementById('timeline-metric').addEventListener('change', (e) => {
+            this.timelineMetric = e.target.value;
+            this.renderTimeline();
+        });
+
+        // Cross-event analytics controls
+        document.getElementById('trend-metric').addEventListener('change', (e) => {
+            this.trendMetric = e.target.value;
+            this.renderAnalytics();
+        });
+
+        ['compare-event-a', 'compare-event-b'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.renderAnalytics();
+            });
+        });
+
+        // Archived event actions
+        document.getElementById('event-rename-btn').addEventListener('click', () => {
+            this.renameArchivedEvent();
+        });
+
+        document.getElementById('event-delete-btn').addEventListener('click', () => {
+            this.deleteArchivedEvent();
+        });
+
+        // Import (restore) data
+        const importInput = document.getElementById('import-file-input');
+        document.getElementById('import-data-btn').addEventListener('click', () => {
+            importInput.value = ''; // Allow picking the same file again
+            importInput.click();
+        });
+
+        importInput.addEventListener('change', () => {
+            this.handleImportFile(importInput.files[0]);
+        });
+
+        document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderImportPreview());
+        });
+
+        document.getElementById('import-confirm').addEventListener('click', () => {
+            this.confirmImport();
+        });
+
+        // Reset event button
+        document.getElementById('reset-event-btn').addEventListener('click', () => {
+            this.confirmResetEvent();
+        });
+    }
+
+    /**
+     * Render all screens
+     */
+    renderAll() {
+        this.updateEventBanner();
+        this.renderCashier();
+        this.renderProducts();
+        this.renderInventory();
+        this.renderReports();
+        this.renderHistory();
+        this.renderSettings();
+    }
+
+    // ========================================
+    // EVENT MANAGEMENT
+    // ========================================
+
+    /**
+     * Update event status banner
+     */
+    updateEventBanner() {
+        const activeEvent = this.dataManager.getActiveEvent();
+        const banner = document.getElementById('event-banner');
+        const statusText = document.getElementById('event-text');
+        const actionBtn = document.getElementById('event-action-btn');
+
+        if (!banner) return;
+
+        banner.style.display = 'flex';
+
+        if (activeEvent && activeEvent.status === 'active') {
+            banner.classList.add('active');
+            statusText.textContent = `Active Event: ${activeEvent.name}`;
+            actionBtn.textContent = 'End Event';
+            actionBtn.classList.remove('btn-primary');
+            actionBtn.classList.add('btn-danger');
+        } else {
+            banner.classList.remove('active');
+            statusText.textContent = 'No Active Event';
+            actionBtn.textContent = 'Start Event';
+            actionBtn.classList.remove('btn-danger');
+            actionBtn.classList.add('btn-primary');
+        }
+    }
+
+    /**
+     * Open start event modal
+     */
+    openStartEventModal() {
+        document.getElementById('event-name').value = '';
+        document.getElementById('event-fixed-cost').value = '';
+        document.getElementById('event-planned-output').value = '';
+        document.getElementById('event-opening-float').value = '';
+        
+        // Clear break-even display
+        this.updateBreakEvenCalc();
+        
+        this.openModal('start-event-modal');
+    }
+
+    /**
+     * Start event
+     */
+    startEvent() {
+        const name = document.getElementById('event-name').value;
+        const fixedCost = parseFloat(document.getElementById('event-fixed-cost').value);
+        const plannedOutput = parseInt(document.getElementById('event-planned-output').value) || null;
+        const openingFloat = parseFloat(document.getElementById('event-opening-float').value) || 0;
+
+        if (!name || name.trim() === '') {
+            this.showToast('Please enter an event name', 'error');
+            return;
+        }
+
+        if (isNaN(fixedCost) || fixedCost < 0) {
+            this.showToast('Please enter a valid fixed cost', 'error');
+            return;
+        }
+
+        if (openingFloat < 0) {
+            this.showToast('Opening float cannot be negative', 'error');
+            return;
+        }
+
+        try {
+            this.dataManager.startEvent({ name, fixedCost, plannedOutput, openingFloat });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        this.showToast(`Event "${name}" started!`, 'success');
+        this.closeModal('start-event-modal');
+        this.renderAll();
+    }
+
+    /**
+     * Update break-even calculation in Start Event modal
+     * Shows estimated break-even price based on fixed cost and planned output
+     */
+    updateBreakEvenCalc() {
+        const fixedCost = parseFloat(document.getElementById('event-fixed-cost').value) || 0;
+        const plannedOutput = parseInt(document.getElementById('event-planned-output').value) || 0;
+        const breakEvenDiv = document.getElementById('break-even-calc');
+        
+        if (!breakEvenDiv) return;
+        
+        if (fixedCost > 0 && plannedOutput > 0) {
+            const breakEvenPrice = fixedCost / plannedOutput;
+            
+            breakEvenDiv.innerHTML = `
+                <div style="margin-top: var(--spacing-md); padding: var(--spacing-md); background: var(--surface); border-left: 3px solid var(--primary); border-radius: var(--border-radius);">
+                    <div style="font-weight: 600; color: var(--text-primary); margin-bottom: var(--spacing-xs);">
+                        💡 Break-Even Estimate
+                    </div>
+                    <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                        To cover ₱${fixedCost.toFixed(2)} with ${plannedOutput} items, you need to average:
+                    </div>
+                    <div style="font-size: var(--font-size-xl); font-weight: 700; color: var(--primary); margin-top: var(--spacing-xs);">
+                        ${this.formatCurrency(breakEvenPrice)} per item
+                    </div>
+                    <div style="color: var(--text-secondary); font-size: var(--font-size-xs); margin-top: var(--spacing-xs); font-style: italic;">
+                        This is just a reference - doesn't affect accounting
+                    </div>
+                </div>
+            `;
+        } else {
+            breakEvenDiv.innerHTML = '';
+        }
+    }
+
+    /**
+     * Open end event modal
+     */
+    openEndEventModal() {
+        const activeEvent = this.dataManager.getActiveEvent();
+        if (!activeEvent) return;
+
+        const summary = this.businessLogic.getSalesSummary();
+        const summaryDiv = document.getElementById('end-event-summary');
+
+        const profitClass = summary.netProfit >= 0 ? 'success' : 'danger';
+        const profitLabel = summary.netProfit >= 0 ? 'Profit' : 'Loss';
+
+        // Build planned output section if it exists
+        let plannedOutputSection = '';
+        if (activeEvent.plannedOutput) {
+            const percentage = Math.min((summary.itemsSold / activeEvent.plannedOutput) * 100, 100);
+            const achieved = summary.itemsSold >= activeEvent.plannedOutput;
+            
+            plannedOutputSection = `
+                <div style="background: var(--surface); padding: var(--spacing-md); border-radius: var(--border-radius); margin-bottom: var(--spacing-md); border-left: 3px solid var(--${achieved ? 'success' : 'warning'});">
+                    <div style="font-weight: 600; margin-bottom: var(--spacing-xs);">
+                        📊 Planned Output: ${activeEvent.plannedOutput} items
+                    </div>
+                    <div style="display: flex; justify-content: space-between; align-items: baseline;">
+                        <span style="font-size: var(--font-size-lg); font-weight: 700; color: var(--${achieved ? 'success' : 'warning'});">
+                            ${summary.itemsSold} sold (${percentage.toFixed(1)}%)
+                        </span>
+                        <span style="color: var(--${achieved ? 'success' : 'text-secondary'});">
+                            ${achieved ? '✅ Goal Achieved!' : `${activeEvent.plannedOutput - summary.itemsSold} short`}
+                        </span>
+                    </div>
+                </div>
+            `;
+        }
+
+        // Totals per payment method for end-of-day reconciliation
+        const paymentBreakdown = this.businessLogic.getPaymentBreakdown();
+        const paymentSection = paymentBreakdown.length === 0 ? '' : `
+            <div style="background: var(--background); padding: var(--spacing-md); border-radius: var(--border-radius); margin-bottom: var(--spacing-md);">
+                <div style="font-weight: 600; margin-bottom: var(--spacing-xs);">💳 Payments by Method</div>
+                ${paymentBreakdown.map(item => `
+                    <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
+                        <span>${item.methodName} (${item.count}):</span>
+                        <strong>${this.formatCurrency(item.total)}</strong>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        const discounts = this.businessLogic.getDiscountSummary();
+        const discountSection = discounts.discounts === 0 ? '' : `
+            <div style="background: var(--background); padding: var(--spacing-md); border-radius: var(--border-radius); margin-bottom: var(--spacing-md);">
+                <div style="font-weight: 600; margin-bottom: var(--spacing-xs);">🏷 Discounts</div>
+                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
+                    <span>Gross Sales:</span>
+                    <strong>${this.formatCurrency(discounts.grossSales)}</strong>
+                </div>
+                ${discounts.byPromotion.map(item => `
+                    <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
+                        <span>${item.name} (${item.items} item${item.items !== 1 ? 's' : ''}):</span>
+                        <strong>−${this.formatCurrency(item.amount)}</strong>
+                    </div>
+                `).join('')}
+                ${discounts.byDiscount.map(item => `
+                    <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
+                        <span>${item.name} (${item.count}):</span>
+                        <strong>−${this.formatCurrency(item.amount)}</strong>
+                    </div>
+                `).join('')}
+                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0; border-top: 2px solid var(--border);">
+                    <span>Net Sales:</span>
+                    <strong>${this.formatCurrency(discounts.netSales)}</strong>
+                </div>
+            </div>
+        `;
+
+        const waste = this.businessLogic.getWasteSummary(activeEvent.id);
+        const wasteSection = waste.count === 0 ? '' : `
+            <div style="background: var(--background); padding: var(--spacing-md); border-radius: var(--border-radius); margin-bottom: var(--spacing-md);">
+                <div style="font-weight: 600; margin-bottom: var(--spacing-xs);">🗑 Waste & Comps (${waste.count})</div>
+                ${waste.byItem.map(item => `
+                    <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
+                        <span>${item.name}: ${this.formatQuantity(item.quantity)} ${item.unit}</span>
+                        <strong>${item.value > 0 ? this.formatCurrency(item.value) : '-'}</strong>
+                    </div>
+                `).join('')}
+                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0; border-top: 2px solid var(--border);">
+                    <span>Estimated Value:</span>
+                    <strong>${this.formatCurrency(waste.totalValue)}</strong>
+                </div>
+            </div>
+        `;
+
+        summaryDiv.innerHTML = `
+            <h3 style="margin-bottom: var(--spacing-md);">${activeEvent.name}</h3>
+            ${plannedOutputSection}
+            <div style="background: var(--background); padding: var(--spacing-md); border-radius: var(--border-radius); margin-bottom: var(--spacing-md);">
+                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
+                    <span>Total Revenue:</span>
+                    <strong>${this.formatCurrency(summary.totalRevenue)}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0; border-bottom: 2px solid var(--border);">
+                    <span>Fixed Cost:</span>
+                    <strong>${this.formatCurrency(summary.fixedCost)}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding: var(--spacing-sm) 0; font-size: var(--font-size-lg);">
+                    <span>Net ${profitLabel}:</span>
+                    <strong style="color: var(--${profitClass});">${this.formatCurrency(Math.abs(summary.netProfit))}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
+                    <span>Items Sold:</span>
+                    <strong>${summary.itemsSold}</strong>
+                </div>
+            </div>
+            ${discountSection}
+            ${paymentSection}
+            ${wasteSection}
+        `;
+
+        this.renderCashCount();
+        this.openModal('end-event-modal');
+    }
+
+    /**
+     * Render denomination count inputs for closing the drawer
+     */
+    renderCashCount() {
+        const container = document.getElementById('cash-count');
+        if (!container) return;
+
+        const drawer = this.businessLogic.getCashDrawerSummary();
+
+        container.innerHTML = `
+            <div style="font-weight: 600; margin-bottom: var(--spacing-xs);">💵 Cash Drawer Count</div>
+            <div class="cash-drawer-lines">
+                <div><span>Opening Float</span><strong>${this.formatCurrency(drawer.openingFloat)}</strong></div>
+                <div><span>Cash Sales</span><strong>${this.formatCurrency(drawer.cashSales)}</strong></div>
+                <div><span>Cash In</span><strong>${this.formatCurrency(drawer.cashIn)}</strong></div>
+                <div><span>Cash Out</span><strong>−${this.formatCurrency(drawer.cashOut)}</strong></div>
+            </div>
+            <div class="denomination-grid">
+                ${this.cashDenominations.map(value => `
+                    <label class="denomination-item">
+                        <span>₱${value < 1 ? value.toFixed(2) : value}</span>
+                        <input type="number" class="denomination-count" data-value="${value}" min="0" step="1" placeholder="0">
+                    </label>
+                `).join('')}
+            </div>
+            <div id="cash-count-result"></div>
+        `;
+
+        container.querySelectorAll('.denomination-count').forEach(input => {
+            input.addEventListener('input', () => this.updateCashCount());
+        });
+
+        this.updateCashCount();
+    }
+
+    /**
+     * Read denomination inputs into { value: count }
+     */
+    getDenominationCounts() {
+        const counts = {};
+        document.querySelectorAll('#cash-count .denomination-count').forEach(input => {
+            const count = parseInt(input.value) || 0;
+            if (count > 0) counts[input.dataset.value] = count;
+        });
+        return counts;
+    }
+
+    /**
+     * Update expected vs. counted cash display
+     */
+    updateCashCount() {
+        const resultDiv = document.getElementById('cash-count-result');
+        if (!resultDiv) return;
+
+        const counts = this.getDenominationCounts();
+        if (Object.keys(counts).length === 0) {
+            resultDiv.innerHTML = '<p class="setting-description">Not counted - enter the bills and coins in the drawer, or end without a count</p>';
+            return;
+        }
+
+        const result = this.businessLogic.reconcileCashCount(counts);
+        const statusClass = result.overShort === 0 ? 'success' : result.overShort > 0 ? 'warning' : 'danger';
+        const statusLabel = result.overShort === 0 ? 'Balanced' : result.overShort > 0 ? 'Over' : 'Short';
+
+        resultDiv.innerHTML = `
+            <div class="cash-drawer-lines" style="border-top: 2px solid var(--border); margin-top: var(--spacing-sm); padding-top: var(--spacing-xs);">
+                <div><span>Expected Cash</span><strong>${this.formatCurrency(result.expectedCash)}</strong></div>
+                <div><span>Counted Cash</span><strong>${this.formatCurrency(result.countedTotal)}</strong></div>
+                <div style="font-size: var(--font-size-lg);">
+                    <span>${statusLabel}</span>
+                    <strong style="color: var(--${statusClass});">${this.formatCurrency(Math.abs(result.overShort))}</strong>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * End event
+     * Persists the drawer count with the closed event - only if something was counted,
+     * so an uncounted drawer isn't archived as short by the whole expected cash
+     */
+    endEvent() {
+        const counts = this.getDenominationCounts();
+        let event;
+        try {
+            const cashCount = Object.keys(counts).length > 0 ? this.businessLogic.reconcileCashCount(counts) : null;
+            event = this.dataManager.endEvent({ cashCount });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        if (event) {
+            const profitLabel = event.profit >= 0 ? 'Profit' : 'Loss';
+            this.showToast(
+                `Event ended: ${event.name} - ${profitLabel}: ${this.formatCurrency(Math.abs(event.profit))}`,
+                event.profit >= 0 ? 'success' : 'warning'
+            );
+        }
+
+        this.closeModal('end-event-modal');
+        this.renderAll();
+        this.checkStorageUsage();
+    }
+
+    /**
+     * Open waste / comp modal
+     */
+    openWasteModal() {
+        document.getElementById('waste-reason').innerHTML = this.businessLogic.wasteReasons
+            .map(reason => `<option value="${reason.id}">${reason.label}</option>`)
+            .join('');
+
+        // Usually the same person records several in a row
+        const lastRecord = this.dataManager.getWasteLog().pop();
+        document.getElementById('waste-recorded-by').value = lastRecord ? lastRecord.recordedBy : '';
+
+        this.renderWasteItemOptions();
+        this.renderWasteList();
+        this.openModal('waste-modal');
+    }
+
+    /**
+     * Fill the item dropdown with products or ingredients
+     */
+    renderWasteItemOptions() {
+        const kind = document.getElementById('waste-kind').value;
+        const items = kind === 'product'
+            ? this.dataManager.getProducts().filter(p => p.active)
+            : this.dataManager.getIngredients();
+
+        document.getElementById('waste-item').innerHTML = items
+            .map(item => `<option value="${item.id}">${item.name}</option>`)
+            .join('');
+        this.updateWasteUnit();
+        this.renderWasteOptions();
+    }
+
+    /**
+     * Let a wasted product's size / options / bundle choices be picked, so the right recipe is deducted
+     */
+    renderWasteOptions() {
+        const kind = document.getElementById('waste-kind').value;
+        const itemId = document.getElementById('waste-item').value;
+        const product = kind === 'product' && this.dataManager.getProducts().find(p => p.id === itemId);
+        const html = product ? this.renderOptionPickerHTML(product) : '';
+
+        document.getElementById('waste-options').innerHTML = html;
+        document.getElementById('waste-options-group').style.display = html.trim() ? 'block' : 'none';
+    }
+
+    /**
+     * Show the unit the waste quantity is entered in
+     */
+    updateWasteUnit() {
+        const kind = document.getElementById('waste-kind').value;
+        const itemId = document.getElementById('waste-item').value;
+        const ingredient = kind === 'ingredient' && this.dataManager.getIngredients().find(i => i.id === itemId);
+
+        document.getElementById('waste-unit').textContent = ingredient ? ingredient.unit : 'pcs';
+    }
+
+    /**
+     * List waste recorded for the current event (newest first)
+     */
+    renderWasteList() {
+        const list = document.getElementById('waste-list');
+        const records = this.businessLogic.getWasteSummary().records.slice().reverse();
+        const reasons = this.businessLogic.wasteReasons;
+
+        if (records.length === 0) {
+            list.innerHTML = '<p class="empty-hint">No waste recorded for this event</p>';
+            return;
+        }
+
+        list.innerHTML = records.map(record => {
+            const reason = reasons.find(r => r.id === record.reason);
+            return `
+                <div class="transaction-item">
+                    <div>
+                        <div class="transaction-product">
+                            ${this.formatQuantity(record.quantity)} ${record.unit} ${record.itemName}
+                            ${record.options && record.options.length > 0 ? `(${record.options.join(', ')})` : ''}
+                        </div>
+                        <div class="transaction-meta">
+                            ${this.formatDateTime(new Date(record.timestamp))} · ${reason ? reason.label : record.reason} · ${record.recordedBy}
+                            ${record.note ? ` · ${record.note}` : ''}
+                        </div>
+                    </div>
+                    <div class="transaction-price">${record.estimatedValue ? this.formatCurrency(record.estimatedValue) : '-'}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Save waste record from the modal form
+     */
+    saveWaste() {
+        try {
+            const record = this.businessLogic.recordWaste({
+                kind: document.getElementById('waste-kind').value,
+                itemId: document.getElementById('waste-item').value,
+                options: this.readOptionSelection('waste-options'),
+                quantity: document.getElementById('waste-quantity').value,
+                reason: document.getElementById('waste-reason').value,
+                recordedBy: document.getElementById('waste-recorded-by').value,
+                note: document.getElementById('waste-note').value.trim()
+            });
+
+            this.showToast(`Recorded waste: ${this.formatQuantity(record.quantity)} ${record.unit} ${record.itemName}`, 'success');
+            document.getElementById('waste-quantity').value = '';
+            document.getElementById('waste-note').value = '';
+            this.renderWasteList();
+            this.renderAll();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Open cash in/out modal
+     */
+    openCashMovementModal() {
+        const activeEvent = this.dataManager.getActiveEvent();
+        if (!activeEvent || activeEvent.status !== 'active') {
+            this.showToast('Start an event to open the cash drawer', 'error');
+            return;
+        }
+
+        document.getElementById('cash-movement-form').reset();
+        this.renderCashMovements();
+        this.openModal('cash-movement-modal');
+    }
+
+    /**
+     * Render drawer movements and expected cash
+     */
+    renderCashMovements() {
+        const drawer = this.businessLogic.getCashDrawerSummary();
+        const list = document.getElementById('cash-movement-list');
+        if (!drawer || !list) return;
+
+        document.getElementById('cash-expected').textContent = this.formatCurrency(drawer.expectedCash);
+
+        if (drawer.movements.length === 0) {
+            list.innerHTML = '<p class="empty-hint">No cash movements yet</p>';
+            return;
+        }
+
+        list.innerHTML = drawer.movements.slice().reverse().map(movement => `
+            <div class="transaction-item">
+                <div>
+                    <div class="transaction-product">${movement.reason || (movement.type === 'in' ? 'Cash In' : 'Cash Out')}</div>
+                    <div class="transaction-meta">${this.formatDateTime(new Date(movement.timestamp))}</div>
+                </div>
+                <div class="transaction-price" style="color: var(--${movement.type === 'in' ? 'success' : 'danger'});">
+                    ${movement.type === 'in' ? '+' : '−'}${this.formatCurrency(movement.amount)}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Save cash in/out movement
+     */
+    saveCashMovement() {
+        const type = document.getElementById('cash-movement-type').value;
+        const amount = parseFloat(document.getElementById('cash-movement-amount').value);
+        const reason = document.getElementById('cash-movement-reason').value.trim();
+
+        if (isNaN(amount) || amount <= 0) {
+            this.showToast('Please enter a valid amount', 'error');
+            return;
+        }
+
+        if (!reason) {
+            this.showToast('Please enter a reason', 'error');
+            return;
+        }
+
+        try {
+            this.dataManager.addCashMovement({ type, amount, reason });
+            this.showToast(`${type === 'in' ? 'Cash in' : 'Cash out'}: ${this.formatCurrency(amount)}`, 'success');
+            document.getElementById('cash-movement-form').reset();
+            this.renderCashMovements();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // ========================================
+    // DEMO MODE
+    // ========================================
+
+    /**
+     * Initialize demo mode on load
+     */
+    initDemoMode() {
+        const settings = this.dataManager.getSettings();
+        const toggle = document.getElementById('demo-mode-toggle');
+        
+        if (toggle) {
+            toggle.checked = settings.demoMode || false;
+        }
+        
+        this.updateDemoIndicator(settings.demoMode || false);
+    }
+
+    /**
+     * Re-apply theme and demo mode after settings were replaced by a restore
+     */
+    syncSettingsControls() {
+        const theme = this.dataManager.getSettings().theme || 'auto';
+        const themeSelect = document.getElementById('theme-select');
+        if (themeSelect) {
+            themeSelect.value = theme;
+        }
+        this.applyTheme(theme);
+        this.initDemoMode();
+    }
+
+    /**
+     * Toggle demo mode
+     */
+    toggleDemoMode(enabled) {
+        const settings = this.dataManager.getSettings();
+        settings.demoMode = enabled;
+        this.dataManager.saveSettings(settings);
+        
+        this.updateDemoIndicator(enabled);
+        
+        if (enabled) {
+            this.showToast('Demo Mode ON - Sales won\'t affect inventory', 'warning');
+        } else {
+            this.showToast('Demo Mode OFF - Real sales enabled', 'success');
+        }
+        
+        this.renderAll();
+    }
+
+    /**
+     * Update demo mode indicator
+     */
+    updateDemoIndicator(isDemoMode) {
+        const indicator = document.getElementById('demo-indicator');
+        if (indicator) {
+            indicator.style.display = isDemoMode ? 'block' : 'none';
+        }
+        
+        // Update event banner to show demo mode
+        const eventBanner = document.getElementById('event-banner');
+        if (eventBanner) {
+            if (isDemoMode) {
+                eventBanner.classList.add('demo-mode');
+            } else {
+                eventBanner.classList.remove('demo-mode');
+            }
+        }
+    }
+
+    /**
+     * Clear all demo sales
+     */
+    clearDemoSales() {
+        this.showConfirmDialog(
+            'Clear Demo Sales',
+            'This will delete all demo/test sales. Real sales and inventory are not affected.',
+            () => {
+                this.dataManager.clearAllDemoSales();
+                this.showToast('Demo sales cleared', 'success');
+                this.renderAll();
+            }
+        );
+    }
+
+    // ========================================
+    // THEME MANAGEMENT
+    // ========================================
+
+    /**
+     * Initialize theme on load
+     */
+    initTheme() {
+        const settings = this.dataManager.getSettings();
+        const themeSelect = document.getElementById('theme-select');
+        
+        if (themeSelect) {
+            themeSelect.value = settings.theme || 'auto';
+        }
+        
+        this.applyTheme(settings.theme || 'auto');
+        
+        // Listen for system theme changes when in auto mode
+        if (window.matchMedia) {
+            window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+                const settings = this.dataManager.getSettings();
+                if (settings.theme === 'auto') {
+                    this.applyTheme('auto');
+                }
+            });
+        }
+    }
+
+    /**
+     * Change theme (called when user selects from dropdown)
+     */
+    changeTheme(theme) {
+        const settings = this.dataManager.getSettings();
+        settings.theme = theme;
+        this.dataManager.saveSettings(settings);
+        
+        this.applyTheme(theme);
+        
+        const themeNames = {
+            'auto': 'Auto (System)',
+            'light': 'Light Mode',
+            'dark': 'Dark Mode'
+        };
+        
+        this.showToast(`Theme: ${themeNames[theme]}`, 'success');
+    }
+
+    /**
+     * Apply theme to the document
+     */
+    applyTheme(theme) {
+        const body = document.body;
+        
+        if (theme === 'dark') {
+            body.classList.add('dark-mode');
+        } else if (theme === 'light') {
+            body.classList.remove('dark-mode');
+        } else if (theme === 'auto') {
+            // Check system preference
+            const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+            if (prefersDark) {
+                body.classList.add('dark-mode');
+            } else {
+                body.classList.remove('dark-mode');
+            }
+        }
+    }
+
+    // ========================================
+    // CASHIER SCREEN
+    // ========================================
+
+    /**
+     * Render cashier screen
+     */
+    renderCashier() {
+        const summary = this.businessLogic.getSalesSummary();
+        const activeEvent = this.dataManager.getActiveEvent();
+        
+        // Update stats
+        document.getElementById('total-sales').textContent = this.formatCurrency(summary.totalRevenue);
+        document.getElementById('items-sold').textContent = summary.itemsSold;
+
+        // Update planned output progress
+        this.updatePlannedOutputProgress(activeEvent, summary);
+
+        // Render product buttons
+        const products = this.dataManager.getProducts().filter(p => p.active);
+        const grid = document.getElementById('product-grid');
+        this.activePromotionKey = this.getActivePromotionKey();
+
+        if (products.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <p>No active products</p>
+                    <p class="empty-hint">Add products in the Products tab</p>
+                </div>
+            `;
+        } else {
+            grid.innerHTML = products.map(product => {
+                // Validate against the cart so shared ingredients aren't double-counted
+                const canSell = this.businessLogic.canSellProduct(product.id, 1, this.cart);
+                const inCart = this.cart
+                    .filter(item => item.productId === product.id)
+                    .reduce((sum, item) => sum + item.quantity, 0);
+                const promo = this.businessLogic.getActivePromotion(product, product.sellingPrice);
+                return `
+                    <button class="product-btn ${canSell ? '' : 'out-of-stock'} ${promo ? 'on-promo' : ''}" 
+                            data-product-id="${product.id}"
+                            ${canSell ? '' : 'disabled'}>
+                        ${inCart ? `<span class="product-btn-cart-qty">${inCart}</span>` : ''}
+                        ${promo ? `<span class="product-btn-promo">${promo.promotion.name}</span>` : ''}
+                        <div class="product-btn-name">${product.name}</div>
+                        <div class="product-btn-price">${promo ? `
+                            <s>${this.formatCurrency(product.sellingPrice)}</s>
+                            ${this.formatCurrency(product.sellingPrice - promo.saving)}` : this.formatCurrency(product.sellingPrice)}</div>
+                    </button>
+                `;
+            }).join('');
+
+            // Add click handlers
+            grid.querySelectorAll('.product-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.addToCart(btn.dataset.productId);
+                });
+            });
+        }
+
+        this.renderCart();
+
+        // Update undo button
+        const lastSale = this.dataManager.getLastSale();
+        document.getElementById('undo-sale-btn').disabled = !lastSale;
+
+        // Cash drawer only exists during an active event
+        document.getElementById('cash-drawer-btn').disabled = !(activeEvent && activeEvent.status === 'active');
+    }
+
+    /**
+     * Update planned output progress indicator
+     */
+    updatePlannedOutputProgress(activeEvent, summary) {
+        const progressDiv = document.getElementById('planned-output-progress');
+        if (!progressDiv) return;
+        
+        // Only show if there's an active event with planned output
+        if (!activeEvent || !activeEvent.plannedOutput) {
+            progressDiv.style.display = 'none';
+            return;
+        }
+        
+        const planned = activeEvent.plannedOutput;
+        const sold = summary.itemsSold;
+        const percentage = Math.min((sold / planned) * 100, 100);
+        const remaining = Math.max(planned - sold, 0);
+        
+        // Determine status color
+        let statusClass = 'warning';
+        let statusText = 'In Progress';
+        
+        if (percentage >= 100) {
+            statusClass = 'success';
+            statusText = 'Goal Reached! 🎉';
+        } else if (percentage >= 75) {
+            statusClass = 'success';
+            statusText = 'Almost There!';
+        } else if (percentage >= 50) {
+            statusClass = 'primary';
+            statusText = 'Halfway There!';
+        }
+        
+        progressDiv.style.display = 'block';
+        progressDiv.innerHTML = `
+            <div style="margin: var(--spacing-md) 0; padding: var(--spacing-md); background: var(--surface); border-radius: var(--border-radius); border-left: 3px solid var(--${statusClass});">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-sm);">
+                    <span style="font-weight: 600; color: var(--text-primary);">📊 Planned Output Progress</span>
+                    <span style="font-weight: 700; color: var(--${statusClass});">${statusText}</span>
+                </div>
+                
+                <div style="display: flex; justify-content: space-between; align-items: baseline; margin-bottom: var(--spacing-xs);">
+                    <span style="font-size: var(--font-size-lg); font-weight: 700; color: var(--${statusClass});">
+                        ${sold} / ${planned}
+                    </span>
+                    <span style="font-size: var(--font-size-sm); color: var(--text-secondary);">
+                        ${remaining} remaining
+                    </span>
+                </div>
+                
+                <!-- Progress Bar -->
+                <div style="width: 100%; height: 8px; background: var(--background); border-radius: 4px; overflow: hidden;">
+                    <div style="width: ${percentage}%; height: 100%; background: var(--${statusClass}); transition: width 0.3s ease;"></div>
+                </div>
+                
+                <div style="margin-top: var(--spacing-xs); font-size: var(--font-size-xs); color: var(--text-secondary); font-style: italic;">
+                    ${percentage.toFixed(1)}% complete
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cart line identity: same product with the same options, discount and price shares a line
+     */
+    getCartLineKey(item) {
+        const parts = [item.productId, [...(item.options || [])].sort().join(',')];
+        if (item.discount) {
+            parts.push(`d:${item.discount.presetId || ''}:${item.discount.type}:${item.discount.value}`);
+        }
+        if (item.priceOverride !== undefined && item.priceOverride !== null) {
+            parts.push(`p:${item.priceOverride}`);
+        }
+        return parts.join('|');
+    }
+
+    /**
+     * Add a product to the cart
+     * Products with option groups ask for options first
+     * @param {Array|null} options - Chosen option ids (null = not chosen yet)
+     */
+    addToCart(productId, options = null) {
+        const product = this.dataManager.getProducts().find(p => p.id === productId);
+        if (!product) return;
+
+        const hasChoices = (product.modifierGroups || []).length > 0 ||
+            (this.businessLogic.isBundle(product) && product.components.some(c => c.choices.length > 1));
+        if (options === null && hasChoices) {
+            this.openModifierModal(productId);
+            return;
+        }
+        options = options || this.businessLogic.getDefaultOptions(product);
+
+        if (!this.businessLogic.canSellProduct(productId, 1, this.cart, options)) {
+            this.showToast('Not enough stock to add another', 'error');
+            return;
+        }
+
+        const key = this.getCartLineKey({ productId, options });
+        const line = this.cart.find(item => this.getCartLineKey(item) === key);
+        if (line) {
+            line.quantity += 1;
+        } else {
+            this.cart.push({ productId, quantity: 1, options });
+        }
+
+        this.renderCashier();
+    }
+
+    /**
+     * Set quantity of a cart line (removes the line at 0)
+     * @param {string} key - Cart line key (see getCartLineKey)
+     */
+    updateCartQuantity(key, quantity) {
+        const line = this.cart.find(item => this.getCartLineKey(item) === key);
+        if (!line) return;
+
+        if (quantity < 1) {
+            this.cart = this.cart.filter(item => item !== line);
+        } else {
+            const others = this.cart.filter(item => item !== line);
+            if (quantity > line.quantity && !this.businessLogic.canSellProduct(line.productId, quantity, others, line.options)) {
+                this.showToast('Not enough stock for that quantity', 'error');
+            } else {
+                line.quantity = quantity;
+            }
+        }
+
+        this.renderCashier();
+    }
+
+    /**
+     * Open the option picker for a product (size, hot/iced, add-ons)
+     */
+    openModifierModal(productId) {
+        const product = this.dataManager.getProducts().find(p => p.id === productId);
+        if (!product) return;
+
+        this.modifierProductId = productId;
+
+        document.getElementById('modifier-title').textContent = product.name;
+        document.getElementById('modifier-body').innerHTML = this.renderOptionPickerHTML(product);
+
+        document.querySelectorAll('#modifier-body input').forEach(input => {
+            input.addEventListener('change', () => this.updateModifierPrice());
+        });
+
+        this.updateModifierPrice();
+        this.openModal('modifier-modal');
+    }
+
+    /**
+     * Option groups (or bundle choices) of a product as radio/checkbox lists, defaults ticked
+     * Shared by the cashier's option picker and the waste modal
+     */
+    renderOptionPickerHTML(product) {
+        if (this.businessLogic.isBundle(product)) {
+            return this.renderBundleChoicesHTML(product);
+        }
+
+        const defaults = this.businessLogic.getDefaultOptions(product);
+        return (product.modifierGroups || []).map(group => {
+            const inputType = group.selection === 'single' ? 'radio' : 'checkbox';
+            // Optional single-select groups need a way back to "nothing"
+            const noneOption = group.selection === 'single' && !group.required ? `
+                <label class="modifier-choice">
+                    <input type="radio" name="modifier-${group.id}" value="" checked>
+                    <span>None</span>
+                </label>
+            ` : '';
+
+            return `
+                <div class="modifier-group">
+                    <div class="modifier-group-title">
+                        ${group.name}
+                        <span class="modifier-group-hint">${group.required ? 'Required' : 'Optional'} · ${group.selection === 'single' ? 'Pick one' : 'Pick any'}</span>
+                    </div>
+                    ${noneOption}
+                    ${group.options.map(option => `
+                        <label class="modifier-choice">
+                            <input type="${inputType}" name="modifier-${group.id}" value="${option.id}"
+                                   ${defaults.includes(option.id) ? 'checked' : ''}>
+                            <span>${option.name}</span>
+                            ${option.priceDelta ? `<span class="modifier-choice-price">${option.priceDelta > 0 ? '+' : '−'}${this.formatCurrency(Math.abs(option.priceDelta))}</span>` : ''}
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Bundle picker: one radio list per bundle item that offers a choice
+     */
+    renderBundleChoicesHTML(product) {
+        const defaults = this.businessLogic.getDefaultOptions(product);
+
+        return product.components.map(component => {
+            const choiceNames = component.choices.map(choice => this.businessLogic.describeBundleChoice(choice));
+
+            return `
+                <div class="modifier-group">
+                    <div class="modifier-group-title">
+                        ${component.name}
+                        ${component.choices.length > 1 ? '<span class="modifier-group-hint">Pick one</span>' : ''}
+                    </div>
+                    ${component.choices.length === 1 ? `
+                        <div class="modifier-choice">${choiceNames[0]}</div>
+                    ` : choiceNames.map((name, index) => `
+                        <label class="modifier-choice">
+                            <input type="radio" name="bundle-${component.id}" value="${component.id}:${index}"
+                                   ${defaults.includes(`${component.id}:${index}`) ? 'checked' : ''}
+                                   ${this.businessLogic.isChoiceAvailable(component.choices[index]) ? '' : 'disabled'}>
+                            <span>${name}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Option ids currently ticked in the option picker
+     * (for bundles: "componentId:choiceIndex" per bundle item)
+     */
+    getModifierSelection() {
+        return this.readOptionSelection('modifier-body');
+    }
+
+    /**
+     * Option ids ticked in a picker built by renderOptionPickerHTML
+     */
+    readOptionSelection(containerId) {
+        return [...document.querySelectorAll(`#${containerId} input:checked`)]
+            .map(input => input.value)
+            .filter(Boolean);
+    }
+
+    /**
+     * Refresh the option picker's price and stock check
+     */
+    updateModifierPrice() {
+        const product = this.dataManager.getProducts().find(p => p.id === this.modifierProductId);
+        if (!product) return;
+
+        const selection = this.getModifierSelection();
+        const canSell = this.businessLogic.canSellProduct(product.id, 1, this.cart, selection);
+        const addBtn = document.getElementById('modifier-add-btn');
+
+        addBtn.textContent = canSell
+            ? `Add ${this.formatCurrency(this.businessLogic.getUnitPrice(product, selection))}`
+            : 'Not enough stock';
+        addBtn.disabled = !canSell;
+    }
+
+    /**
+     * Add the product with the picked options to the cart
+     */
+    addModifierSelectionToCart() {
+        const product = this.dataManager.getProducts().find(p => p.id === this.modifierProductId);
+        if (!product) return;
+
+        const selection = this.getModifierSelection();
+        try {
+            this.businessLogic.validateOptions(product, selection);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.closeModal('modifier-modal');
+        this.addToCart(product.id, selection);
+    }
+
+    /**
+     * Empty the cart
+     */
+    clearCart() {
+        this.cart = [];
+        this.renderCashier();
+    }
+
+    /**
+     * Render cart panel with running total and stock warnings
+     */
+    renderCart() {
+        const panel = document.getElementById('cart-panel');
+        if (!panel) return;
+
+        const products = this.dataManager.getProducts();
+
+        // Drop lines whose product was deleted or deactivated, or whose options were edited away
+        this.cart = this.cart.filter(item => {
+            const product = products.find(p => p.id === item.productId);
+            if (!product || !product.active) return false;
+            try {
+                this.businessLogic.validateOptions(product, item.options);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+
+        const itemsDiv = document.getElementById('cart-items');
+        const checkoutBtn = document.getElementById('checkout-btn');
+        const warningsDiv = document.getElementById('cart-warnings');
+
+        const discountsDiv = document.getElementById('cart-discounts');
+        const discountBtn = document.getElementById('cart-discount-btn');
+
+        if (this.cart.length === 0) {
+            this.orderDiscount = null;
+            panel.classList.remove('has-items');
+            itemsDiv.innerHTML = '<p class="empty-hint">Tap a product to add it to the order</p>';
+            document.getElementById('cart-total-amount').textContent = this.formatCurrency(0);
+            document.getElementById('cart-item-count').textContent = '0 items';
+            checkoutBtn.disabled = true;
+            discountBtn.disabled = true;
+            warningsDiv.innerHTML = '';
+            discountsDiv.innerHTML = '';
+            return;
+        }
+
+        panel.classList.add('has-items');
+
+        const pricing = this.businessLogic.priceOrder(this.cart, this.orderDiscount);
+        let itemCount = 0;
+
+        itemsDiv.innerHTML = this.cart.map((item, index) => {
+            const priced = pricing.lines[index];
+            const product = priced.product;
+            const optionNames = this.businessLogic.describeSelection(product, item.options);
+            const key = this.getCartLineKey(item);
+            const lineTotal = priced.gross - (priced.promotion ? priced.promotion.amount : 0) -
+                (priced.discount ? priced.discount.amount : 0);
+            const overridden = item.priceOverride !== undefined && item.priceOverride !== null;
+            itemCount += item.quantity;
+
+            return `
+                <div class="cart-line">
+                    <div class="cart-line-info">
+                        <div class="cart-line-name">${product.name}</div>
+                        ${optionNames.length > 0 ? `<div class="cart-line-options">${optionNames.join(', ')}</div>` : ''}
+                        <div class="cart-line-price">
+                            ${overridden ? `<s>${this.formatCurrency(priced.listPrice)}</s>` : ''}
+                            ${this.formatCurrency(priced.unitPrice)} each
+                        </div>
+                        ${priced.promotion ? `
+                            <div class="cart-line-discount promo">${priced.promotion.name} −${this.formatCurrency(priced.promotion.amount)}</div>
+                        ` : ''}
+                        ${priced.discount ? `
+                            <div class="cart-line-discount">${priced.discount.name} −${this.formatCurrency(priced.discount.amount)}</div>
+                        ` : ''}
+                        <button class="modifier-link-btn" data-action="line-discount" data-key="${key}">
+                            ${priced.discount || overridden ? 'Edit discount / price' : 'Discount / price'}
+                        </button>
+                    </div>
+                    <div class="cart-line-qty">
+                        <button class="cart-qty-btn" data-action="decrease" data-key="${key}">−</button>
+                        <input type="number" class="cart-qty-input" data-key="${key}" min="0" step="1" value="${item.quantity}">
+                        <button class="cart-qty-btn" data-action="increase" data-key="${key}">+</button>
+                    </div>
+                    <div class="cart-line-total">${this.formatCurrency(lineTotal)}</div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('cart-total-amount').textContent = this.formatCurrency(pricing.total);
+        document.getElementById('cart-item-count').textContent = `${itemCount} item${itemCount !== 1 ? 's' : ''}`;
+        checkoutBtn.disabled = false;
+        discountBtn.disabled = false;
+
+        // Subtotal and discounts (only when something is discounted)
+        const lineDiscounts = pricing.discountTotal - pricing.promotionTotal -
+            (pricing.orderDiscount ? pricing.orderDiscount.amount : 0);
+        discountsDiv.innerHTML = pricing.discountTotal <= 0 && !pricing.orderDiscount ? '' : `
+            <div class="cart-discount-line">
+                <span>Subtotal</span>
+                <span>${this.formatCurrency(pricing.grossTotal)}</span>
+            </div>
+            ${pricing.promotionTotal > 0 ? `
+                <div class="cart-discount-line">
+                    <span>Promotions</span>
+                    <span>−${this.formatCurrency(pricing.promotionTotal)}</span>
+                </div>
+            ` : ''}
+            ${lineDiscounts > 0 ? `
+                <div class="cart-discount-line">
+                    <span>Item discounts</span>
+                    <span>−${this.formatCurrency(lineDiscounts)}</span>
+                </div>
+            ` : ''}
+            ${pricing.orderDiscount ? `
+                <div class="cart-discount-line">
+                    <span>
+                        ${pricing.orderDiscount.name} (${this.describeDiscountValue(pricing.orderDiscount, false)})
+                        <button class="modifier-link-btn" data-action="remove-order-discount">Remove</button>
+                    </span>
+                    <span>−${this.formatCurrency(pricing.orderDiscount.amount)}</span>
+                </div>
+            ` : ''}
+        `;
+
+        itemsDiv.querySelectorAll('[data-action="line-discount"]').forEach(btn => {
+            btn.addEventListener('click', () => this.openDiscountModal(btn.dataset.key));
+        });
+        discountsDiv.querySelectorAll('[data-action="remove-order-discount"]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.orderDiscount = null;
+                this.renderCashier();
+            });
+        });
+
+        // Add handlers
+        itemsDiv.querySelectorAll('.cart-qty-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const line = this.cart.find(item => this.getCartLineKey(item) === btn.dataset.key);
+                const delta = btn.dataset.action === 'increase' ? 1 : -1;
+                this.updateCartQuantity(btn.dataset.key, line.quantity + delta);
+            });
+        });
+        itemsDiv.querySelectorAll('.cart-qty-input').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateCartQuantity(input.dataset.key, parseInt(input.value) || 0);
+            });
+        });
+
+        // Check for stock warnings (soft - non-blocking)
+        const warnings = this.businessLogic.checkStockWarnings(this.cart);
+
+        if (warnings && warnings.length > 0) {
+            warningsDiv.innerHTML = `
+                <strong style="color: var(--warning);">⚠️ Low Stock Warning:</strong><br>
+                ${warnings.map(w => 
+                    `${w.ingredientName}: ~${w.estimatedCupsLeft} cups remaining after this order`
+                ).join('<br>')}
+            `;
+        } else {
+            warningsDiv.innerHTML = '';
+        }
+    }
+
+    // ========================================
+    // DISCOUNTS & PRICE OVERRIDES
+    // ========================================
+
+    /**
+     * Short description of a discount, e.g. "20% off" or "₱20.00 off each"
+     * @param {boolean} perItem - Fixed discounts on a line apply to each item
+     */
+    describeDiscountValue(discount, perItem) {
+        return discount.type === 'percent'
+            ? `${discount.value}% off`
+            : `${this.formatCurrency(discount.value)} off${perItem ? ' each' : ''}`;
+    }
+
+    /**
+     * Open the discount picker for one cart line or the whole order
+     * Lines can also get a manual price override (needs the manager PIN when one is set)
+     * @param {string} target - Cart line key (see getCartLineKey), or 'order'
+     */
+    openDiscountModal(target) {
+        const isOrder = target === 'order';
+        const line = isOrder ? null : this.cart.find(item => this.getCartLineKey(item) === target);
+        if (!isOrder && !line) return;
+
+        this.discountTarget = target;
+        const current = isOrder ? this.orderDiscount : line.discount;
+        const presets = this.businessLogic.getDiscountPresets();
+        const selected = !current ? 'none'
+            : presets.some(preset => preset.id === current.presetId) ? current.presetId
+            : 'custom';
+
+        const product = line ? this.dataManager.getProducts().find(p => p.id === line.productId) : null;
+        document.getElementById('discount-title').textContent = product
+            ? `Discount: ${product.name}${line.quantity > 1 ? ` ×${line.quantity}` : ''}`
+            : 'Order Discount';
+
+        const choices = [
+            { id: 'none', label: 'No discount' },
+            ...presets.map(preset => ({ id: preset.id, label: preset.name, hint: this.describeDiscountValue(preset, !isOrder) })),
+            { id: 'custom', label: 'Custom' }
+        ];
+        const container = document.getElementById('discount-choices');
+        container.innerHTML = choices.map(choice => `
+            <label class="modifier-choice">
+                <input type="radio" name="discount-choice" value="${choice.id}" ${choice.id === selected ? 'checked' : ''}>
+                <span>${choice.label}</span>
+                ${choice.hint ? `<span class="modifier-choice-price">${choice.hint}</span>` : ''}
+            </label>
+        `).join('');
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', () => this.updateDiscountPreview());
+        });
+
+        document.getElementById('discount-type').value = selected === 'custom' ? current.type : 'percent';
+        document.getElementById('discount-value').value = selected === 'custom' ? current.value : '';
+
+        // Price override (lines only)
+        document.getElementById('discount-override-section').style.display = isOrder ? 'none' : 'block';
+        document.getElementById('discount-override-price').value = line && line.priceOverride !== undefined && line.priceOverride !== null
+            ? line.priceOverride
+            : '';
+        document.getElementById('discount-override-hint').textContent = product
+            ? `Menu price ${this.formatCurrency(this.businessLogic.getUnitPrice(product, line.options))} - leave blank to charge it`
+            : '';
+        document.getElementById('discount-pin').value = '';
+        document.getElementById('discount-pin-group').style.display = this.businessLogic.isManagerPinSet() ? 'block' : 'none';
+
+        this.updateDiscountPreview();
+        this.openModal('discount-modal');
+    }
+
+    /**
+     * Read the discount modal
+     * @returns {Object} { discount, priceOverride, managerPin } - null for no discount / menu price
+     * @throws {Error} if the custom discount or price is invalid
+     */
+    getDiscountSelection() {
+        const choice = document.querySelector('input[name="discount-choice"]:checked').value;
+
+        let discount = null;
+        if (choice === 'custom') {
+            const type = document.getElementById('discount-type').value;
+            const value = parseFloat(document.getElementById('discount-value').value);
+            discount = { presetId: null, name: 'Custom', type, value };
+            this.businessLogic.validateDiscount(discount);
+        } else if (choice !== 'none') {
+            const preset = this.businessLogic.getDiscountPresets().find(p => p.id === choice);
+            discount = { presetId: preset.id, name: preset.name, type: preset.type, value: preset.value };
+        }
+
+        let priceOverride = null;
+        const overrideValue = document.getElementById('discount-override-price').value;
+        if (this.discountTarget !== 'order' && overrideValue !== '') {
+            priceOverride = parseFloat(overrideValue);
+            if (!(priceOverride >= 0)) {
+                throw new Error('Enter a valid price');
+            }
+        }
+
+        return { discount, priceOverride, managerPin: document.getElementById('discount-pin').value };
+    }
+
+    /**
+     * The cart and order discount as they would be with the modal's selection applied
+     * Lines that end up identical are merged
+     */
+    getCartWithDiscount(selection) {
+        if (this.discountTarget === 'order') {
+            return { cart: this.cart, orderDiscount: selection.discount };
+        }
+
+        const cart = [];
+        this.cart.forEach(item => {
+            let next = item;
+            if (this.getCartLineKey(item) === this.discountTarget) {
+                next = { productId: item.productId, quantity: item.quantity, options: item.options };
+                if (selection.discount) next.discount = selection.discount;
+                if (selection.priceOverride !== null) {
+                    next.priceOverride = selection.priceOverride;
+                    // An unchanged override keeps the PIN it was approved with
+                    next.managerPin = item.priceOverride === selection.priceOverride ? item.managerPin : selection.managerPin;
+                }
+            }
+
+            const same = cart.find(other => this.getCartLineKey(other) === this.getCartLineKey(next));
+            if (same) {
+                same.quantity += next.quantity;
+            } else {
+                cart.push({ ...next });
+            }
+        });
+        return { cart, orderDiscount: this.orderDiscount };
+    }
+
+    /**
+     * Show the custom fields when needed and the order total with the selection applied
+     */
+    updateDiscountPreview() {
+        const choice = document.querySelector('input[name="discount-choice"]:checked');
+        document.getElementById('discount-custom-section').style.display =
+            choice && choice.value === 'custom' ? 'block' : 'none';
+
+        const preview = document.getElementById('discount-preview');
+        try {
+            const { cart, orderDiscount } = this.getCartWithDiscount(this.getDiscountSelection());
+            const pricing = this.businessLogic.priceOrder(cart, orderDiscount);
+            preview.textContent = `Order total: ${this.formatCurrency(pricing.total)}` +
+                (pricing.discountTotal > 0 ? ` (${this.formatCurrency(pricing.discountTotal)} off)` : '');
+        } catch (error) {
+            preview.textContent = error.message;
+        }
+    }
+
+    /**
+     * Apply the discount modal's selection to the cart
+     * A new or changed price override needs the manager PIN when one is set
+     */
+    applyDiscountSelection() {
+        let selection;
+        try {
+            selection = this.getDiscountSelection();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        if (this.discountTarget !== 'order' && selection.priceOverride !== null) {
+            const line = this.cart.find(item => this.getCartLineKey(item) === this.discountTarget);
+            const overrideChanged = !line || line.priceOverride !== selection.priceOverride;
+            if (overrideChanged && !this.businessLogic.checkManagerPin(selection.managerPin)) {
+                this.showToast('Incorrect manager PIN', 'error');
+                return;
+            }
+        }
+
+        const { cart, orderDiscount } = this.getCartWithDiscount(selection);
+        this.cart = cart;
+        this.orderDiscount = orderDiscount;
+
+        this.closeModal('discount-modal');
+        this.renderCashier();
+    }
+
+    /**
+     * Checkout - open payment step for the current cart
+     */
+    checkout() {
+        if (this.cart.length === 0) return;
+        this.openPaymentModal();
+    }
+
+    /**
+     * Open payment modal
+     * Starts with a single exact payment in the first configured method (after discounts)
+     * Prices are fixed when payment starts, so a promotion ending mid-payment doesn't change the total
+     */
+    openPaymentModal() {
+        this.paymentPricedAt = new Date();
+        this.paymentDue = this.businessLogic.priceOrder(this.cart, this.orderDiscount, this.paymentPricedAt).total;
+
+        // Fully discounted orders take no payment
+        const methods = this.businessLogic.getPaymentMethods();
+        this.paymentRows = this.paymentDue > 0
+            ? [{ methodId: methods[0].id, amount: this.paymentDue, tendered: '', reference: '' }]
+            : [];
+
+        document.getElementById('payment-total').textContent = this.formatCurrency(this.paymentDue);
+        this.renderPaymentRows();
+        this.openModal('payment-modal');
+    }
+
+    /**
+     * Render payment rows (one per method used in a split payment)
+     */
+    renderPaymentRows() {
+        const methods = this.businessLogic.getPaymentMethods();
+        const container = document.getElementById('payment-rows');
+
+        container.innerHTML = this.paymentRows.map((row, index) => {
+            const method = methods.find(m => m.id === row.methodId) || methods[0];
+            const quickCash = [100, 200, 500, 1000].filter(bill => bill > row.amount);
+
+            return `
+                <div class="payment-row" data-index="${index}">
+                    <div class="payment-row-header">
+                        <select class="payment-method" data-index="${index}">
+                            ${methods.map(m => `
+                                <option value="${m.id}" ${m.id === method.id ? 'selected' : ''}>${m.name}</option>
+                            `).join('')}
+                        </select>
+                        ${this.paymentRows.length > 1 ? `<button type="button" class="remove-recipe-btn" data-action="remove-payment" data-index="${index}">&times;</button>` : ''}
+                    </div>
+                    <div class="form-group">
+                        <label>Amount</label>
+                        <input type="number" class="payment-amount" data-index="${index}" step="0.01" min="0" value="${row.amount}">
+                    </div>
+                    ${method.type === 'cash' ? `
+                        <div class="form-group">
+                            <label>Cash Tendered</label>
+                            <input type="number" class="payment-tendered" data-index="${index}" step="0.01" min="0" value="${row.tendered}" placeholder="${row.amount}">
+                            <div class="quick-cash">
+                                <button type="button" class="quick-cash-btn" data-index="${index}" data-amount="${row.amount}">Exact</button>
+                                ${quickCash.map(bill => `<button type="button" class="quick-cash-btn" data-index="${index}" data-amount="${bill}">₱${bill}</button>`).join('')}
+                            </div>
+                        </div>
+                    ` : `
+                        <div class="form-group">
+                            <label>Reference No. (Optional)</label>
+                            <input type="text" class="payment-reference" data-index="${index}" value="${row.reference}" placeholder="e.g., transaction reference">
+                        </div>
+                    `}
+                </div>
+            `;
+        }).join('');
+
+        // Structural changes re-render; typing only refreshes the summary
+        container.querySelectorAll('.payment-method').forEach(select => {
+            select.addEventListener('change', () => {
+                this.paymentRows[select.dataset.index].methodId = select.value;
+                this.renderPaymentRows();
+            });
+        });
+        container.querySelectorAll('.payment-amount').forEach(input => {
+            input.addEventListener('input', () => {
+                this.paymentRows[input.dataset.index].amount = parseFloat(input.value) || 0;
+                this.updatePaymentSummary();
+            });
+        });
+        container.querySelectorAll('.payment-tendered').forEach(input => {
+            input.addEventListener('input', () => {
+                this.paymentRows[input.dataset.index].tendered = input.value;
+                this.updatePaymentSummary();
+            });
+        });
+        container.querySelectorAll('.payment-reference').forEach(input => {
+            input.addEventListener('input', () => {
+                this.paymentRows[input.dataset.index].reference = input.value;
+            });
+        });
+        container.querySelectorAll('.quick-cash-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.paymentRows[btn.dataset.index].tendered = btn.dataset.amount;
+                this.renderPaymentRows();
+            });
+        });
+        container.querySelectorAll('[data-action="remove-payment"]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.paymentRows.splice(btn.dataset.index, 1);
+                this.renderPaymentRows();
+            });
+        });
+
+        this.updatePaymentSummary();
+    }
+
+    /**
+     * Add a split payment row for the remaining balance
+     */
+    addPaymentRow() {
+        const methods = this.businessLogic.getPaymentMethods();
+        const paid = this.paymentRows.reduce((sum, row) => sum + (row.amount || 0), 0);
+        const remaining = Math.max(Math.round((this.paymentDue - paid) * 100) / 100, 0);
+        const unused = methods.find(m => !this.paymentRows.some(row => row.methodId === m.id)) || methods[0];
+
+        this.paymentRows.push({ methodId: unused.id, amount: remaining, tendered: '', reference: '' });
+        this.renderPaymentRows();
+    }
+
+    /**
+     * Update paid / remaining / change display
+     */
+    updatePaymentSummary() {
+        const methods = this.businessLogic.getPaymentMethods();
+        const paid = this.paymentRows.reduce((sum, row) => sum + (row.amount || 0), 0);
+        const remaining = Math.round((this.paymentDue - paid) * 100) / 100;
+
+        const change = this.paymentRows.reduce((sum, row) => {
+            const method = methods.find(m => m.id === row.methodId);
+            const tendered = parseFloat(row.tendered);
+            if (!method || method.type !== 'cash' || isNaN(tendered)) return sum;
+            return sum + Math.max(tendered - (row.amount || 0), 0);
+        }, 0);
+
+        document.getElementById('payment-summary').innerHTML = `
+            <div class="payment-summary-line">
+                <span>Paid</span>
+                <strong>${this.formatCurrency(paid)}</strong>
+            </div>
+            <div class="payment-summary-line ${remaining !== 0 ? 'due' : ''}">
+                <span>${remaining < 0 ? 'Overpaid' : 'Remaining'}</span>
+                <strong>${this.formatCurrency(Math.abs(remaining))}</strong>
+            </div>
+            <div class="payment-summary-line change">
+                <span>Change</span>
+                <strong>${this.formatCurrency(change)}</strong>
+            </div>
+        `;
+    }
+
+    /**
+     * Confirm payment - commit the whole cart as a single order
+     */
+    confirmPayment() {
+        if (this.cart.length === 0) return;
+
+        try {
+            const sale = this.businessLogic.processOrder(this.cart, this.paymentRows, this.orderDiscount, this.paymentPricedAt);
+            const changeText = sale.changeGiven > 0 ? ` - Change: ${this.formatCurrency(sale.changeGiven)}` : '';
+
+            this.showToast(`Sold ${sale.quantity} item${sale.quantity > 1 ? 's' : ''} - ${this.formatCurrency(sale.sellingPrice)}${changeText}`, 'success');
+            this.cart = [];
+            this.closeModal('payment-modal');
+            this.renderAll();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Describe a sale's line items for display
+     * e.g. "Latte ×2, Croissant"
+     */
+    describeSale(sale) {
+        return this.businessLogic.getSaleItems(sale)
+            .map(line => {
+                const name = line.options && line.options.length > 0
+                    ? `${line.productName} (${line.options.map(option => option.name).join(', ')})`
+                    : line.productName;
+                return line.quantity > 1 ? `${name} ×${line.quantity}` : name;
+            })
+            .join(', ');
+    }
+
+    /**
+     * Names of the discounts on a sale, e.g. "Senior/PWD, Staff (order)"
+     */
+    describeDiscounts(sale) {
+        const names = this.businessLogic.getSaleItems(sale)
+            .flatMap(line => [line.promotion, line.discount])
+            .filter(Boolean)
+            .map(discount => discount.name);
+        if (sale.orderDiscount) names.push(`${sale.orderDiscount.name} (order)`);
+        return [...new Set(names)].join(', ');
+    }
+
+    /**
+     * Describe how a sale was paid for display
+     * e.g. "Cash ₱100.00 + GCash ₱50.00 (Ref 12345)"
+     */
+    describePayments(sale) {
+        if (!Array.isArray(sale.payments)) {
+            return sale.paymentType === 'cash' ? 'Cash' : (sale.paymentType || 'Cash');
+        }
+        if (sale.payments.length === 0) {
+            return 'No payment (fully discounted)';
+        }
+
+        return sale.payments.map(payment => {
+            const amount = sale.payments.length > 1 ? ` ${this.formatCurrency(payment.amount)}` : '';
+            const reference = payment.reference ? ` (Ref ${payment.reference})` : '';
+            return `${payment.methodName}${amount}${reference}`;
+        }).join(' + ');
+    }
+
+    /**
+     * Undo last sale
+     * Voids the whole order - record kept, stock restored
+     */
+    undoSale() {
+        const lastSale = this.dataManager.getLastSale();
+        if (!lastSale) {
+            this.showToast('No sale to undo', 'error');
+            return;
+        }
+
+        this.showConfirmDialog(
+            'Undo Last Sale',
+            `Undo: ${this.describeSale(lastSale)} - ${this.formatCurrency(lastSale.sellingPrice)}?\n\nStock will be restored and the sale kept as voided.`,
+            () => {
+                try {
+                    const sale = this.businessLogic.undoLastSale();
+                    this.showToast(`Undone: ${this.describeSale(sale)}`, 'success');
+                    this.renderAll();
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        );
+    }
+
+    // ========================================
+    // PRODUCTS SCREEN
+    // ========================================
+
+    /**
+     * Render products screen - NO COST CALCULATIONS
+     * Products only track selling price
+     */
+    renderProducts() {
+        const products = this.dataManager.getProducts();
+        const list = document.getElementById('product-list');
+
+        if (products.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>No products yet</p>
+                    <p class="empty-hint">Create your first product</p>
+                </div>
+            `;
+        } else {
+            list.innerHTML = products.map(product => {
+                const canSell = this.businessLogic.canSellProduct(product.id);
+                const productCost = this.businessLogic.getProductCost(product);
+
+                return `
+                    <div class="product-card">
+                        <div class="card-header">
+                            <div class="card-title">${product.name}</div>
+                            <div class="card-price">${this.formatCurrency(product.sellingPrice)}</div>
+                        </div>
+                        
+                        <div class="card-meta">
+                            <span class="card-badge ${product.active ? 'active' : 'inactive'}">
+                                ${product.active ? '✓ Active' : '✗ Inactive'}
+                            </span>
+                            ${!canSell && product.active ? '<span class="card-badge low-stock">Out of Stock</span>' : ''}
+                            ${product.category ? `<span class="card-badge category">${product.category}</span>` : ''}
+                        </div>
+
+                        ${this.businessLogic.isBundle(product) ? `
+                            <div class="card-recipe">
+                                <div class="recipe-title">Bundle:</div>
+                                <div class="recipe-list">
+                                    ${product.components.map(component => `
+                                        <div class="recipe-item">• ${component.quantity > 1 ? `${component.quantity}× ` : ''}${component.name}:
+                                            ${component.choices.map(choice => this.businessLogic.describeBundleChoice(choice)).join(' / ')}
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : `
+                            <div class="card-recipe">
+                                <div class="recipe-title">Recipe:</div>
+                                <div class="recipe-list">
+                                    ${this.renderRecipeList(product.recipe)}
+                                </div>
+                            </div>
+                        `}
+
+                        ${(product.modifierGroups || []).length > 0 ? `
+                            <div class="card-recipe">
+                                <div class="recipe-title">Options:</div>
+                                <div class="recipe-list">
+                                    ${product.modifierGroups.map(group => `
+                                        <div class="recipe-item">• ${group.name}: ${group.options.map(option => option.name).join(', ')}</div>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
+
+                        ${this.renderProductCostHTML(productCost)}
+
+                        <div class="card-actions">
+                            <button class="card-btn" data-action="edit" data-id="${product.id}">
+                                Edit
+                            </button>
+                            <button class="card-btn danger" data-action="delete" data-id="${product.id}">
+                                Delete
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            // Add click handlers
+            list.querySelectorAll('[data-action="edit"]').forEach(btn => {
+                btn.addEventListener('click', () => this.editProduct(btn.dataset.id));
+            });
+            list.querySelectorAll('[data-action="delete"]').forEach(btn => {
+                btn.addEventListener('click', () => this.deleteProduct(btn.dataset.id));
+            });
+        }
+    }
+
+    /**
+     * Recipe cost and margin block for a product card
+     * Hidden until at least one ingredient has a batch cost
+     */
+    renderProductCostHTML(productCost) {
+        if (productCost.complete === false && productCost.cost === 0) {
+            return '';
+        }
+
+        return `
+            <div class="ingredient-info">
+                <div class="info-item">
+                    <span class="info-label">Recipe Cost</span>
+                    <span class="info-value">${this.formatCurrency(productCost.cost)}${productCost.complete ? '' : '+'}</span>
+                </div>
+                <div class="info-item">
+                    <span class="info-label">Margin</span>
+                    <span class="info-value" ${productCost.margin < 0 ? 'style="color: var(--danger);"' : ''}>
+                        ${productCost.complete
+                            ? `${this.formatCurrency(productCost.margin)} (${productCost.marginPercent === null ? '-' : productCost.marginPercent.toFixed(0) + '%'})`
+                            : '-'}
+                    </span>
+                </div>
+            </div>
+            ${productCost.complete ? '' : `
+                <p class="empty-hint">No cost for: ${productCost.missing.join(', ')}</p>
+            `}
+        `;
+    }
+
+    /**
+     * Render recipe list
+     */
+    renderRecipeList(recipe) {
+        const ingredients = this.dataManager.getIngredients();
+        return recipe.map(item => {
+            const ingredient = ingredients.find(i => i.id === item.ingredientId);
+            if (!ingredient) return '';
+
+            const entryOption = item.entryUnit && this.businessLogic.getUnitOptions(ingredient).find(o => o.id === item.entryUnit);
+            const amount = entryOption
+                ? `${item.entryQuantity} ${this.businessLogic.getUnitLabel(item.entryUnit, ingredient)} (${this.formatQuantity(item.quantity)} ${ingredient.unit})`
+                : `${this.formatQuantity(item.quantity)} ${ingredient.unit}`;
+            return `<div class="recipe-item">• ${amount} ${ingredient.name}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Open product modal
+     */
+    openProductModal(productId = null) {
+        this.editingProduct = productId;
+        const modal = document.getElementById('product-modal');
+        const form = document.getElementById('product-form');
+        
+        // Reset form
+        form.reset();
+        document.getElementById('product-id').value = '';
+        document.getElementById('recipe-builder').innerHTML = '';
+        document.getElementById('modifier-builder').innerHTML = '';
+        document.getElementById('bundle-builder').innerHTML = '';
+        document.getElementById('product-categories').innerHTML = this.businessLogic.getProductCategories()
+            .map(category => `<option value="${category}">`).join('');
+
+        if (productId) {
+            // Edit mode
+            const product = this.dataManager.getProducts().find(p => p.id === productId);
+            document.getElementById('product-modal-title').textContent = 'Edit Product';
+            document.getElementById('product-id').value = product.id;
+            document.getElementById('product-name').value = product.name;
+            document.getElementById('product-price').value = product.sellingPrice;
+            document.getElementById('product-category').value = product.category || '';
+            document.getElementById('product-active').checked = product.active;
+
+            this.loadRecipeBuilder(product.recipe);
+
+            (product.modifierGroups || []).forEach(group => this.addModifierGroupBuilder(group));
+
+            const isBundle = this.businessLogic.isBundle(product);
+            document.getElementById('product-is-bundle').checked = isBundle;
+            if (isBundle) {
+                product.components.forEach(component => this.addBundleComponentBuilder(component));
+                this.addRecipeBuilderItem(); // Ready if switched back to a normal product
+            }
+        } else {
+            // Add mode
+            document.getElementById('product-modal-title').textContent = 'Add Product';
+            this.addRecipeBuilderItem(); // Add one empty recipe item
+        }
+
+        this.toggleBundleSections();
+
+        this.openModal('product-modal');
+    }
+
+    /**
+     * Fill a recipe builder, showing each item in the unit it was typed in
+     * (base unit if that unit no longer exists)
+     */
+    loadRecipeBuilder(recipe, builderOptions = {}) {
+        const ingredients = this.dataManager.getIngredients();
+        recipe.forEach(item => {
+            const ingredient = ingredients.find(i => i.id === item.ingredientId);
+            const useEntryUnit = item.entryUnit && ingredient &&
+                this.businessLogic.getUnitOptions(ingredient).some(o => o.id === item.entryUnit);
+            this.addRecipeBuilderItem(
+                item.ingredientId,
+                useEntryUnit ? item.entryQuantity : item.quantity,
+                useEntryUnit ? item.entryUnit : '',
+                builderOptions
+            );
+        });
+    }
+
+    /**
+     * Add recipe builder item
+     * @param {Object} builderOptions - { containerId, ingredients } (default: the product recipe, all ingredients)
+     */
+    addRecipeBuilderItem(ingredientId = '', quantity = '', unitId = '', builderOptions = {}) {
+        const container = document.getElementById(builderOptions.containerId || 'recipe-builder');
+        const ingredients = builderOptions.ingredients || this.dataManager.getIngredients();
+        
+        const item = document.createElement('div');
+        item.className = 'recipe-builder-item';
+        item.innerHTML = `
+            <div class="form-group">
+                <select class="recipe-ingredient" required>
+                    <option value="">Select ingredient</option>
+                    ${ingredients.map(i => `
+                        <option value="${i.id}" ${i.id === ingredientId ? 'selected' : ''}>
+                            ${i.name} (${i.unit})
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <input type="number" class="recipe-quantity" step="0.01" min="0" 
+                       placeholder="Quantity" value="${quantity}" required>
+            </div>
+            <div class="form-group recipe-unit-group">
+                <select class="recipe-unit"></select>
+            </div>
+            <button type="button" class="remove-recipe-btn">&times;</button>
+        `;
+
+        const ingredientSelect = item.querySelector('.recipe-ingredient');
+        const unitSelect = item.querySelector('.recipe-unit');
+        const renderUnits = (selectedUnit = '') => {
+            const ingredient = ingredients.find(i => i.id === ingredientSelect.value);
+            const options = ingredient ? this.businessLogic.getUnitOptions(ingredient) : [];
+            unitSelect.innerHTML = options.map(option => `
+                <option value="${option.id}" ${option.id === selectedUnit ? 'selected' : ''}>${option.label}</option>
+            `).join('');
+        };
+        renderUnits(unitId);
+
+        ingredientSelect.addEventListener('change', () => renderUnits());
+
+        item.querySelector('.remove-recipe-btn').addEventListener('click', () => {
+            item.remove();
+        });
+
+        container.appendChild(item);
+    }
+
+    /**
+     * Show bundle items or recipe + options, depending on the bundle checkbox
+     */
+    toggleBundleSections() {
+        const isBundle = document.getElementById('product-is-bundle').checked;
+        document.getElementById('bundle-section').style.display = isBundle ? 'block' : 'none';
+        document.getElementById('recipe-section').style.display = isBundle ? 'none' : 'block';
+        document.getElementById('modifier-section').style.display = isBundle ? 'none' : 'block';
+
+        // Hidden recipe fields must not block submitting a bundle
+        document.querySelectorAll('#recipe-builder [required]').forEach(field => {
+            field.disabled = isBundle;
+        });
+
+        if (isBundle && document.querySelectorAll('#bundle-builder .bundle-component-builder').length === 0) {
+            this.addBundleComponentBuilder();
+        }
+    }
+
+    /**
+     * Add a bundle item (e.g. "Drink") with one or more product choices
+     */
+    addBundleComponentBuilder(component = null) {
+        const container = document.getElementById('bundle-builder');
+        const block = document.createElement('div');
+        block.className = 'modifier-group-builder bundle-component-builder';
+        block.dataset.componentId = component ? component.id : '';
+        block.innerHTML = `
+            <div class="modifier-row">
+                <input type="text" class="bundle-component-name" placeholder="Item (e.g., Drink)" value="${component ? component.name : ''}">
+                <input type="number" class="bundle-component-quantity" min="1" step="1" placeholder="Qty"
+                       value="${component ? component.quantity : 1}">
+                <button type="button" class="remove-recipe-btn" data-role="remove-component">&times;</button>
+            </div>
+            <div class="bundle-choices"></div>
+            <button type="button" class="modifier-link-btn" data-role="add-choice">+ Another choice</button>
+        `;
+
+        const choicesContainer = block.querySelector('.bundle-choices');
+        block.querySelector('[data-role="remove-component"]').addEventListener('click', () => block.remove());
+        block.querySelector('[data-role="add-choice"]').addEventListener('click', () => {
+            this.addBundleChoiceBuilder(choicesContainer);
+        });
+
+        if (component) {
+            component.choices.forEach(choice => this.addBundleChoiceBuilder(choicesContainer, choice));
+        } else {
+            this.addBundleChoiceBuilder(choicesContainer);
+        }
+
+        container.appendChild(block);
+    }
+
+    /**
+     * Add a product choice to a bundle item, with that product's options fixed (e.g. Latte + 16oz)
+     */
+    addBundleChoiceBuilder(container, choice = null) {
+        const editingId = document.getElementById('product-id').value;
+        const products = this.dataManager.getProducts()
+            .filter(p => p.id !== editingId && !this.businessLogic.isBundle(p));
+
+        const row = document.createElement('div');
+        row.className = 'modifier-option-builder bundle-choice-row';
+        row.innerHTML = `
+            <div class="modifier-row">
+                <select class="bundle-choice-product">
+                    ${products.map(p => `
+                        <option value="${p.id}" ${choice && choice.productId === p.id ? 'selected' : ''}>${p.name}</option>
+                    `).join('')}
+                </select>
+                <button type="button" class="remove-recipe-btn" data-role="remove-choice">&times;</button>
+            </div>
+            <div class="bundle-choice-options"></div>
+        `;
+
+        const productSelect = row.querySelector('.bundle-choice-product');
+        const optionsDiv = row.querySelector('.bundle-choice-options');
+        const renderOptions = (selected = []) => {
+            const product = products.find(p => p.id === productSelect.value);
+            optionsDiv.innerHTML = (product && product.modifierGroups || []).map(group => `
+                <div class="modifier-row">
+                    <span class="modifier-group-hint">${group.name}:</span>
+                    ${group.options.map(option => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" class="bundle-choice-option" value="${option.id}"
+                                   ${selected.includes(option.id) ? 'checked' : ''}>
+                            <span>${option.name}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `).join('');
+        };
+
+        renderOptions(choice ? choice.options : []);
+        productSelect.addEventListener('change', () => renderOptions());
+        row.querySelector('[data-role="remove-choice"]').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    /**
+     * Read bundle items from the product modal
+     * Each choice's options must fully specify the product (required groups picked)
+     * @throws {Error}
+     */
+    readBundleComponents() {
+        const products = this.dataManager.getProducts();
+        const components = [...document.querySelectorAll('#bundle-builder .bundle-component-builder')].map(block => {
+            const name = block.querySelector('.bundle-component-name').value.trim();
+            const quantity = parseInt(block.querySelector('.bundle-component-quantity').value) || 0;
+            if (!name) throw new Error('Every bundle item needs a name');
+            if (quantity < 1) throw new Error(`${name}: quantity must be at least 1`);
+
+            const choices = [...block.querySelectorAll('.bundle-choice-row')].map(row => {
+                const productId = row.querySelector('.bundle-choice-product').value;
+                const product = products.find(p => p.id === productId);
+                if (!product) throw new Error(`${name}: choose a product`);
+
+                const options = [...row.querySelectorAll('.bundle-choice-option:checked')].map(input => input.value);
+                this.businessLogic.validateOptions(product, options);
+                return { productId, options };
+            });
+
+            if (choices.length === 0) throw new Error(`${name} needs at least one product`);
+
+            return {
+                id: block.dataset.componentId || this.dataManager.generateId(),
+                name,
+                quantity,
+                choices
+            };
+        });
+
+        if (components.length === 0) throw new Error('Add at least one bundle item');
+        return components;
+    }
+
+    /**
+     * Add an option group to the product modal (e.g. Size: 12oz / 16oz)
+     */
+    addModifierGroupBuilder(group = null) {
+        const container = document.getElementById('modifier-builder');
+        const block = document.createElement('div');
+        block.className = 'modifier-group-builder';
+        block.dataset.groupId = group ? group.id : '';
+        block.innerHTML = `
+            <div class="modifier-row">
+                <input type="text" class="modifier-group-name" placeholder="Group (e.g., Size)" value="${group ? group.name : ''}">
+                <select class="modifier-group-selection">
+                    <option value="single" ${group && group.selection === 'multi' ? '' : 'selected'}>Pick one</option>
+                    <option value="multi" ${group && group.selection === 'multi' ? 'selected' : ''}>Pick any</option>
+                </select>
+                <label class="checkbox-label">
+                    <input type="checkbox" class="modifier-group-required" ${group && group.required ? 'checked' : ''}>
+                    <span>Required</span>
+                </label>
+                <button type="button" class="remove-recipe-btn" data-role="remove-group">&times;</button>
+            </div>
+            <div class="modifier-options"></div>
+            <button type="button" class="btn-secondary" data-role="add-option">+ Add Option</button>
+        `;
+
+        const optionsContainer = block.querySelector('.modifier-options');
+        block.querySelector('[data-role="remove-group"]').addEventListener('click', () => block.remove());
+        block.querySelector('[data-role="add-option"]').addEventListener('click', () => {
+            this.addModifierOptionBuilder(optionsContainer);
+        });
+
+        if (group) {
+            group.options.forEach(option => this.addModifierOptionBuilder(optionsContainer, option));
+        } else {
+            this.addModifierOptionBuilder(optionsContainer);
+        }
+
+        container.appendChild(block);
+    }
+
+    /**
+     * Add an option row (name, price change, recipe changes) to an option group
+     */
+    addModifierOptionBuilder(container, option = null) {
+        const block = document.createElement('div');
+        block.className = 'modifier-option-builder';
+        block.dataset.optionId = option ? option.id : '';
+        block.innerHTML = `
+            <div class="modifier-row">
+                <input type="text" class="modifier-option-name" placeholder="Option (e.g., 16oz)" value="${option ? option.name : ''}">
+                <input type="number" class="modifier-option-price" step="0.01" placeholder="+₱0"
+                       value="${option && option.priceDelta ? option.priceDelta : ''}">
+                <button type="button" class="remove-recipe-btn" data-role="remove-option">&times;</button>
+            </div>
+            <div class="modifier-changes"></div>
+            <button type="button" class="modifier-link-btn" data-role="add-change">+ Recipe change</button>
+        `;
+
+        const changesContainer = block.querySelector('.modifier-changes');
+        block.querySelector('[data-role="remove-option"]').addEventListener('click', () => block.remove());
+        block.querySelector('[data-role="add-change"]').addEventListener('click', () => {
+            this.addRecipeChangeBuilder(changesContainer);
+        });
+
+        if (option) {
+            (option.recipeChanges || []).forEach(change => this.addRecipeChangeBuilder(changesContainer, change));
+        }
+
+        container.appendChild(block);
+    }
+
+    /**
+     * Add a recipe change row: add / remove / swap an ingredient
+     * The quantity is typed in any unit of the ingredient it measures (the swapped-in one for swaps)
+     */
+    addRecipeChangeBuilder(container, change = null) {
+        const ingredients = this.dataManager.getIngredients();
+        const ingredientOptions = selectedId => ingredients.map(i => `
+            <option value="${i.id}" ${i.id === selectedId ? 'selected' : ''}>${i.name} (${i.unit})</option>
+        `).join('');
+
+        const row = document.createElement('div');
+        row.className = 'modifier-row recipe-change-row';
+        row.innerHTML = `
+            <select class="change-action">
+                <option value="add" ${change && change.action === 'add' ? 'selected' : ''}>Add</option>
+                <option value="remove" ${change && change.action === 'remove' ? 'selected' : ''}>Less / None</option>
+                <option value="substitute" ${change && change.action === 'substitute' ? 'selected' : ''}>Swap</option>
+            </select>
+            <select class="change-ingredient">${ingredientOptions(change ? change.ingredientId : '')}</select>
+            <select class="change-replacement" title="Swap with">${ingredientOptions(change ? change.replacementId : '')}</select>
+            <input type="number" class="change-quantity" step="0.01" min="0" placeholder="Qty">
+            <select class="change-unit"></select>
+            <button type="button" class="remove-recipe-btn" data-role="remove-change">&times;</button>
+        `;
+
+        const actionSelect = row.querySelector('.change-action');
+        const ingredientSelect = row.querySelector('.change-ingredient');
+        const replacementSelect = row.querySelector('.change-replacement');
+        const quantityInput = row.querySelector('.change-quantity');
+        const unitSelect = row.querySelector('.change-unit');
+        const measuredIngredient = () => ingredients.find(i =>
+            i.id === (actionSelect.value === 'substitute' ? replacementSelect.value : ingredientSelect.value));
+        const renderUnits = (selectedUnit = '') => {
+            const ingredient = measuredIngredient();
+            const options = ingredient ? this.businessLogic.getUnitOptions(ingredient) : [];
+            unitSelect.innerHTML = options.map(option => `
+                <option value="${option.id}" ${option.id === selectedUnit ? 'selected' : ''}>${option.label}</option>
+            `).join('');
+        };
+        const syncFields = () => {
+            const action = actionSelect.value;
+            replacementSelect.style.display = action === 'substitute' ? '' : 'none';
+            quantityInput.placeholder = action === 'add' ? 'Qty' : action === 'remove' ? 'Qty (blank = all)' : 'Qty (blank = same)';
+            renderUnits(unitSelect.value);
+        };
+        actionSelect.addEventListener('change', syncFields);
+        ingredientSelect.addEventListener('change', () => renderUnits());
+        replacementSelect.addEventListener('change', () => renderUnits());
+        syncFields();
+
+        // Show the quantity in the unit it was typed in (base unit if that unit no longer exists)
+        if (change && change.quantity) {
+            const ingredient = measuredIngredient();
+            const useEntryUnit = change.entryUnit && ingredient &&
+                this.businessLogic.getUnitOptions(ingredient).some(o => o.id === change.entryUnit);
+            quantityInput.value = useEntryUnit ? change.entryQuantity : change.quantity;
+            renderUnits(useEntryUnit ? change.entryUnit : '');
+        }
+
+        row.querySelector('[data-role="remove-change"]').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    /**
+     * Read option groups from the product modal
+     * Keeps existing group/option ids so items already in the cart stay valid
+     * @param {number} sellingPrice - Base price; no option may take it below zero
+     * @throws {Error} on incomplete groups, options or recipe changes
+     */
+    readModifierGroups(sellingPrice) {
+        const ingredients = this.dataManager.getIngredients();
+
+        return [...document.querySelectorAll('#modifier-builder .modifier-group-builder')].map(groupBlock => {
+            const name = groupBlock.querySelector('.modifier-group-name').value.trim();
+            if (!name) throw new Error('Every option group needs a name');
+
+            const options = [...groupBlock.querySelectorAll('.modifier-option-builder')].map(optionBlock => {
+                const optionName = optionBlock.querySelector('.modifier-option-name').value.trim();
+                if (!optionName) throw new Error(`Every option in ${name} needs a name`);
+
+                const recipeChanges = [...optionBlock.querySelectorAll('.recipe-change-row')].map(row => {
+                    const action = row.querySelector('.change-action').value;
+                    const ingredientId = row.querySelector('.change-ingredient').value;
+                    const quantity = parseFloat(row.querySelector('.change-quantity').value) || 0;
+                    const unitId = row.querySelector('.change-unit').value;
+                    const replacementId = action === 'substitute' ? row.querySelector('.change-replacement').value : null;
+
+                    if (!ingredientId) throw new Error(`${optionName}: choose an ingredient`);
+                    if (action === 'add' && !(quantity > 0)) throw new Error(`${optionName}: enter how much to add`);
+                    if (action === 'substitute' && (!replacementId || replacementId === ingredientId)) {
+                        throw new Error(`${optionName}: choose a different ingredient to swap in`);
+                    }
+
+                    // Stored in the base unit, like recipe items; keep what was typed for editing
+                    const ingredient = ingredients.find(i => i.id === (replacementId || ingredientId));
+                    const recipeChange = {
+                        action,
+                        ingredientId,
+                        quantity: ingredient ? this.businessLogic.toBaseQuantity(quantity, unitId, ingredient) : quantity,
+                        replacementId
+                    };
+                    if (quantity > 0 && ingredient && unitId && unitId !== ingredient.unit) {
+                        recipeChange.entryQuantity = quantity;
+                        recipeChange.entryUnit = unitId;
+                    }
+                    return recipeChange;
+                });
+
+                const priceDelta = parseFloat(optionBlock.querySelector('.modifier-option-price').value) || 0;
+                if (sellingPrice + priceDelta < 0) {
+                    throw new Error(`${optionName}: price change can't take the price below zero`);
+                }
+
+                return {
+                    id: optionBlock.dataset.optionId || this.dataManager.generateId(),
+                    name: optionName,
+                    priceDelta,
+                    recipeChanges
+                };
+            });
+
+            if (options.length === 0) throw new Error(`${name} needs at least one option`);
+
+            return {
+                id: groupBlock.dataset.groupId || this.dataManager.generateId(),
+                name,
+                selection: groupBlock.querySelector('.modifier-group-selection').value,
+                required: groupBlock.querySelector('.modifier-group-required').checked,
+                options
+            };
+        });
+    }
+
+    /**
+     * Save product
+     */
+    saveProduct() {
+        const id = document.getElementById('product-id').value;
+        const name = document.getElementById('product-name').value;
+        const price = parseFloat(document.getElementById('product-price').value);
+        const category = document.getElementById('product-category').value.trim();
+        const active = document.getElementById('product-active').checked;
+
+        if (document.getElementById('product-is-bundle').checked) {
+            let components;
+            try {
+                components = this.readBundleComponents();
+            } catch (error) {
+                this.showToast(error.message, 'error');
+                return;
+            }
+            this.saveProductData(id, { name, sellingPrice: price, category, recipe: [], active, modifierGroups: [], components });
+            return;
+        }
+
+        // Build recipe
+        let recipe;
+        try {
+            recipe = this.readRecipeBuilder('recipe-builder');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        if (recipe.length === 0) {
+            this.showToast('Please add at least one ingredient', 'error');
+            return;
+        }
+
+        let modifierGroups;
+        try {
+            modifierGroups = this.readModifierGroups(price);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.saveProductData(id, { name, sellingPrice: price, category, recipe, active, modifierGroups, components: [] });
+    }
+
+    /**
+     * Read a recipe builder into recipe items (blank rows skipped)
+     * @throws {Error} if a row's unit can't measure its ingredient
+     */
+    readRecipeBuilder(containerId) {
+        const ingredients = this.dataManager.getIngredients();
+        const recipe = [];
+
+        document.querySelectorAll(`#${containerId} .recipe-builder-item`).forEach(item => {
+            const ingredientId = item.querySelector('.recipe-ingredient').value;
+            const quantity = parseFloat(item.querySelector('.recipe-quantity').value);
+            const unitId = item.querySelector('.recipe-unit').value;
+            const ingredient = ingredients.find(i => i.id === ingredientId);
+            if (!ingredient || !(quantity > 0)) return;
+
+            // Stock is always deducted in the base unit; keep what was typed for editing
+            const recipeItem = {
+                ingredientId,
+                quantity: this.businessLogic.toBaseQuantity(quantity, unitId, ingredient)
+            };
+            if (unitId && unitId !== ingredient.unit) {
+                recipeItem.entryQuantity = quantity;
+                recipeItem.entryUnit = unitId;
+            }
+            recipe.push(recipeItem);
+        });
+
+        return recipe;
+    }
+
+    /**
+     * Add or update a product from the modal, then close it
+     */
+    saveProductData(id, productData) {
+        if (id) {
+            this.dataManager.updateProduct(id, productData);
+            this.showToast('Product updated!', 'success');
+        } else {
+            this.dataManager.addProduct(productData);
+            this.showToast('Product added!', 'success');
+        }
+
+        this.closeModal('product-modal');
+        this.renderAll();
+    }
+
+    /**
+     * Edit product
+     */
+    editProduct(id) {
+        this.openProductModal(id);
+    }
+
+    /**
+     * Delete product
+     */
+    deleteProduct(id) {
+        const product = this.dataManager.getProducts().find(p => p.id === id);
+
+        const bundles = this.businessLogic.getBundlesUsingProduct(id);
+        if (bundles.length > 0) {
+            this.showToast(`Cannot delete - part of bundle: ${bundles.map(b => b.name).join(', ')}`, 'error');
+            return;
+        }
+
+        this.showConfirmDialog(
+            'Delete Product',
+            `Are you sure you want to delete "${product.name}"?`,
+            () => {
+                this.dataManager.deleteProduct(id);
+                this.showToast('Product deleted', 'success');
+                this.renderAll();
+            }
+        );
+    }
+
+    // ========================================
+    // INVENTORY SCREEN
+    // ========================================
+
+    /**
+     * Render inventory screen with FIXED costing display
+     */
+    renderInventory() {
+        const ingredients = this.dataManager.getIngredients();
+        const list = document.getElementById('ingredient-list');
+        
+        // Check for low stock items (prepared ingredients are prepped, not bought)
+        const lowStockItems = this.businessLogic.getLowStockIngredients().filter(i => !this.businessLogic.isPrepared(i));
+        const restockBtn = document.getElementById('restock-btn');
+        restockBtn.textContent = lowStockItems.length > 0
+            ? `📦 Restock (${lowStockItems.length} Low)`
+            : '📦 Restock';
+        
+        // Get stock changes since last snapshot
+        const stockChanges = this.dataManager.getStockChanges();
+
+        if (ingredients.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>No ingredients yet</p>
+                    <p class="empty-hint">Add your first ingredient</p>
+                </div>
+            `;
+        } else {
+            list.innerHTML = ingredients.map(ingredient => {
+                const stockPercent = ingredient.lowStockThreshold 
+                    ? (ingredient.totalQuantity / ingredient.lowStockThreshold) * 100 
+                    : 100;
+                const stockClass = ingredient.totalQuantity <= 0 ? 'out' 
+                    : (ingredient.lowStockThreshold && ingredient.totalQuantity <= ingredient.lowStockThreshold) ? 'low' 
+                    : '';
+                const isLowStock = ingredient.lowStockThreshold && ingredient.totalQuantity <= ingredient.lowStockThreshold;
+                const unitCost = this.businessLogic.getUnitCost(ingredient);
+                const isPrepared = this.businessLogic.isPrepared(ingredient);
+                
+                // Check for stock changes
+                const change = stockChanges[ingredient.id];
+                let changeIndicator = '';
+                if (change) {
+                    const changeClass = change.change > 0 ? 'stock-increase' : 'stock-decrease';
+                    const changeIcon = change.change > 0 ? '↑' : '↓';
+                    const changeText = Math.abs(change.change).toFixed(1);
+                    changeIndicator = `
+                        <span class="stock-change-badge ${changeClass}" title="Changed from ${change.old} ${ingredient.unit}">
+                            ${changeIcon} ${changeText} ${ingredient.unit}
+                        </span>
+                    `;
+                }
+
+                return `
+                    <div class="ingredient-card">
+                        <div class="card-header">
+                            <div class="card-title">${ingredient.name}</div>
+                            <div style="display: flex; gap: 0.5rem; align-items: center;">
+                                ${isPrepared ? '<span class="card-badge prepared">Prepared</span>' : ''}
+                                ${isLowStock ? '<span class="card-badge low-stock">Low Stock</span>' : ''}
+                                ${changeIndicator}
+                            </div>
+                        </div>
+
+                        <div class="stock-bar">
+                            <div class="stock-fill ${stockClass}" style="width: ${Math.min(stockPercent, 100)}%"></div>
+                        </div>
+
+                        <div class="ingredient-info">
+                            <div class="info-item">
+                                <span class="info-label">Current Stock</span>
+                                <span class="info-value">${ingredient.totalQuantity} ${ingredient.unit}</span>
+                            </div>
+                            <div class="info-item">
+                                <span class="info-label">Low Stock Alert</span>
+                                <span class="info-value">${ingredient.lowStockThreshold || 'Not set'} ${ingredient.lowStockThreshold ? ingredient.unit : ''}</span>
+                            </div>
+                            ${(ingredient.packSizes || []).length === 0 ? '' : `
+                                <div class="info-item">
+                                    <span class="info-label">Pack Sizes</span>
+                                    <span class="info-value">${ingredient.packSizes.map(pack => `${pack.name} = ${pack.quantity}`).join(', ')}</span>
+                                </div>
+                            `}
+                            ${unitCost === null ? '' : `
+                                <div class="info-item">
+                                    <span class="info-label">Unit Cost</span>
+                                    <span class="info-value">${this.formatUnitCost(unitCost)}/${ingredient.unit}</span>
+                                </div>
+                            `}
+                            ${!isPrepared ? '' : `
+                                <div class="info-item">
+                                    <span class="info-label">One Batch</span>
+                                    <span class="info-value">${this.formatQuantity(ingredient.prepYield)} ${ingredient.unit} from ${this.describePrepRecipe(ingredient)}</span>
+                                </div>
+                            `}
+                        </div>
+
+                        <div class="stock-actions">
+                            <button class="stock-adjust-btn" data-action="quick-add" data-id="${ingredient.id}" title="Quick add stock">
+                                <span class="stock-btn-icon">+</span>
+                                <span class="stock-btn-label">Add Stock</span>
+                            </button>
+                            <button class="stock-adjust-btn" data-action="quick-remove" data-id="${ingredient.id}" title="Quick remove stock">
+                                <span class="stock-btn-icon">−</span>
+                                <span class="stock-btn-label">Remove</span>
+                            </button>
+                            ${!isPrepared ? '' : `
+                                <button class="stock-adjust-btn" data-action="prep" data-id="${ingredient.id}" title="Prep a batch from the raw ingredients">
+                                    <span class="stock-btn-icon">🧪</span>
+                                    <span class="stock-btn-label">Prep Batch</span>
+                                </button>
+                            `}
+                        </div>
+
+                        <div class="card-actions">
+                            <button class="card-btn" data-action="history" data-id="${ingredient.id}">
+                                History
+                            </button>
+                            <button class="card-btn" data-action="edit" data-id="${ingredient.id}">
+                                Edit
+                            </button>
+                            <button class="card-btn danger" data-action="delete" data-id="${ingredient.id}">
+                                Delete
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            // Add click handlers
+            list.querySelectorAll('[data-action="history"]').forEach(btn => {
+                btn.addEventListener('click', () => this.openStockHistory(btn.dataset.id));
+            });
+            list.querySelectorAll('[data-action="edit"]').forEach(btn => {
+                btn.addEventListener('click', () => this.editIngredient(btn.dataset.id));
+            });
+            list.querySelectorAll('[data-action="delete"]').forEach(btn => {
+                btn.addEventListener('click', () => this.deleteIngredient(btn.dataset.id));
+            });
+            list.querySelectorAll('[data-action="quick-add"]').forEach(btn => {
+                btn.addEventListener('click', () => this.quickAdjustStock(btn.dataset.id, 'add'));
+            });
+            list.querySelectorAll('[data-action="quick-remove"]').forEach(btn => {
+                btn.addEventListener('click', () => this.quickAdjustStock(btn.dataset.id, 'remove'));
+            });
+            list.querySelectorAll('[data-action="prep"]').forEach(btn => {
+                btn.addEventListener('click', () => this.prepBatch(btn.dataset.id));
+            });
+        }
+    }
+
+    /**
+     * Show one ingredient's stock movement ledger (newest first)
+     */
+    openStockHistory(ingredientId) {
+        const ingredient = this.dataManager.getIngredients().find(i => i.id === ingredientId);
+        if (!ingredient) return;
+
+        const typeLabels = {
+            sale: 'Sale',
+            undo: 'Undo',
+            void: 'Void',
+            restock: 'Restock',
+            adjustment: 'Manual Adjustment',
+            waste: 'Waste',
+            stocktake: 'Stocktake',
+            prep: 'Batch Prep',
+            edit: 'Edit'
+        };
+        const eventNames = {};
+        this.dataManager.getEventHistory().forEach(e => { eventNames[e.id] = e.name; });
+        const activeEvent = this.dataManager.getActiveEvent();
+        if (activeEvent) eventNames[activeEvent.id] = activeEvent.name;
+
+        const maxRows = 200;
+        const entries = this.dataManager.getStockLedger(ingredientId).reverse();
+        const formatQty = qty => `${Math.round(qty * 100) / 100}`;
+
+        document.getElementById('stock-history-title').textContent = `${ingredient.name} - Stock History`;
+        document.getElementById('stock-history-body').innerHTML = entries.length === 0 ? `
+            <div class="empty-state">
+                <p>No stock movements yet</p>
+            </div>
+        ` : `
+            <p class="setting-description" style="margin-bottom: var(--spacing-sm);">
+                Current stock: <strong>${formatQty(ingredient.totalQuantity)} ${ingredient.unit}</strong> · ${entries.length} movements
+            </p>
+            <table class="comparison-table">
+                <thead>
+                    <tr><th>When</th><th>Type</th><th>Change</th><th>Balance</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.slice(0, maxRows).map(entry => `
+                        <tr>
+                            <td>
+                                ${this.formatDateTime(new Date(entry.timestamp))}
+                                <div class="history-meta">
+                                    ${[eventNames[entry.eventId], entry.saleId ? `Sale #${entry.saleId.slice(-6)}` : '', entry.note]
+                                        .filter(Boolean).join(' · ')}
+                                </div>
+                            </td>
+                            <td>${typeLabels[entry.type] || entry.type}</td>
+                            <td class="${entry.delta > 0 ? 'stock-increase' : 'stock-decrease'}">
+                                ${entry.delta > 0 ? '+' : '−'}${formatQty(Math.abs(entry.delta))}
+                            </td>
+                            <td>${entry.balance === null ? '-' : formatQty(entry.balance)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${entries.length > maxRows ? `<p class="setting-description">Showing latest ${maxRows} of ${entries.length}</p>` : ''}
+        `;
+
+        this.openModal('stock-history-modal');
+    }
+
+    /**
+     * Quick stock adjustment (add/remove without opening full edit modal)
+     */
+    quickAdjustStock(ingredientId, action) {
+        const ingredient = this.dataManager.getIngredients().find(i => i.id === ingredientId);
+        if (!ingredient) return;
+
+        const actionLabel = action === 'add' ? 'Add' : 'Remove';
+        const currentStock = ingredient.totalQuantity;
+        
+        // Prompt for quantity
+        const unitHint = this.businessLogic.getUnitOptions(ingredient).map(o => o.id.replace(/^pack:/, '')).join(', ');
+        const promptMessage = action === 'add' 
+            ? `Add stock to ${ingredient.name}\n\nCurrent: ${currentStock} ${ingredient.unit}\n\nEnter amount to ADD (${ingredient.unit}, or with a unit: ${unitHint}):`
+            : `Remove stock from ${ingredient.name}\n\nCurrent: ${currentStock} ${ingredient.unit}\n\nEnter amount to REMOVE (${ingredient.unit}, or with a unit: ${unitHint}):`;
+        
+        const amountStr = prompt(promptMessage);
+        
+        if (amountStr === null) return; // Cancelled
+        
+        let amount;
+        try {
+            amount = this.businessLogic.parseQuantityInput(amountStr, ingredient);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        
+        if (isNaN(amount) || amount <= 0) {
+            this.showToast('Please enter a valid positive number', 'error');
+            return;
+        }
+
+        // Calculate new stock
+        let newStock;
+        if (action === 'add') {
+            newStock = currentStock + amount;
+        } else {
+            newStock = currentStock - amount;
+            if (newStock < 0) {
+                this.showToast('Cannot remove more than current stock', 'error');
+                return;
+            }
+        }
+
+        // Update stock
+        try {
+            this.dataManager.adjustIngredientStock(ingredientId, newStock - currentStock, 'adjustment', {
+                note: action === 'add' ? 'Quick add' : 'Quick remove'
+            });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+        
+        // Update snapshot for next comparison
+        this.dataManager.takeStockSnapshot();
+
+        // Show confirmation
+        const change = `${action === 'add' ? '+' : '-'}${this.formatQuantity(amount)}`;
+        this.showToast(`${ingredient.name}: ${change} ${ingredient.unit} (now ${this.formatQuantity(newStock)} ${ingredient.unit})`, 'success');
+        
+        this.renderAll();
+    }
+
+    /**
+     * Raw ingredients of one prep batch, e.g. "Coffee Beans 100 g, Water 1000 ml"
+     */
+    describePrepRecipe(ingredient) {
+        const ingredients = this.dataManager.getIngredients();
+        return ingredient.prepRecipe.map(item => {
+            const raw = ingredients.find(i => i.id === item.ingredientId);
+            return raw ? `${raw.name} ${this.formatQuantity(item.quantity)} ${raw.unit}` : 'Unknown ingredient';
+        }).join(', ');
+    }
+
+    /**
+     * Prep batches of a prepared ingredient: uses up the raw ingredients and adds to its stock
+     */
+    prepBatch(ingredientId) {
+        const ingredient = this.dataManager.getIngredients().find(i => i.id === ingredientId);
+        if (!ingredient) return;
+
+        const batchesStr = prompt(
+            `Prep ${ingredient.name}\n\n` +
+            `One batch makes ${this.formatQuantity(ingredient.prepYield)} ${ingredient.unit} from:\n${this.describePrepRecipe(ingredient)}\n\n` +
+            'How many batches? (e.g. 1, 0.5)',
+            '1'
+        );
+
+        if (batchesStr === null) return; // Cancelled
+
+        const batches = parseFloat(batchesStr);
+        if (isNaN(batches) || batches <= 0) {
+            this.showToast('Please enter a valid positive number', 'error');
+            return;
+        }
+
+        let result;
+        try {
+            result = this.businessLogic.prepareBatch(ingredientId, batches);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.dataManager.takeStockSnapshot();
+        this.showToast(`Prepped ${this.formatQuantity(result.produced)} ${ingredient.unit} ${ingredient.name}`, 'success');
+        this.renderAll();
+    }
+
+    /**
+     * Open stocktake sheet: every ingredient with its expected quantity and a count field
+     */
+    openStocktakeModal() {
+        const ingredients = this.dataManager.getIngredients();
+        if (ingredients.length === 0) {
+            this.showToast('Add ingredients first', 'error');
+            return;
+        }
+
+        const body = document.getElementById('stocktake-body');
+        body.innerHTML = `
+            <table class="comparison-table">
+                <thead>
+                    <tr><th>Ingredient</th><th>Expected</th><th>Counted</th><th>Variance</th></tr>
+                </thead>
+                <tbody>
+                    ${ingredients.map(ingredient => `
+                        <tr>
+                            <td>${ingredient.name}</td>
+                            <td>${this.formatQuantity(ingredient.totalQuantity)} ${ingredient.unit}</td>
+                            <td>
+                                <input type="number" class="stocktake-count" data-id="${ingredient.id}"
+                                    data-expected="${ingredient.totalQuantity}" step="0.01" min="0" inputmode="decimal">
+                            </td>
+                            <td class="stocktake-variance" data-id="${ingredient.id}">-</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        body.querySelectorAll('.stocktake-count').forEach(input => {
+            input.addEventListener('input', () => this.updateStocktakeVariance());
+        });
+
+        const lastStocktake = this.dataManager.getStocktakes().pop();
+        document.getElementById('stocktake-counted-by').value = lastStocktake ? lastStocktake.countedBy : '';
+        document.getElementById('stocktake-note').value = '';
+        this.updateStocktakeVariance();
+        this.openModal('stocktake-modal');
+    }
+
+    /**
+     * Refresh variance cells and the counted/variance summary as counts are typed
+     */
+    updateStocktakeVariance() {
+        let counted = 0;
+        let withVariance = 0;
+
+        document.querySelectorAll('#stocktake-body .stocktake-count').forEach(input => {
+            const cell = document.querySelector(`#stocktake-body .stocktake-variance[data-id="${input.dataset.id}"]`);
+            const value = parseFloat(input.value);
+
+            if (input.value === '' || isNaN(value)) {
+                cell.textContent = '-';
+                cell.className = 'stocktake-variance';
+                return;
+            }
+
+            const variance = value - parseFloat(input.dataset.expected);
+            counted++;
+            if (variance !== 0) withVariance++;
+            cell.textContent = variance === 0 ? '0' : `${variance > 0 ? '+' : '−'}${this.formatQuantity(Math.abs(variance))}`;
+            cell.className = `stocktake-variance ${variance > 0 ? 'stock-increase' : variance < 0 ? 'stock-decrease' : ''}`;
+        });
+
+        document.getElementById('stocktake-summary').textContent =
+            `${counted} counted · ${withVariance} with variance`;
+    }
+
+    /**
+     * Commit the stocktake as one reconciliation record
+     */
+    saveStocktake() {
+        const counts = {};
+        document.querySelectorAll('#stocktake-body .stocktake-count').forEach(input => {
+            if (input.value !== '') counts[input.dataset.id] = input.value;
+        });
+
+        const countedBy = document.getElementById('stocktake-counted-by').value;
+        const note = document.getElementById('stocktake-note').value.trim();
+        const countedItems = Object.keys(counts).length;
+        const activeEvent = this.dataManager.getActiveEvent();
+
+        if (countedItems === 0) {
+            this.showToast('Enter at least one counted quantity', 'error');
+            return;
+        }
+
+        this.showConfirmDialog(
+            'Commit Stocktake?',
+            `Set ${countedItems} ingredient${countedItems !== 1 ? 's' : ''} to the counted quantities` +
+                `${activeEvent ? ` and attach the count to "${activeEvent.name}"` : ''}?`,
+            () => {
+                try {
+                    const stocktake = this.businessLogic.reconcileStocktake(counts, { countedBy, note });
+                    this.dataManager.takeStockSnapshot();
+
+                    const adjusted = stocktake.lines.filter(line => line.variance !== 0).length;
+                    this.showToast(`Stocktake saved: ${adjusted} adjustment${adjusted !== 1 ? 's' : ''}`, 'success');
+                    this.closeModal('stocktake-modal');
+                    this.renderAll();
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        );
     }
 
     /**
-     * Open start event modal
+     * Build stocktake reconciliation HTML (variances only; matching counts are summarised)
      */
-    openStartEventModal() {
-        document.getElementById('event-name').value = '';
-        document.getElementById('event-fixed-cost').value = '';
-        document.getElementById('event-planned-output').value = '';
-        
-        // Clear break-even display
-        this.updateBreakEvenCalc();
-        
-        this.openModal('start-event-modal');
+    renderStocktakesHTML(stocktakes) {
+        if (stocktakes.length === 0) {
+            return '<p class="empty-hint">No stocktake recorded for this event</p>';
+        }
+
+        return stocktakes.map(stocktake => {
+            const variances = stocktake.lines.filter(line => line.variance !== 0);
+            return `
+                <p class="setting-description" style="margin-bottom: var(--spacing-xs);">
+                    ${this.formatDateTime(new Date(stocktake.timestamp))}
+                    ${stocktake.countedBy ? ` · ${stocktake.countedBy}` : ''}
+                    · ${stocktake.lines.length} counted, ${variances.length} with variance
+                    ${stocktake.note ? ` · ${stocktake.note}` : ''}
+                </p>
+                ${variances.length === 0 ? '' : `
+                    <table class="comparison-table" style="margin-bottom: var(--spacing-md);">
+                        <thead>
+                            <tr><th>Ingredient</th><th>Expected</th><th>Counted</th><th>Variance</th></tr>
+                        </thead>
+                        <tbody>
+                            ${variances.map(line => `
+                                <tr>
+                                    <td>${line.ingredientName}</td>
+                                    <td>${this.formatQuantity(line.expected)} ${line.unit}</td>
+                                    <td>${this.formatQuantity(line.counted)} ${line.unit}</td>
+                                    <td class="${line.variance > 0 ? 'stock-increase' : 'stock-decrease'}">
+                                        ${line.variance > 0 ? '+' : '−'}${this.formatQuantity(Math.abs(line.variance))}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            `;
+        }).join('');
     }
 
     /**
-     * Start event
+     * Open restock screen: every ingredient (low stock first) with quantity, cost and supplier
      */
-    startEvent() {
-        const name = document.getElementById('event-name').value;
-        const fixedCost = parseFloat(document.getElementById('event-fixed-cost').value);
-        const plannedOutput = parseInt(document.getElementById('event-planned-output').value) || null;
-
-        if (!name || name.trim() === '') {
-            this.showToast('Please enter an event name', 'error');
+    openRestockModal() {
+        // Prepared ingredients are made with Prep Batch, not bought
+        const ingredients = this.dataManager.getIngredients().filter(i => !this.businessLogic.isPrepared(i));
+        if (ingredients.length === 0) {
+            this.showToast('Add ingredients first', 'error');
             return;
         }
 
-        if (isNaN(fixedCost) || fixedCost < 0) {
-            this.showToast('Please enter a valid fixed cost', 'error');
-            return;
+        const lowStockIds = new Set(this.businessLogic.getLowStockIngredients().map(i => i.id));
+        const purchases = this.dataManager.getPurchases();
+        const lastSupplier = {};
+        const lastUnit = {};
+        purchases.forEach(p => {
+            if (p.supplier) lastSupplier[p.ingredientId] = p.supplier;
+            lastUnit[p.ingredientId] = p.purchaseUnit || p.unit;
+        });
+
+        const sorted = ingredients.slice().sort((a, b) => lowStockIds.has(b.id) - lowStockIds.has(a.id));
+        const body = document.getElementById('restock-body');
+        body.innerHTML = `
+            <table class="comparison-table">
+                <thead>
+                    <tr><th>Ingredient</th><th>Bought</th><th>Unit</th><th>Cost (₱)</th><th>Supplier</th></tr>
+                </thead>
+                <tbody>
+                    ${sorted.map(ingredient => `
+                        <tr>
+                            <td>
+                                ${ingredient.name}
+                                <div class="history-meta">
+                                    ${this.formatQuantity(ingredient.totalQuantity)} ${ingredient.unit} left
+                                    ${lowStockIds.has(ingredient.id) ? ' · <span class="stock-decrease">Low</span>' : ''}
+                                </div>
+                            </td>
+                            <td>
+                                <input type="number" class="restock-input restock-qty" data-id="${ingredient.id}"
+                                    step="0.01" min="0" inputmode="decimal" placeholder="0">
+                            </td>
+                            <td>
+                                <select class="restock-input restock-unit" data-id="${ingredient.id}">
+                                    ${this.businessLogic.getUnitOptions(ingredient).map(option => `
+                                        <option value="${option.id}" ${option.id === lastUnit[ingredient.id] ? 'selected' : ''}>${option.label}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td>
+                                <input type="number" class="restock-input restock-cost" data-id="${ingredient.id}"
+                                    step="0.01" min="0" inputmode="decimal" placeholder="0.00">
+                            </td>
+                            <td>
+                                <input type="text" class="restock-input restock-supplier" data-id="${ingredient.id}"
+                                    list="restock-suppliers" value="${lastSupplier[ingredient.id] || ''}">
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        body.querySelectorAll('.restock-qty, .restock-cost').forEach(input => {
+            input.addEventListener('input', () => this.updateRestockTotal());
+        });
+
+        document.getElementById('restock-suppliers').innerHTML = [...new Set(purchases.map(p => p.supplier).filter(Boolean))]
+            .map(supplier => `<option value="${supplier}">`)
+            .join('');
+
+        // Today in local time for the date input
+        const today = new Date();
+        today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+        document.getElementById('restock-date').value = today.toISOString().slice(0, 10);
+
+        const activeEvent = this.dataManager.getActiveEvent();
+        document.getElementById('restock-event-cost-group').style.display = activeEvent ? 'block' : 'none';
+        document.getElementById('restock-add-to-event').checked = false;
+        if (activeEvent) {
+            document.getElementById('restock-add-to-event-label').textContent =
+                `Add spend to "${activeEvent.name}" fixed cost`;
         }
 
-        this.dataManager.startEvent({ name, fixedCost, plannedOutput });
-        this.showToast(`Event "${name}" started!`, 'success');
-        this.closeModal('start-event-modal');
-        this.renderAll();
+        this.updateRestockTotal();
+        this.renderPurchaseList();
+        this.openModal('restock-modal');
     }
 
     /**
-     * Update break-even calculation in Start Event modal
-     * Shows estimated break-even price based on fixed cost and planned output
+     * Read the restock rows that have a quantity entered
      */
-    updateBreakEvenCalc() {
-        const fixedCost = parseFloat(document.getElementById('event-fixed-cost').value) || 0;
-        const plannedOutput = parseInt(document.getElementById('event-planned-output').value) || 0;
-        const breakEvenDiv = document.getElementById('break-even-calc');
-        
-        if (!breakEvenDiv) return;
-        
-        if (fixedCost > 0 && plannedOutput > 0) {
-            const breakEvenPrice = fixedCost / plannedOutput;
-            
-            breakEvenDiv.innerHTML = `
-                <div style="margin-top: var(--spacing-md); padding: var(--spacing-md); background: var(--surface); border-left: 3px solid var(--primary); border-radius: var(--border-radius);">
-                    <div style="font-weight: 600; color: var(--text-primary); margin-bottom: var(--spacing-xs);">
-                        💡 Break-Even Estimate
-                    </div>
-                    <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">
-                        To cover ₱${fixedCost.toFixed(2)} with ${plannedOutput} items, you need to average:
-                    </div>
-                    <div style="font-size: var(--font-size-xl); font-weight: 700; color: var(--primary); margin-top: var(--spacing-xs);">
-                        ${this.formatCurrency(breakEvenPrice)} per item
-                    </div>
-                    <div style="color: var(--text-secondary); font-size: var(--font-size-xs); margin-top: var(--spacing-xs); font-style: italic;">
-                        This is just a reference - doesn't affect accounting
-                    </div>
-                </div>
-            `;
-        } else {
-            breakEvenDiv.innerHTML = '';
-        }
+    getRestockLines() {
+        const lines = [];
+        document.querySelectorAll('#restock-body .restock-qty').forEach(input => {
+            if (input.value === '') return;
+            const id = input.dataset.id;
+            lines.push({
+                ingredientId: id,
+                quantity: input.value,
+                unit: document.querySelector(`#restock-body .restock-unit[data-id="${id}"]`).value,
+                cost: document.querySelector(`#restock-body .restock-cost[data-id="${id}"]`).value,
+                supplier: document.querySelector(`#restock-body .restock-supplier[data-id="${id}"]`).value
+            });
+        });
+        return lines;
     }
 
     /**
-     * Open end event modal
+     * Refresh the item count and total spend as the form is filled in
      */
-    openEndEventModal() {
-        const activeEvent = this.dataManager.getActiveEvent();
-        if (!activeEvent) return;
+    updateRestockTotal() {
+        const lines = this.getRestockLines();
+        const total = lines.reduce((sum, line) => sum + (parseFloat(line.cost) || 0), 0);
 
-        const summary = this.businessLogic.getSalesSummary();
-        const summaryDiv = document.getElementById('end-event-summary');
+        document.getElementById('restock-total').textContent =
+            `${lines.length} item${lines.length !== 1 ? 's' : ''} · Total spend ${this.formatCurrency(total)}`;
+    }
 
-        const profitClass = summary.netProfit >= 0 ? 'success' : 'danger';
-        const profitLabel = summary.netProfit >= 0 ? 'Profit' : 'Loss';
+    /**
+     * Save the restock as purchase records and update stock
+     */
+    saveRestock() {
+        try {
+            const result = this.businessLogic.recordPurchases(this.getRestockLines(), {
+                date: document.getElementById('restock-date').value,
+                addToEventCost: document.getElementById('restock-add-to-event').checked
+            });
+            this.dataManager.takeStockSnapshot();
 
-        // Build planned output section if it exists
-        let plannedOutputSection = '';
-        if (activeEvent.plannedOutput) {
-            const percentage = Math.min((summary.itemsSold / activeEvent.plannedOutput) * 100, 100);
-            const achieved = summary.itemsSold >= activeEvent.plannedOutput;
-            
-            plannedOutputSection = `
-                <div style="background: var(--surface); padding: var(--spacing-md); border-radius: var(--border-radius); margin-bottom: var(--spacing-md); border-left: 3px solid var(--${achieved ? 'success' : 'warning'});">
-                    <div style="font-weight: 600; margin-bottom: var(--spacing-xs);">
-                        📊 Planned Output: ${activeEvent.plannedOutput} items
-                    </div>
-                    <div style="display: flex; justify-content: space-between; align-items: baseline;">
-                        <span style="font-size: var(--font-size-lg); font-weight: 700; color: var(--${achieved ? 'success' : 'warning'});">
-                            ${summary.itemsSold} sold (${percentage.toFixed(1)}%)
-                        </span>
-                        <span style="color: var(--${achieved ? 'success' : 'text-secondary'});">
-                            ${achieved ? '✅ Goal Achieved!' : `${activeEvent.plannedOutput - summary.itemsSold} short`}
-                        </span>
-                    </div>
-                </div>
-            `;
+            const count = result.records.length;
+            this.showToast(`Restocked ${count} item${count !== 1 ? 's' : ''} (${this.formatCurrency(result.totalCost)})`, 'success');
+            this.closeModal('restock-modal');
+            this.renderAll();
+        } catch (error) {
+            this.showToast(error.message, 'error');
         }
+    }
 
-        summaryDiv.innerHTML = `
-            <h3 style="margin-bottom: var(--spacing-md);">${activeEvent.name}</h3>
-            ${plannedOutputSection}
-            <div style="background: var(--background); padding: var(--spacing-md); border-radius: var(--border-radius); margin-bottom: var(--spacing-md);">
-                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
-                    <span>Total Revenue:</span>
-                    <strong>${this.formatCurrency(summary.totalRevenue)}</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0; border-bottom: 2px solid var(--border);">
-                    <span>Fixed Cost:</span>
-                    <strong>${this.formatCurrency(summary.fixedCost)}</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; padding: var(--spacing-sm) 0; font-size: var(--font-size-lg);">
-                    <span>Net ${profitLabel}:</span>
-                    <strong style="color: var(--${profitClass});">${this.formatCurrency(Math.abs(summary.netProfit))}</strong>
-                </div>
-                <div style="display: flex; justify-content: space-between; padding: var(--spacing-xs) 0;">
-                    <span>Items Sold:</span>
-                    <strong>${summary.itemsSold}</strong>
+    /**
+     * List recent purchases (newest first)
+     */
+    renderPurchaseList() {
+        const list = document.getElementById('purchase-list');
+        const purchases = this.dataManager.getPurchases().slice(-20).reverse();
+
+        if (purchases.length === 0) {
+            list.innerHTML = '<p class="empty-hint">No purchases recorded yet</p>';
+            return;
+        }
+
+        list.innerHTML = purchases.map(purchase => `
+            <div class="transaction-item">
+                <div>
+                    <div class="transaction-product">
+                        ${purchase.purchaseUnit
+                            ? `${this.formatQuantity(purchase.purchaseQuantity)} ${purchase.purchaseUnitLabel} (${this.formatQuantity(purchase.quantity)} ${purchase.unit})`
+                            : `${this.formatQuantity(purchase.quantity)} ${purchase.unit}`}
+                        ${purchase.ingredientName}
+                    </div>
+                    <div class="transaction-meta">
+                        ${new Date(purchase.date + 'T00:00').toLocaleDateString()}${purchase.supplier ? ` · ${purchase.supplier}` : ''}
+                        ${purchase.addedToEventCost ? ' · Added to event cost' : ''}
+                    </div>
                 </div>
+                <div class="transaction-price">${this.formatCurrency(purchase.cost)}</div>
             </div>
-        `;
-
-        this.openModal('end-event-modal');
+        `).join('');
     }
 
     /**
-     * End event
+     * Open ingredient modal - QUANTITY ONLY
      */
-    endEvent() {
-        const event = this.dataManager.endEvent();
+    openIngredientModal(ingredientId = null) {
+        this.editingIngredient = ingredientId;
+        const modal = document.getElementById('ingredient-modal');
+        const form = document.getElementById('ingredient-form');
+        
+        // Reset form
+        form.reset();
+        document.getElementById('ingredient-id').value = '';
+        document.getElementById('prep-recipe-builder').innerHTML = '';
 
-        if (event) {
-            const profitLabel = event.profit >= 0 ? 'Profit' : 'Loss';
-            this.showToast(
-                `Event ended: ${event.name} - ${profitLabel}: ${this.formatCurrency(Math.abs(event.profit))}`,
-                event.profit >= 0 ? 'success' : 'warning'
-            );
+        if (ingredientId) {
+            // Edit mode
+            const ingredient = this.dataManager.getIngredients().find(i => i.id === ingredientId);
+            document.getElementById('ingredient-modal-title').textContent = 'Edit Ingredient';
+            document.getElementById('ingredient-id').value = ingredient.id;
+            document.getElementById('ingredient-name').value = ingredient.name;
+            document.getElementById('ingredient-unit').value = ingredient.unit;
+            document.getElementById('ingredient-total-quantity').value = ingredient.totalQuantity;
+            document.getElementById('ingredient-threshold').value = ingredient.lowStockThreshold || '';
+            document.getElementById('ingredient-batch-cost').value = ingredient.batchCost ?? '';
+            document.getElementById('ingredient-batch-quantity').value = ingredient.batchQuantity ?? '';
+            document.getElementById('ingredient-pack-sizes').value = (ingredient.packSizes || [])
+                .map(pack => `${pack.name} = ${pack.quantity}`)
+                .join(', ');
+
+            if (this.businessLogic.isPrepared(ingredient)) {
+                document.getElementById('ingredient-is-prepared').checked = true;
+                document.getElementById('ingredient-prep-yield').value = ingredient.prepYield;
+                this.loadRecipeBuilder(ingredient.prepRecipe, this.getPrepBuilderOptions());
+            }
+        } else {
+            // Add mode
+            document.getElementById('ingredient-modal-title').textContent = 'Add Ingredient';
         }
 
-        this.closeModal('end-event-modal');
-        this.renderAll();
+        this.togglePrepSection();
+        this.updateUnitCostHint();
+        this.openModal('ingredient-modal');
     }
 
-    // ========================================
-    // DEMO MODE
-    // ========================================
+    /**
+     * Prep recipes use raw ingredients only (not other prepared ones, not itself)
+     */
+    getPrepBuilderOptions() {
+        return {
+            containerId: 'prep-recipe-builder',
+            ingredients: this.dataManager.getIngredients().filter(i =>
+                i.id !== this.editingIngredient && !this.businessLogic.isPrepared(i)
+            )
+        };
+    }
 
     /**
-     * Initialize demo mode on load
+     * Show prep recipe + yield or batch cost fields, depending on the prepared checkbox
      */
-    initDemoMode() {
-        const settings = this.dataManager.getSettings();
-        const toggle = document.getElementById('demo-mode-toggle');
-        
-        if (toggle) {
-            toggle.checked = settings.demoMode || false;
+    togglePrepSection() {
+        const isPrepared = document.getElementById('ingredient-is-prepared').checked;
+        document.getElementById('ingredient-prep-section').style.display = isPrepared ? 'block' : 'none';
+        document.getElementById('ingredient-batch-section').style.display = isPrepared ? 'none' : 'block';
+
+        // Hidden prep fields must not block saving a raw ingredient
+        document.querySelectorAll('#prep-recipe-builder [required]').forEach(field => {
+            field.disabled = !isPrepared;
+        });
+
+        if (isPrepared && document.querySelectorAll('#prep-recipe-builder .recipe-builder-item').length === 0) {
+            this.addRecipeBuilderItem('', '', '', this.getPrepBuilderOptions());
         }
-        
-        this.updateDemoIndicator(settings.demoMode || false);
     }
 
     /**
-     * Toggle demo mode
+     * Show the derived unit cost under the batch fields
      */
-    toggleDemoMode(enabled) {
-        const settings = this.dataManager.getSettings();
-        settings.demoMode = enabled;
-        this.dataManager.saveSettings(settings);
-        
-        this.updateDemoIndicator(enabled);
-        
-        if (enabled) {
-            this.showToast('Demo Mode ON - Sales won\'t affect inventory', 'warning');
-        } else {
-            this.showToast('Demo Mode OFF - Real sales enabled', 'success');
+    updateUnitCostHint() {
+        const unitCost = this.businessLogic.getUnitCost({
+            batchCost: parseFloat(document.getElementById('ingredient-batch-cost').value),
+            batchQuantity: parseFloat(document.getElementById('ingredient-batch-quantity').value)
+        });
+        const unit = document.getElementById('ingredient-unit').value;
+
+        document.getElementById('ingredient-unit-cost').textContent = unitCost === null
+            ? 'How much one batch contains'
+            : `Unit cost: ${this.formatUnitCost(unitCost)}${unit ? `/${unit}` : ''} (auto-calculated)`;
+    }
+
+    /**
+     * Save ingredient
+     * Stock quantity, plus optional batch cost (or prep recipe) for the cost of goods view
+     */
+    saveIngredient() {
+        const id = document.getElementById('ingredient-id').value;
+        const name = document.getElementById('ingredient-name').value;
+        const unit = document.getElementById('ingredient-unit').value;
+        const totalQuantity = parseFloat(document.getElementById('ingredient-total-quantity').value);
+        const lowStockThreshold = parseFloat(document.getElementById('ingredient-threshold').value) || null;
+        const isPrepared = document.getElementById('ingredient-is-prepared').checked;
+        const batchCostValue = document.getElementById('ingredient-batch-cost').value;
+        const batchQuantityValue = document.getElementById('ingredient-batch-quantity').value;
+        // Prepared ingredients are costed from their prep recipe instead
+        const batchCost = isPrepared || batchCostValue === '' ? null : parseFloat(batchCostValue);
+        const batchQuantity = isPrepared || batchQuantityValue === '' ? null : parseFloat(batchQuantityValue);
+
+        if (totalQuantity < 0) {
+            this.showToast('Quantity cannot be negative', 'error');
+            return;
+        }
+
+        let packSizes;
+        try {
+            packSizes = this.businessLogic.parsePackSizes(document.getElementById('ingredient-pack-sizes').value);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        // Recipes store quantities in the base unit, so it can't change under them
+        const existing = id && this.dataManager.getIngredients().find(i => i.id === id);
+        const usedInPreps = id ? this.businessLogic.getPrepsUsingIngredient(id) : [];
+        if (existing && existing.unit !== unit) {
+            const usedIn = [...this.businessLogic.getProductsUsingIngredient(id), ...usedInPreps];
+            if (usedIn.length > 0) {
+                this.showToast(`Can't change unit from ${existing.unit} to ${unit} - used in: ${usedIn.map(p => p.name).join(', ')}`, 'error');
+                return;
+            }
+        }
+
+        // Prepared ingredients: prep recipe + yield instead of a batch cost
+        let prepRecipe = [];
+        let prepYield = null;
+        if (isPrepared) {
+            if (usedInPreps.length > 0) {
+                this.showToast(`Can't make this a prepared ingredient - it's used to prep: ${usedInPreps.map(i => i.name).join(', ')}`, 'error');
+                return;
+            }
+
+            try {
+                prepRecipe = this.readRecipeBuilder('prep-recipe-builder');
+            } catch (error) {
+                this.showToast(error.message, 'error');
+                return;
+            }
+            prepYield = parseFloat(document.getElementById('ingredient-prep-yield').value);
+
+            if (prepRecipe.length === 0) {
+                this.showToast('Please add at least one ingredient to the prep recipe', 'error');
+                return;
+            }
+            if (!(prepYield > 0)) {
+                this.showToast('Yield per batch must be greater than zero', 'error');
+                return;
+            }
+        }
+
+        if ((batchCost === null) !== (batchQuantity === null)) {
+            this.showToast('Enter both batch cost and batch quantity, or leave both blank', 'error');
+            return;
+        }
+
+        if (batchCost !== null && (batchCost < 0 || !(batchQuantity > 0))) {
+            this.showToast('Batch quantity must be greater than zero', 'error');
+            return;
+        }
+
+        const ingredientData = {
+            name,
+            unit,
+            totalQuantity,
+            lowStockThreshold,
+            batchCost,           // Optional - only used for the cost of goods view
+            batchQuantity,
+            packSizes,
+            prepRecipe,
+            prepYield
+        };
+
+        try {
+            if (id) {
+                this.dataManager.updateIngredient(id, ingredientData);
+                this.showToast('Ingredient updated!', 'success');
+            } else {
+                this.dataManager.addIngredient(ingredientData);
+                this.showToast('Ingredient added!', 'success');
+            }
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
         }
-        
+
+        this.closeModal('ingredient-modal');
         this.renderAll();
     }
 
     /**
-     * Update demo mode indicator
+     * Edit ingredient
      */
-    updateDemoIndicator(isDemoMode) {
-        const indicator = document.getElementById('demo-indicator');
-        if (indicator) {
-            indicator.style.display = isDemoMode ? 'block' : 'none';
-        }
-        
-        // Update event banner to show demo mode
-        const eventBanner = document.getElementById('event-banner');
-        if (eventBanner) {
-            if (isDemoMode) {
-                eventBanner.classList.add('demo-mode');
-            } else {
-                eventBanner.classList.remove('demo-mode');
-            }
-        }
+    editIngredient(id) {
+        this.openIngredientModal(id);
     }
 
     /**
-     * Clear all demo sales
+     * Delete ingredient
      */
-    clearDemoSales() {
+    deleteIngredient(id) {
+        const ingredient = this.dataManager.getIngredients().find(i => i.id === id);
+        
+        // Check if ingredient is used in any products (recipes or modifier options) or prep recipes
+        const usedInProducts = [
+            ...this.businessLogic.getProductsUsingIngredient(id),
+            ...this.businessLogic.getPrepsUsingIngredient(id)
+        ];
+
+        if (usedInProducts.length > 0) {
+            const productNames = usedInProducts.map(p => p.name).join(', ');
+            this.showToast(`Cannot delete - used in: ${productNames}`, 'error');
+            return;
+        }
+
         this.showConfirmDialog(
-            'Clear Demo Sales',
-            'This will delete all demo/test sales. Real sales and inventory are not affected.',
+            'Delete Ingredient',
+            `Are you sure you want to delete "${ingredient.name}"?`,
             () => {
-                this.dataManager.clearAllDemoSales();
-                this.showToast('Demo sales cleared', 'success');
+                this.dataManager.deleteIngredient(id);
+                this.showToast('Ingredient deleted', 'success');
                 this.renderAll();
             }
         );
     }
 
     // ========================================
-    // THEME MANAGEMENT
+    // REPORTS SCREEN
     // ========================================
 
     /**
-     * Initialize theme on load
+     * Render reports screen with CORRECT ACCOUNTING
+     * Profit = Revenue - Fixed Event Cost
+     * Handles both real and demo sales
      */
-    initTheme() {
+    renderReports() {
+        const summary = this.businessLogic.getSalesSummary();
+        const breakdown = this.businessLogic.getSalesBreakdown();
+        
+        // Get appropriate sales based on mode (voided sales still listed)
         const settings = this.dataManager.getSettings();
-        const themeSelect = document.getElementById('theme-select');
+        const sales = settings.demoMode ? this.dataManager.getDemoSales() : this.dataManager.getSales();
+
+        // Update summary stats with CORRECT accounting
+        document.getElementById('report-revenue').textContent = this.formatCurrency(summary.totalRevenue);
+        document.getElementById('report-fixed-cost').textContent = this.formatCurrency(summary.fixedCost);
+        document.getElementById('report-profit').textContent = this.formatCurrency(summary.netProfit);
+        document.getElementById('report-items').textContent = summary.itemsSold;
         
-        if (themeSelect) {
-            themeSelect.value = settings.theme || 'auto';
+        // Update profit card styling based on profit/loss
+        const profitCard = document.getElementById('profit-card');
+        if (summary.netProfit < 0) {
+            profitCard.classList.remove('success');
+            profitCard.classList.add('loss');
+            profitCard.style.background = '#fee2e2';
+        } else {
+            profitCard.classList.add('success');
+            profitCard.classList.remove('loss');
+            profitCard.style.background = '#dcfce7';
         }
-        
-        this.applyTheme(settings.theme || 'auto');
-        
-        // Listen for system theme changes when in auto mode
-        if (window.matchMedia) {
-            window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-                const settings = this.dataManager.getSettings();
-                if (settings.theme === 'auto') {
-                    this.applyTheme('auto');
-                }
-            });
+
+        // Cost of goods view (alongside, not instead of, fixed-cost profit)
+        const cogs = this.businessLogic.getCostOfGoodsSummary();
+        document.getElementById('report-cogs').textContent = this.formatCurrency(cogs.cogs);
+        document.getElementById('report-gross-profit').textContent = this.formatCurrency(cogs.grossProfit);
+        document.getElementById('report-gross-margin').textContent =
+            cogs.grossMargin === null ? '-' : `${cogs.grossMargin.toFixed(1)}%`;
+        document.getElementById('report-cogs-note').textContent = cogs.uncostedItems > 0
+            ? `${cogs.uncostedItems} item${cogs.uncostedItems !== 1 ? 's' : ''} sold without a full recipe cost - add batch costs to ingredients for an accurate COGS.`
+            : 'Profit above uses the fixed event cost; this view uses ingredient batch costs instead.';
+
+        // Render sales breakdown
+        document.getElementById('sales-breakdown').innerHTML = this.renderBreakdownHTML(breakdown);
+
+        // Gross / discounts / net (net sales = revenue above)
+        const discountSummary = this.businessLogic.getDiscountSummary();
+        document.getElementById('report-gross-sales').textContent = this.formatCurrency(discountSummary.grossSales);
+        document.getElementById('report-discounts').textContent = this.formatCurrency(discountSummary.discounts);
+        document.getElementById('report-net-sales').textContent = this.formatCurrency(discountSummary.netSales);
+        document.getElementById('discount-breakdown').innerHTML = this.renderDiscountSummaryHTML(discountSummary);
+
+        // Render totals per payment method
+        document.getElementById('payment-breakdown').innerHTML =
+            this.renderPaymentBreakdownHTML(this.businessLogic.getPaymentBreakdown());
+
+        document.getElementById('waste-summary').innerHTML =
+            this.renderWasteSummaryHTML(this.businessLogic.getWasteSummary());
+
+        // Render transactions (last 10 unless expanded)
+        const transactionContainer = document.getElementById('transaction-list');
+        const visibleSales = this.showAllTransactions ? sales : sales.slice(-10);
+        transactionContainer.innerHTML = this.renderTransactionsHTML(visibleSales, { allowVoid: true });
+
+        transactionContainer.querySelectorAll('[data-action="void"]').forEach(btn => {
+            btn.addEventListener('click', () => this.voidSale(btn.dataset.id));
+        });
+
+        // Show all / show recent toggle
+        const toggleBtn = document.getElementById('toggle-transactions-btn');
+        if (toggleBtn) {
+            toggleBtn.style.display = sales.length > 10 ? 'block' : 'none';
+            toggleBtn.textContent = this.showAllTransactions ? 'Show Recent Only' : `Show All (${sales.length})`;
         }
+
+        this.renderTimeline();
+        this.renderAnalytics();
     }
 
     /**
-     * Change theme (called when user selects from dropdown)
+     * Render current event sales timeline and peak-hour heatmap
      */
-    changeTheme(theme) {
-        const settings = this.dataManager.getSettings();
-        settings.theme = theme;
-        this.dataManager.saveSettings(settings);
-        
-        this.applyTheme(theme);
-        
-        const themeNames = {
-            'auto': 'Auto (System)',
-            'light': 'Light Mode',
-            'dark': 'Dark Mode'
-        };
-        
-        this.showToast(`Theme: ${themeNames[theme]}`, 'success');
+    renderTimeline() {
+        const container = document.getElementById('sales-timeline-chart');
+        if (!container) return;
+
+        const timeline = this.businessLogic.getSalesTimeline(this.timelineBucket);
+        const showItems = this.timelineMetric === 'items';
+
+        container.innerHTML = this.charts.barChart(
+            timeline.map(bucket => ({
+                label: new Date(bucket.start).toLocaleTimeString('en-PH', { hour: '2-digit', minute: '2-digit' }),
+                value: showItems ? bucket.items : bucket.revenue
+            })),
+            { formatValue: value => showItems ? value : this.formatCurrency(value) }
+        );
+
+        document.getElementById('peak-hours-heatmap').innerHTML = this.charts.heatmap(
+            this.businessLogic.getPeakHourHeatmap(),
+            { formatValue: value => this.formatCurrency(value) }
+        );
     }
 
     /**
-     * Apply theme to the document
+     * Render cross-event analytics from archived events
+     * Trends per event, best sellers across events, and event comparison
      */
-    applyTheme(theme) {
-        const body = document.body;
-        
-        if (theme === 'dark') {
-            body.classList.add('dark-mode');
-        } else if (theme === 'light') {
-            body.classList.remove('dark-mode');
-        } else if (theme === 'auto') {
-            // Check system preference
-            const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-            if (prefersDark) {
-                body.classList.add('dark-mode');
-            } else {
-                body.classList.remove('dark-mode');
-            }
-        }
-    }
+    renderAnalytics() {
+        const trendContainer = document.getElementById('event-trend-chart');
+        if (!trendContainer) return;
+
+        const trends = this.businessLogic.getEventTrends();
+        const metrics = {
+            revenue: { label: 'Revenue', format: value => this.formatCurrency(value) },
+            profit: { label: 'Profit', format: value => this.formatCurrency(value) },
+            itemsSold: { label: 'Items Sold', format: value => value },
+            averageTicket: { label: 'Avg. Ticket', format: value => this.formatCurrency(value) }
+        };
+        const metric = metrics[this.trendMetric] || metrics.revenue;
 
-    // ========================================
-    // CASHIER SCREEN
-    // ========================================
+        trendContainer.innerHTML = this.charts.barChart(
+            trends.map(event => ({ label: event.name, value: event[this.trendMetric] })),
+            { formatValue: metric.format }
+        );
+
+        // Best sellers across all archived events
+        const topProducts = this.businessLogic.getTopProductsAcrossEvents(10);
+        document.getElementById('top-products-chart').innerHTML = this.charts.rankedBars(
+            topProducts.map(item => ({
+                label: item.productName,
+                value: item.count,
+                detail: this.formatCurrency(item.revenue)
+            })),
+            { formatValue: value => `${value} sold` }
+        );
+
+        this.renderEventComparison(trends);
+    }
 
     /**
-     * Render cashier screen
+     * Render event comparison selectors and result
+     * Defaults to the two most recent events
      */
-    renderCashier() {
-        const summary = this.businessLogic.getSalesSummary();
-        const activeEvent = this.dataManager.getActiveEvent();
-        
-        // Update stats
-        document.getElementById('total-sales').textContent = this.formatCurrency(summary.totalRevenue);
-        document.getElementById('items-sold').textContent = summary.itemsSold;
+    renderEventComparison(trends) {
+        const selectA = document.getElementById('compare-event-a');
+        const selectB = document.getElementById('compare-event-b');
+        const result = document.getElementById('event-comparison');
+
+        if (trends.length < 2) {
+            selectA.style.display = 'none';
+            selectB.style.display = 'none';
+            result.innerHTML = '<p class="empty-hint">End at least two events to compare them</p>';
+            return;
+        }
 
-        // Update planned output progress
-        this.updatePlannedOutputProgress(activeEvent, summary);
+        selectA.style.display = '';
+        selectB.style.display = '';
 
-        // Render product buttons
-        const products = this.dataManager.getProducts().filter(p => p.active);
-        const grid = document.getElementById('product-grid');
+        const options = trends.slice().reverse().map(event => `
+            <option value="${event.id}">${event.name} (${new Date(event.startTime).toLocaleDateString('en-PH')})</option>
+        `).join('');
 
-        if (products.length === 0) {
-            grid.innerHTML = `
-                <div class="empty-state">
-                    <p>No active products</p>
-                    <p class="empty-hint">Add products in the Products tab</p>
-                </div>
-            `;
-        } else {
-            grid.innerHTML = products.map(product => {
-                const canSell = this.businessLogic.canSellProduct(product.id);
-                return `
-                    <button class="product-btn ${canSell ? '' : 'out-of-stock'}" 
-                            data-product-id="${product.id}"
-                            ${canSell ? '' : 'disabled'}>
-                        <div class="product-btn-name">${product.name}</div>
-                        <div class="product-btn-price">${this.formatCurrency(product.sellingPrice)}</div>
-                    </button>
-                `;
-            }).join('');
+        const previousA = selectA.value;
+        const previousB = selectB.value;
+        selectA.innerHTML = options;
+        selectB.innerHTML = options;
+        selectA.value = trends.some(e => e.id === previousA) ? previousA : trends[trends.length - 2].id;
+        selectB.value = trends.some(e => e.id === previousB) ? previousB : trends[trends.length - 1].id;
 
-            // Add click handlers
-            grid.querySelectorAll('.product-btn').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    this.processSale(btn.dataset.productId);
-                });
-            });
+        const comparison = this.businessLogic.compareEvents(selectA.value, selectB.value);
+        if (!comparison) {
+            result.innerHTML = '';
+            return;
         }
 
-        // Update undo button
-        const lastSale = this.dataManager.getLastSale();
-        document.getElementById('undo-sale-btn').disabled = !lastSale;
+        const { a, b } = comparison;
+        const rows = [
+            ['Revenue', a.revenue, b.revenue, true],
+            ['Fixed Cost', a.fixedCost, b.fixedCost, true],
+            ['Profit', a.profit, b.profit, true],
+            ['Items Sold', a.itemsSold, b.itemsSold, false],
+            ['Orders', a.orders, b.orders, false],
+            ['Avg. Ticket', a.averageTicket, b.averageTicket, true]
+        ];
+
+        result.innerHTML = `
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>${a.name}</th>
+                        <th>${b.name}</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, valueA, valueB, isMoney]) => {
+                        const diff = valueB - valueA;
+                        const format = value => isMoney ? this.formatCurrency(value) : value;
+                        return `
+                            <tr>
+                                <td>${label}</td>
+                                <td>${format(valueA)}</td>
+                                <td>${format(valueB)}</td>
+                                <td class="${diff < 0 ? 'stock-decrease' : diff > 0 ? 'stock-increase' : ''}">
+                                    ${diff > 0 ? '+' : diff < 0 ? '−' : ''}${format(Math.abs(diff))}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            <div style="margin-top: var(--spacing-md);">
+                ${this.charts.pairedBars(
+                    comparison.products.map(item => ({ label: item.productName, a: item.a.count, b: item.b.count })),
+                    { labelA: a.name, labelB: b.name, formatValue: value => `${value} sold` }
+                )}
+            </div>
+        `;
     }
 
     /**
-     * Update planned output progress indicator
+     * Build sales-by-product list HTML
+     * Shared by the live Reports screen and archived event reports
      */
-    updatePlannedOutputProgress(activeEvent, summary) {
-        const progressDiv = document.getElementById('planned-output-progress');
-        if (!progressDiv) return;
-        
-        // Only show if there's an active event with planned output
-        if (!activeEvent || !activeEvent.plannedOutput) {
-            progressDiv.style.display = 'none';
-            return;
+    renderBreakdownHTML(breakdown) {
+        if (breakdown.length === 0) {
+            return '<p class="empty-hint">No sales yet</p>';
         }
-        
-        const planned = activeEvent.plannedOutput;
-        const sold = summary.itemsSold;
-        const percentage = Math.min((sold / planned) * 100, 100);
-        const remaining = Math.max(planned - sold, 0);
-        
-        // Determine status color
-        let statusClass = 'warning';
-        let statusText = 'In Progress';
-        
-        if (percentage >= 100) {
-            statusClass = 'success';
-            statusText = 'Goal Reached! 🎉';
-        } else if (percentage >= 75) {
-            statusClass = 'success';
-            statusText = 'Almost There!';
-        } else if (percentage >= 50) {
-            statusClass = 'primary';
-            statusText = 'Halfway There!';
+
+        return breakdown.map(item => `
+            <div class="breakdown-item">
+                <div>
+                    <div class="breakdown-name">${item.productName}</div>
+                    <div class="breakdown-stats">
+                        ${item.count} sold
+                        ${item.bundleCount ? ` · +${item.bundleCount} in bundles (${this.formatCurrency(item.bundleRevenue)} attributed)` : ''}
+                    </div>
+                </div>
+                <div class="breakdown-revenue">${this.formatCurrency(item.revenue)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Build payments-by-method list HTML
+     */
+    renderPaymentBreakdownHTML(paymentBreakdown) {
+        if (paymentBreakdown.length === 0) {
+            return '<p class="empty-hint">No payments yet</p>';
         }
-        
-        progressDiv.style.display = 'block';
-        progressDiv.innerHTML = `
-            <div style="margin: var(--spacing-md) 0; padding: var(--spacing-md); background: var(--surface); border-radius: var(--border-radius); border-left: 3px solid var(--${statusClass});">
-                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-sm);">
-                    <span style="font-weight: 600; color: var(--text-primary);">📊 Planned Output Progress</span>
-                    <span style="font-weight: 700; color: var(--${statusClass});">${statusText}</span>
+
+        return paymentBreakdown.map(item => `
+            <div class="breakdown-item">
+                <div>
+                    <div class="breakdown-name">${item.methodName}</div>
+                    <div class="breakdown-stats">${item.count} payment${item.count !== 1 ? 's' : ''}</div>
+                </div>
+                <div class="breakdown-revenue">${this.formatCurrency(item.total)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Build discount summary HTML: each discount given, then price overrides
+     * @param {Object} options - { showTotals } adds a gross - discounts = net row (where there are no stat cards)
+     */
+    renderDiscountSummaryHTML(summary, options = {}) {
+        if (summary.byDiscount.length === 0 && summary.byPromotion.length === 0 && summary.overrides.count === 0) {
+            return '<p class="empty-hint">No discounts given</p>';
+        }
+
+        return `
+            ${!options.showTotals ? '' : `
+                <div class="breakdown-item">
+                    <div>
+                        <div class="breakdown-name">Net Sales</div>
+                        <div class="breakdown-stats">Gross ${this.formatCurrency(summary.grossSales)} − Discounts ${this.formatCurrency(summary.discounts)}</div>
+                    </div>
+                    <div class="breakdown-revenue">${this.formatCurrency(summary.netSales)}</div>
+                </div>
+            `}
+            ${summary.byPromotion.map(item => `
+                <div class="breakdown-item">
+                    <div>
+                        <div class="breakdown-name">🏷 ${item.name}</div>
+                        <div class="breakdown-stats">Promotion · ${item.items} item${item.items !== 1 ? 's' : ''}</div>
+                    </div>
+                    <div class="breakdown-revenue">−${this.formatCurrency(item.amount)}</div>
+                </div>
+            `).join('')}
+            ${summary.byDiscount.map(item => `
+                <div class="breakdown-item">
+                    <div>
+                        <div class="breakdown-name">${item.name}</div>
+                        <div class="breakdown-stats">${item.count} time${item.count !== 1 ? 's' : ''}</div>
+                    </div>
+                    <div class="breakdown-revenue">−${this.formatCurrency(item.amount)}</div>
                 </div>
-                
-                <div style="display: flex; justify-content: space-between; align-items: baseline; margin-bottom: var(--spacing-xs);">
-                    <span style="font-size: var(--font-size-lg); font-weight: 700; color: var(--${statusClass});">
-                        ${sold} / ${planned}
-                    </span>
-                    <span style="font-size: var(--font-size-sm); color: var(--text-secondary);">
-                        ${remaining} remaining
-                    </span>
+            `).join('')}
+            ${summary.overrides.count === 0 ? '' : `
+                <div class="breakdown-item">
+                    <div>
+                        <div class="breakdown-name">Price Overrides</div>
+                        <div class="breakdown-stats">${summary.overrides.count} line${summary.overrides.count !== 1 ? 's' : ''} - included in gross sales</div>
+                    </div>
+                    <div class="breakdown-revenue">${summary.overrides.amount >= 0 ? '−' : '+'}${this.formatCurrency(Math.abs(summary.overrides.amount))} vs. menu</div>
                 </div>
-                
-                <!-- Progress Bar -->
-                <div style="width: 100%; height: 8px; background: var(--background); border-radius: 4px; overflow: hidden;">
-                    <div style="width: ${percentage}%; height: 100%; background: var(--${statusClass}); transition: width 0.3s ease;"></div>
+            `}
+        `;
+    }
+
+    /**
+     * Build waste summary HTML: totals by reason, then by item (units and estimated value)
+     */
+    renderWasteSummaryHTML(summary) {
+        if (summary.count === 0) {
+            return '<p class="empty-hint">No waste recorded</p>';
+        }
+
+        const formatValue = value => value > 0 ? this.formatCurrency(value) : '-';
+
+        return `
+            ${summary.byReason.map(row => `
+                <div class="breakdown-item">
+                    <div>
+                        <div class="breakdown-name">${row.label}</div>
+                        <div class="breakdown-stats">${row.count} record${row.count !== 1 ? 's' : ''}</div>
+                    </div>
+                    <div class="breakdown-revenue">${formatValue(row.value)}</div>
                 </div>
-                
-                <div style="margin-top: var(--spacing-xs); font-size: var(--font-size-xs); color: var(--text-secondary); font-style: italic;">
-                    ${percentage.toFixed(1)}% complete
+            `).join('')}
+            ${summary.byItem.map(item => `
+                <div class="breakdown-item">
+                    <div>
+                        <div class="breakdown-name">${item.name}</div>
+                        <div class="breakdown-stats">${this.formatQuantity(item.quantity)} ${item.unit} wasted</div>
+                    </div>
+                    <div class="breakdown-revenue">${formatValue(item.value)}</div>
                 </div>
+            `).join('')}
+            <div class="breakdown-item">
+                <div class="breakdown-name"><strong>Estimated Value</strong></div>
+                <div class="breakdown-revenue">${this.formatCurrency(summary.totalValue)}</div>
             </div>
+            ${summary.unvalued > 0 ? `
+                <p class="empty-hint">${summary.unvalued} record${summary.unvalued !== 1 ? 's' : ''} not valued (no cost data)</p>
+            ` : ''}
         `;
     }
 
     /**
-     * Process a sale - Opens batch modal
+     * Build transaction list HTML (newest first)
+     * @param {Array} sales - Sales to list, in recorded order
+     * @param {Object} options - { allowVoid } show Void buttons (current event only)
      */
-    processSale(productId) {
-        this.openBatchSaleModal(productId);
+    renderTransactionsHTML(sales, options = {}) {
+        if (sales.length === 0) {
+            return '<p class="empty-hint">No transactions yet</p>';
+        }
+
+        return sales.slice().reverse().map(sale => {
+            const date = new Date(sale.timestamp);
+            const quantity = sale.quantity || 1;
+            const quantityBadge = quantity > 1 ? ` <span style="background: var(--primary); color: white; padding: 0.125rem 0.375rem; border-radius: 4px; font-size: 0.75rem; font-weight: 700;">×${quantity}</span>` : '';
+            const voidInfo = sale.voided
+                ? `<div class="transaction-void-info">Voided ${this.formatDateTime(new Date(sale.voidedAt))}${sale.voidReason ? ` - ${sale.voidReason}` : ''}</div>`
+                : '';
+            const discountInfo = (sale.discountTotal > 0 ? ` · ${this.formatCurrency(sale.discountTotal)} off (${this.describeDiscounts(sale)})` : '') +
+                (this.businessLogic.getSaleItems(sale).some(line => line.listPrice !== undefined) ? ' · Price override' : '');
+            const voidControl = sale.voided
+                ? '<span class="card-badge inactive">Voided</span>'
+                : options.allowVoid ? `<button class="card-btn danger" data-action="void" data-id="${sale.id}">Void</button>` : '';
+            
+            return `
+                <div class="transaction-item ${sale.voided ? 'voided' : ''}">
+                    <div>
+                        <div class="transaction-product">${this.describeSale(sale)}${quantityBadge}</div>
+                        <div class="transaction-meta">${this.formatDateTime(date)} · ${this.describePayments(sale)}${discountInfo}</div>
+                        ${voidInfo}
+                    </div>
+                    <div class="transaction-side">
+                        <div class="transaction-price">${this.formatCurrency(sale.sellingPrice)}</div>
+                        ${voidControl}
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
     /**
-     * Open batch sale modal
+     * Void a transaction from the Reports list
+     * Prompts for a reason; stock deducted at sale time is restored
      */
-    openBatchSaleModal(productId) {
-        const product = this.dataManager.getProducts().find(p => p.id === productId);
-        if (!product) return;
+    voidSale(saleId) {
+        const settings = this.dataManager.getSettings();
+        const sales = settings.demoMode ? this.dataManager.getDemoSales() : this.dataManager.getSales();
+        const sale = sales.find(s => s.id === saleId);
+        if (!sale) return;
 
-        // Store current product
-        this.currentBatchProduct = product;
+        const reason = prompt(`Void: ${this.describeSale(sale)} - ${this.formatCurrency(sale.sellingPrice)}\n\nStock will be restored.\n\nEnter reason for void:`);
 
-        // Set up modal
-        document.getElementById('batch-sale-title').textContent = product.name;
-        document.getElementById('batch-product-name').textContent = product.name;
-        document.getElementById('batch-product-price').textContent = `${this.formatCurrency(product.sellingPrice)} each`;
-        document.getElementById('batch-quantity').value = '1';
-        
-        // Update total and warnings
-        this.updateBatchTotal();
+        if (reason === null) return; // Cancelled
+
+        if (reason.trim() === '') {
+            this.showToast('Please enter a reason for the void', 'error');
+            return;
+        }
 
-        this.openModal('batch-sale-modal');
+        try {
+            this.businessLogic.voidSale(saleId, reason.trim());
+            this.showToast(`Voided: ${this.describeSale(sale)}`, 'success');
+            this.renderAll();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
     /**
-     * Update batch sale total and check stock warnings
+     * Export data as JSON file
      */
-    updateBatchTotal() {
-        if (!this.currentBatchProduct) return;
+    exportData() {
+        this.downloadJSON(this.dataManager.exportData(), `booth-data-${new Date().toISOString().split('T')[0]}.json`);
+        this.showToast('Full backup exported!', 'success');
+    }
 
-        const quantity = parseInt(document.getElementById('batch-quantity').value) || 1;
-        const total = this.currentBatchProduct.sellingPrice * quantity;
+    /**
+     * Save an object as a downloaded .json file
+     */
+    downloadJSON(data, filename) {
+        const json = JSON.stringify(data, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
 
-        // Update total display
-        document.getElementById('batch-total-amount').textContent = this.formatCurrency(total);
+    /**
+     * Read a backup file chosen by the user and show the import preview
+     */
+    handleImportFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (error) {
+                this.showToast('Invalid file - not a JSON backup', 'error');
+                return;
+            }
 
-        // Check for stock warnings (soft - non-blocking)
-        const warnings = this.businessLogic.checkStockWarnings(this.currentBatchProduct.id, quantity);
-        const warningsDiv = document.getElementById('batch-warnings');
+            const validation = this.dataManager.validateImport(data);
+            if (!validation.valid) {
+                this.showToast(`Cannot import: ${validation.errors[0]}`, 'error');
+                return;
+            }
 
-        if (warnings && warnings.length > 0) {
-            warningsDiv.innerHTML = `
-                <strong style="color: var(--warning);">⚠️ Low Stock Warning:</strong><br>
-                ${warnings.map(w => 
-                    `${w.ingredientName}: ~${w.estimatedCupsLeft} cups remaining after this sale`
-                ).join('<br>')}
-            `;
-            warningsDiv.style.display = 'block';
-        } else {
-            warningsDiv.innerHTML = '';
-            warningsDiv.style.display = 'none';
-        }
+            this.pendingImport = data;
+            document.getElementById('import-file-name').textContent = file.name;
+            const backupType = data.format === this.dataManager.backupFormat ? 'Full backup' : 'Legacy backup';
+            document.getElementById('import-export-date').textContent = data.exportDate
+                ? `${backupType} from ${this.formatDateTime(new Date(data.exportDate))}`
+                : `${backupType} - date unknown`;
+            document.querySelector('input[name="import-mode"][value="replace"]').checked = true;
+            this.renderImportPreview();
+            this.openModal('import-modal');
+        };
+        reader.onerror = () => this.showToast('Could not read file', 'error');
+        reader.readAsText(file);
     }
 
     /**
-     * Confirm batch sale
+     * Render counts of what the import will change for the selected mode
      */
-    confirmBatchSale() {
-        if (!this.currentBatchProduct) return;
+    renderImportPreview() {
+        if (!this.pendingImport) return;
+
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        const preview = this.dataManager.previewImport(this.pendingImport, mode);
+        const keyLabels = {
+            activeEvent: 'active event',
+            settings: 'settings',
+            eventCosts: 'event costs',
+            stockSnapshot: 'stock snapshot',
+            lastSale: 'undo record',
+            demoLastSale: 'demo undo record'
+        };
 
-        const quantity = parseInt(document.getElementById('batch-quantity').value) || 1;
+        document.getElementById('import-preview').innerHTML = `
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Current</th>
+                        <th>In File</th>
+                        <th>After</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${preview.collections.map(row => `
+                        <tr>
+                            <td>${row.label}</td>
+                            <td>${row.current}</td>
+                            <td>${row.incoming}</td>
+                            <td>
+                                <strong>${row.result}</strong>
+                                <div class="transaction-meta">
+                                    ${mode === 'merge'
+                                        ? `${row.added} new, ${row.updated} updated`
+                                        : `${row.removed} replaced`}
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${preview.otherKeys.length > 0 ? `
+                <p class="setting-description" style="margin-top: var(--spacing-sm);">
+                    Also restores: ${preview.otherKeys.map(name => keyLabels[name] || name).join(', ')}
+                </p>
+            ` : ''}
+            <p class="setting-description" style="margin-top: var(--spacing-sm);">
+                Data not included in the file is kept as-is.
+            </p>
+        `;
+    }
 
-        if (quantity < 1) {
-            this.showToast('Quantity must be at least 1', 'error');
-            return;
-        }
+    /**
+     * Apply the pending import
+     */
+    confirmImport() {
+        if (!this.pendingImport) return;
+
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
 
         try {
-            // Process sale with quantity
-            this.businessLogic.processSale(this.currentBatchProduct.id, quantity);
-            
-            this.showToast(`Sold ${quantity}x ${this.currentBatchProduct.name}`, 'success');
-            this.closeModal('batch-sale-modal');
-            this.currentBatchProduct = null;
+            this.dataManager.importData(this.pendingImport, mode);
+            this.dataManager.takeStockSnapshot();
+            this.pendingImport = null;
+            this.cart = [];
+            this.closeModal('import-modal');
+            this.showToast(mode === 'merge' ? 'Backup merged!' : 'Backup restored!', 'success');
+            this.syncSettingsControls();
             this.renderAll();
         } catch (error) {
-            this.showToast(error.message, 'error');
+            this.showToast(`Import failed: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Undo last sale
-     * Shows quantity info for batch sales
+     * Open event costs modal
      */
-    undoSale() {
-        const lastSale = this.dataManager.getLastSale();
-        if (!lastSale) {
-            this.showToast('No sale to undo', 'error');
-            return;
-        }
+    openEventCostsModal() {
+        const costs = this.dataManager.getEventCosts();
+        
+        document.getElementById('fixed-cost').value = costs.totalFixedCost || '';
+        document.getElementById('cost-notes').value = costs.notes || '';
+        
+        this.openModal('event-costs-modal');
+    }
 
-        const quantity = lastSale.quantity || 1;
-        const quantityText = quantity > 1 ? ` (${quantity}x)` : '';
+    /**
+     * Save event costs
+     */
+    saveEventCosts() {
+        const totalFixedCost = parseFloat(document.getElementById('fixed-cost').value) || 0;
+        const notes = document.getElementById('cost-notes').value;
+        
+        this.dataManager.saveEventCosts({
+            totalFixedCost,
+            notes
+        });
         
+        this.showToast('Event costs saved!', 'success');
+        this.closeModal('event-costs-modal');
+        this.renderReports();
+    }
+
+    /**
+     * Confirm reset event
+     */
+    confirmResetEvent() {
         this.showConfirmDialog(
-            'Undo Last Sale',
-            `Undo: ${lastSale.productName}${quantityText} - ${this.formatCurrency(lastSale.sellingPrice)}?\n\nStock will be restored.`,
+            'Reset Event',
+            'This will clear all sales data but keep your products and ingredients. Are you sure?',
             () => {
                 try {
-                    const sale = this.businessLogic.undoLastSale();
-                    const qty = sale.quantity || 1;
-                    const qtyText = qty > 1 ? ` (${qty}x)` : '';
-                    this.showToast(`Undone: ${sale.productName}${qtyText}`, 'success');
-                    this.renderAll();
+                    this.dataManager.resetEvent();
                 } catch (error) {
                     this.showToast(error.message, 'error');
+                    return;
                 }
+                this.showToast('Event reset - sales cleared', 'success');
+                this.renderAll();
             }
         );
     }
 
     // ========================================
-    // PRODUCTS SCREEN
+    // EVENT HISTORY SCREEN
     // ========================================
 
     /**
-     * Render products screen - NO COST CALCULATIONS
-     * Products only track selling price
+     * Render archived events list (most recent first)
      */
-    renderProducts() {
-        const products = this.dataManager.getProducts();
-        const list = document.getElementById('product-list');
+    renderHistory() {
+        const list = document.getElementById('event-history-list');
+        if (!list) return;
 
-        if (products.length === 0) {
+        const history = this.dataManager.getEventHistory().slice().reverse();
+
+        if (history.length === 0) {
             list.innerHTML = `
                 <div class="empty-state">
-                    <p>No products yet</p>
-                    <p class="empty-hint">Create your first product</p>
+                    <p>No past events yet</p>
+                    <p class="empty-hint">Events appear here after you end them</p>
                 </div>
             `;
-        } else {
-            list.innerHTML = products.map(product => {
-                const canSell = this.businessLogic.canSellProduct(product.id);
+            return;
+        }
 
-                return `
-                    <div class="product-card">
-                        <div class="card-header">
-                            <div class="card-title">${product.name}</div>
-                            <div class="card-price">${this.formatCurrency(product.sellingPrice)}</div>
+        list.innerHTML = history.map(event => {
+            const profitClass = event.profit >= 0 ? 'success' : 'danger';
+            return `
+                <div class="history-card" data-id="${event.id}">
+                    <div class="card-header">
+                        <div class="card-title">${event.name}</div>
+                        <div class="card-price" style="color: var(--${profitClass});">
+                            ${event.profit >= 0 ? '' : '−'}${this.formatCurrency(Math.abs(event.profit))}
                         </div>
-                        
-                        <div class="card-meta">
-                            <span class="card-badge ${product.active ? 'active' : 'inactive'}">
-                                ${product.active ? '✓ Active' : '✗ Inactive'}
-                            </span>
-                            ${!canSell && product.active ? '<span class="card-badge low-stock">Out of Stock</span>' : ''}
+                    </div>
+                    <div class="history-meta">
+                        ${this.formatDateTime(new Date(event.startTime))} · ${this.formatDuration(event.startTime, event.endTime)}
+                    </div>
+                    <div class="ingredient-info">
+                        <div class="info-item">
+                            <span class="info-label">Revenue</span>
+                            <span class="info-value">${this.formatCurrency(event.totalRevenue)}</span>
                         </div>
-
-                        <div class="card-recipe">
-                            <div class="recipe-title">Recipe:</div>
-                            <div class="recipe-list">
-                                ${this.renderRecipeList(product.recipe)}
-                            </div>
+                        <div class="info-item">
+                            <span class="info-label">Fixed Cost</span>
+                            <span class="info-value">${this.formatCurrency(event.fixedCost)}</span>
                         </div>
-
-                        <div class="card-actions">
-                            <button class="card-btn" data-action="edit" data-id="${product.id}">
-                                Edit
-                            </button>
-                            <button class="card-btn danger" data-action="delete" data-id="${product.id}">
-                                Delete
-                            </button>
+                        <div class="info-item">
+                            <span class="info-label">Items Sold</span>
+                            <span class="info-value">${event.itemsSold}</span>
                         </div>
                     </div>
-                `;
-            }).join('');
+                </div>
+            `;
+        }).join('');
 
-            // Add click handlers
-            list.querySelectorAll('[data-action="edit"]').forEach(btn => {
-                btn.addEventListener('click', () => this.editProduct(btn.dataset.id));
-            });
-            list.querySelectorAll('[data-action="delete"]').forEach(btn => {
-                btn.addEventListener('click', () => this.deleteProduct(btn.dataset.id));
-            });
-        }
+        list.querySelectorAll('.history-card').forEach(card => {
+            card.addEventListener('click', () => this.openEventDetail(card.dataset.id));
+        });
     }
 
     /**
-     * Render recipe list
+     * Open archived event drill-down report
+     * Re-uses the same breakdown/transaction rendering as the Reports screen
      */
-    renderRecipeList(recipe) {
-        const ingredients = this.dataManager.getIngredients();
-        return recipe.map(item => {
-            const ingredient = ingredients.find(i => i.id === item.ingredientId);
-            return ingredient 
-                ? `<div class="recipe-item">• ${item.quantity} ${ingredient.unit} ${ingredient.name}</div>`
-                : '';
-        }).join('');
-    }
+    openEventDetail(eventId) {
+        const event = this.dataManager.getEventHistory().find(e => e.id === eventId);
+        if (!event) return;
+
+        this.viewingEventId = eventId;
+        const sales = event.salesLog || [];
+        const profitClass = event.profit >= 0 ? 'success' : 'danger';
+        const drawerCount = event.cashDrawer && event.cashDrawer.closingCount;
+        const discountSummary = this.businessLogic.getArchivedDiscountSummary(event);
+
+        document.getElementById('event-detail-title').textContent = event.name;
+        document.getElementById('event-detail-body').innerHTML = `
+            <div class="history-meta" style="margin-bottom: var(--spacing-md);">
+                ${this.formatDateTime(new Date(event.startTime))} – ${this.formatDateTime(new Date(event.endTime))}
+                (${this.formatDuration(event.startTime, event.endTime)})
+            </div>
 
-    /**
-     * Open product modal
-     */
-    openProductModal(productId = null) {
-        this.editingProduct = productId;
-        const modal = document.getElementById('product-modal');
-        const form = document.getElementById('product-form');
-        
-        // Reset form
-        form.reset();
-        document.getElementById('product-id').value = '';
-        document.getElementById('recipe-builder').innerHTML = '';
+            <div class="report-stats" style="margin-bottom: var(--spacing-md);">
+                <div class="report-stat-card">
+                    <span class="report-label">Total Revenue</span>
+                    <span class="report-value">${this.formatCurrency(event.totalRevenue)}</span>
+                </div>
+                <div class="report-stat-card">
+                    <span class="report-label">Fixed Event Cost</span>
+                    <span class="report-value">${this.formatCurrency(event.fixedCost)}</span>
+                </div>
+                <div class="report-stat-card">
+                    <span class="report-label">Net Profit/Loss</span>
+                    <span class="report-value" style="color: var(--${profitClass});">${this.formatCurrency(event.profit)}</span>
+                </div>
+                <div class="report-stat-card">
+                    <span class="report-label">Items Sold</span>
+                    <span class="report-value">${event.itemsSold}</span>
+                </div>
+            </div>
 
-        if (productId) {
-            // Edit mode
-            const product = this.dataManager.getProducts().find(p => p.id === productId);
-            document.getElementById('product-modal-title').textContent = 'Edit Product';
-            document.getElementById('product-id').value = product.id;
-            document.getElementById('product-name').value = product.name;
-            document.getElementById('product-price').value = product.sellingPrice;
-            document.getElementById('product-active').checked = product.active;
+            ${drawerCount ? `
+                <div class="report-section" style="margin-bottom: var(--spacing-md);">
+                    <h2>Cash Drawer</h2>
+                    <div class="cash-drawer-lines">
+                        <div><span>Opening Float</span><strong>${this.formatCurrency(event.cashDrawer.openingFloat)}</strong></div>
+                        <div><span>Expected Cash</span><strong>${this.formatCurrency(drawerCount.expectedCash)}</strong></div>
+                        <div><span>Counted Cash</span><strong>${this.formatCurrency(drawerCount.countedTotal)}</strong></div>
+                        <div><span>${drawerCount.overShort === 0 ? 'Balanced' : drawerCount.overShort > 0 ? 'Over' : 'Short'}</span>
+                            <strong style="color: var(--${drawerCount.overShort === 0 ? 'success' : drawerCount.overShort > 0 ? 'warning' : 'danger'});">${this.formatCurrency(Math.abs(drawerCount.overShort))}</strong></div>
+                    </div>
+                </div>
+            ` : ''}
 
-            // Load recipe
-            product.recipe.forEach(item => {
-                this.addRecipeBuilderItem(item.ingredientId, item.quantity);
-            });
-        } else {
-            // Add mode
-            document.getElementById('product-modal-title').textContent = 'Add Product';
-            this.addRecipeBuilderItem(); // Add one empty recipe item
-        }
+            ${discountSummary ? `
+                <div class="report-section" style="margin-bottom: var(--spacing-md);">
+                    <h2>Discounts</h2>
+                    <div class="sales-breakdown">
+                        ${this.renderDiscountSummaryHTML(discountSummary, { showTotals: true })}
+                    </div>
+                </div>
+            ` : ''}
+
+            <div class="report-section" style="margin-bottom: var(--spacing-md);">
+                <h2>Payments by Method</h2>
+                <div class="sales-breakdown">
+                    ${this.renderPaymentBreakdownHTML(this.businessLogic.getArchivedPaymentBreakdown(event))}
+                </div>
+            </div>
+
+            <div class="report-section" style="margin-bottom: var(--spacing-md);">
+                <h2>Sales by Product</h2>
+                <div class="sales-breakdown">
+                    ${this.renderBreakdownHTML(this.businessLogic.getArchivedSalesBreakdown(event))}
+                </div>
+            </div>
+
+            <div class="report-section" style="margin-bottom: var(--spacing-md);">
+                <h2>Waste & Comps</h2>
+                <div class="sales-breakdown">
+                    ${this.renderWasteSummaryHTML(this.businessLogic.getWasteSummary(event.id))}
+                </div>
+            </div>
+
+            <div class="report-section" style="margin-bottom: var(--spacing-md);">
+                <h2>Starting vs. Ending Inventory</h2>
+                ${this.renderInventoryComparisonHTML(this.businessLogic.getInventoryComparison(event))}
+            </div>
+
+            <div class="report-section" style="margin-bottom: var(--spacing-md);">
+                <h2>Stocktake</h2>
+                ${this.renderStocktakesHTML(this.dataManager.getStocktakes(event.id))}
+            </div>
+
+            <div class="report-section">
+                ${event.salesSummary ? `
+                    <h2>Transactions (${event.salesSummary.transactions})</h2>
+                    <p class="setting-description">
+                        Individual transactions were archived to a file on ${this.formatDateTime(new Date(event.salesSummary.compactedAt))}
+                        to free space. Restore that file with Merge to bring them back.
+                    </p>
+                ` : `
+                    <h2>Transactions (${sales.length})</h2>
+                    <div class="transaction-list">
+                        ${this.renderTransactionsHTML(sales)}
+                    </div>
+                `}
+            </div>
+        `;
 
-        this.openModal('product-modal');
+        this.openModal('event-detail-modal');
     }
 
     /**
-     * Add recipe builder item
+     * Build starting vs. ending inventory table HTML
      */
-    addRecipeBuilderItem(ingredientId = '', quantity = '') {
-        const container = document.getElementById('recipe-builder');
-        const ingredients = this.dataManager.getIngredients();
-        
-        const item = document.createElement('div');
-        item.className = 'recipe-builder-item';
-        item.innerHTML = `
-            <div class="form-group">
-                <select class="recipe-ingredient" required>
-                    <option value="">Select ingredient</option>
-                    ${ingredients.map(i => `
-                        <option value="${i.id}" ${i.id === ingredientId ? 'selected' : ''}>
-                            ${i.name} (${i.unit})
-                        </option>
+    renderInventoryComparisonHTML(comparison) {
+        if (comparison.length === 0) {
+            return '<p class="empty-hint">No inventory snapshot for this event</p>';
+        }
+
+        return `
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>Ingredient</th>
+                        <th>Start</th>
+                        <th>End</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${comparison.map(row => `
+                        <tr>
+                            <td>${row.name}</td>
+                            <td>${row.starting !== null ? `${row.starting} ${row.unit}` : '—'}</td>
+                            <td>${row.ending !== null ? `${row.ending} ${row.unit}` : '—'}</td>
+                            <td class="${row.change < 0 ? 'stock-decrease' : row.change > 0 ? 'stock-increase' : ''}">
+                                ${row.change > 0 ? '+' : ''}${+row.change.toFixed(2)} ${row.unit}
+                            </td>
+                        </tr>
                     `).join('')}
-                </select>
-            </div>
-            <div class="form-group">
-                <input type="number" class="recipe-quantity" step="0.01" min="0" 
-                       placeholder="Quantity" value="${quantity}" required>
-            </div>
-            <button type="button" class="remove-recipe-btn">&times;</button>
+                </tbody>
+            </table>
         `;
+    }
 
-        item.querySelector('.remove-recipe-btn').addEventListener('click', () => {
-            item.remove();
-        });
+    /**
+     * Rename the archived event being viewed
+     */
+    renameArchivedEvent() {
+        const event = this.dataManager.getEventHistory().find(e => e.id === this.viewingEventId);
+        if (!event) return;
 
-        container.appendChild(item);
+        const name = prompt('Rename event:', event.name);
+        if (name === null) return; // Cancelled
+
+        if (name.trim() === '') {
+            this.showToast('Please enter an event name', 'error');
+            return;
+        }
+
+        this.dataManager.updateArchivedEvent(event.id, { name: name.trim() });
+        this.showToast('Event renamed', 'success');
+        this.openEventDetail(event.id);
+        this.renderHistory();
     }
 
     /**
-     * Save product
+     * Delete the archived event being viewed
      */
-    saveProduct() {
-        const id = document.getElementById('product-id').value;
-        const name = document.getElementById('product-name').value;
-        const price = parseFloat(document.getElementById('product-price').value);
-        const active = document.getElementById('product-active').checked;
+    deleteArchivedEvent() {
+        const event = this.dataManager.getEventHistory().find(e => e.id === this.viewingEventId);
+        if (!event) return;
 
-        // Build recipe
-        const recipeItems = document.querySelectorAll('.recipe-builder-item');
-        const recipe = [];
-        
-        recipeItems.forEach(item => {
-            const ingredientId = item.querySelector('.recipe-ingredient').value;
-            const quantity = parseFloat(item.querySelector('.recipe-quantity').value);
-            if (ingredientId && quantity > 0) {
-                recipe.push({ ingredientId, quantity });
+        this.showConfirmDialog(
+            'Delete Event',
+            `Delete "${event.name}" and its ${event.salesSummary ? event.salesSummary.transactions : (event.salesLog || []).length} archived sales? This cannot be undone.`,
+            () => {
+                this.dataManager.deleteArchivedEvent(event.id);
+                this.closeModal('event-detail-modal');
+                this.showToast('Event deleted', 'success');
+                this.renderHistory();
             }
-        });
+        );
+    }
 
-        if (recipe.length === 0) {
-            this.showToast('Please add at least one ingredient', 'error');
-            return;
-        }
+    // ========================================
+    // SETTINGS SCREEN
+    // ========================================
 
-        const productData = { name, sellingPrice: price, recipe, active };
+    /**
+     * Render settings screen sections that depend on stored data
+     */
+    renderSettings() {
+        this.renderPaymentMethodSettings();
+        this.renderDiscountSettings();
+        this.renderPromotionSettings();
+        this.renderRestorePoints();
+        this.renderStorageSettings();
+    }
 
-        if (id) {
-            this.dataManager.updateProduct(id, productData);
-            this.showToast('Product updated!', 'success');
+    /**
+     * Render storage usage meter, unsaved-changes warning and compaction options
+     */
+    async renderStorageSettings() {
+        const meter = document.getElementById('storage-meter');
+        if (!meter) return;
+
+        const usage = await this.dataManager.getStorageUsage();
+        const text = document.getElementById('storage-usage-text');
+        const fill = document.getElementById('storage-meter-fill');
+
+        if (usage) {
+            const percent = Math.min(100, usage.ratio * 100);
+            fill.style.width = `${percent}%`;
+            fill.className = `storage-meter-fill ${usage.level}`;
+            text.textContent = `${this.formatBytes(usage.usage)} of ${this.formatBytes(usage.quota)} used (${percent.toFixed(1)}%)`;
         } else {
-            this.dataManager.addProduct(productData);
-            this.showToast('Product added!', 'success');
+            fill.style.width = '0%';
+            text.textContent = 'This browser does not report storage usage';
         }
 
-        this.closeModal('product-modal');
-        this.renderAll();
+        const failed = this.dataManager.failedWrites.size > 0;
+        document.getElementById('storage-warning').style.display = failed ? 'block' : 'none';
+
+        const keepLatest = parseInt(document.getElementById('compact-keep-latest').value) || 0;
+        const compactable = this.businessLogic.getCompactableEvents(keepLatest);
+        const compactBtn = document.getElementById('compact-events-btn');
+        compactBtn.disabled = compactable.length === 0;
+        compactBtn.textContent = compactable.length > 0
+            ? `Archive & Compact ${compactable.length} Event${compactable.length === 1 ? '' : 's'}`
+            : 'Nothing to Compact';
     }
 
     /**
-     * Edit product
+     * Warn when storage is getting full (on startup and after ending an event)
      */
-    editProduct(id) {
-        this.openProductModal(id);
+    async checkStorageUsage() {
+        const usage = await this.dataManager.getStorageUsage();
+        if (!usage || usage.level === 'ok') return;
+
+        this.showToast(
+            `Storage ${Math.round(usage.ratio * 100)}% full - archive old events in Settings → Storage`,
+            usage.level === 'critical' ? 'error' : 'warning'
+        );
     }
 
     /**
-     * Delete product
+     * A background save failed - data is still in memory, but not on disk
      */
-    deleteProduct(id) {
-        const product = this.dataManager.getProducts().find(p => p.id === id);
+    handleStorageError(error) {
+        const isQuota = error && (error.name === 'QuotaExceededError' || error.code === 22);
+        this.showToast(
+            isQuota
+                ? 'Storage full - latest changes NOT saved. Free space in Settings → Storage.'
+                : `Could not save data: ${error.message}`,
+            'error'
+        );
+        this.renderStorageSettings();
+    }
+
+    /**
+     * Try saving failed changes again
+     */
+    async retryFailedWrites() {
+        const saved = await this.dataManager.retryFailedWrites();
+        this.showToast(saved ? 'All changes saved' : 'Still unable to save - free more space', saved ? 'success' : 'error');
+        this.renderStorageSettings();
+    }
+
+    /**
+     * Download full copies of old events, then prune their transaction logs once the user confirms the file was saved
+     * (a blocked or cancelled download must not cost the history)
+     */
+    compactOldEvents() {
+        const keepLatest = parseInt(document.getElementById('compact-keep-latest').value) || 0;
+        const events = this.businessLogic.getCompactableEvents(keepLatest);
+        if (events.length === 0) return;
+
+        const ids = events.map(e => e.id);
+        const transactions = events.reduce((sum, e) => sum + (e.salesLog || []).length, 0);
+        this.downloadJSON(
+            this.dataManager.exportEventArchive(ids),
+            `booth-archive-${new Date().toISOString().split('T')[0]}.json`
+        );
+
         this.showConfirmDialog(
-            'Delete Product',
-            `Are you sure you want to delete "${product.name}"?`,
-            () => {
-                this.dataManager.deleteProduct(id);
-                this.showToast('Product deleted', 'success');
+            'Archive & Compact Events',
+            `An archive of ${events.length} event(s) is downloading. Check that the file was saved, then remove their ${transactions} individual transactions from this device? Totals, product and payment summaries are kept. Keep the file to restore the details later.`,
+            async () => {
+                const count = this.businessLogic.compactEventHistory(ids);
+                await this.dataManager.retryFailedWrites();
+                this.showToast(`Compacted ${count} event(s)`, 'success');
                 this.renderAll();
             }
         );
     }
 
-    // ========================================
-    // INVENTORY SCREEN
-    // ========================================
-
     /**
-     * Render inventory screen with FIXED costing display
+     * Human-readable byte size
      */
-    renderInventory() {
-        const ingredients = this.dataManager.getIngredients();
-        const list = document.getElementById('ingredient-list');
-        
-        // Check for low stock items
-        const lowStockItems = this.businessLogic.getLowStockIngredients();
-        const restockBtn = document.getElementById('restock-low-btn');
-        
-        if (lowStockItems.length > 0) {
-            restockBtn.style.display = 'block';
-            restockBtn.textContent = `📦 Restock ${lowStockItems.length} Low Item${lowStockItems.length > 1 ? 's' : ''}`;
-        } else {
-            restockBtn.style.display = 'none';
-        }
-        
-        // Get stock changes since last snapshot
-        const stockChanges = this.dataManager.getStockChanges();
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
 
-        if (ingredients.length === 0) {
-            list.innerHTML = `
-                <div class="empty-state">
-                    <p>No ingredients yet</p>
-                    <p class="empty-hint">Add your first ingredient</p>
+    /**
+     * Render configurable payment methods list
+     */
+    renderPaymentMethodSettings() {
+        const list = document.getElementById('payment-method-list');
+        if (!list) return;
+
+        const typeLabels = { cash: 'Cash', ewallet: 'E-Wallet / QR', card: 'Card', other: 'Other' };
+        const methods = this.businessLogic.getPaymentMethods();
+
+        list.innerHTML = methods.map(method => `
+            <div class="setting-item">
+                <div class="setting-info">
+                    <span class="setting-label">${method.name}</span>
+                    <span class="setting-description">${typeLabels[method.type] || method.type}</span>
                 </div>
-            `;
-        } else {
-            list.innerHTML = ingredients.map(ingredient => {
-                const stockPercent = ingredient.lowStockThreshold 
-                    ? (ingredient.totalQuantity / ingredient.lowStockThreshold) * 100 
-                    : 100;
-                const stockClass = ingredient.totalQuantity <= 0 ? 'out' 
-                    : (ingredient.lowStockThreshold && ingredient.totalQuantity <= ingredient.lowStockThreshold) ? 'low' 
-                    : '';
-                const isLowStock = ingredient.lowStockThreshold && ingredient.totalQuantity <= ingredient.lowStockThreshold;
-                
-                // Check for stock changes
-                const change = stockChanges[ingredient.id];
-                let changeIndicator = '';
-                if (change) {
-                    const changeClass = change.change > 0 ? 'stock-increase' : 'stock-decrease';
-                    const changeIcon = change.change > 0 ? '↑' : '↓';
-                    const changeText = Math.abs(change.change).toFixed(1);
-                    changeIndicator = `
-                        <span class="stock-change-badge ${changeClass}" title="Changed from ${change.old} ${ingredient.unit}">
-                            ${changeIcon} ${changeText} ${ingredient.unit}
-                        </span>
-                    `;
-                }
-
-                return `
-                    <div class="ingredient-card">
-                        <div class="card-header">
-                            <div class="card-title">${ingredient.name}</div>
-                            <div style="display: flex; gap: 0.5rem; align-items: center;">
-                                ${isLowStock ? '<span class="card-badge low-stock">Low Stock</span>' : ''}
-                                ${changeIndicator}
-                            </div>
-                        </div>
-
-                        <div class="stock-bar">
-                            <div class="stock-fill ${stockClass}" style="width: ${Math.min(stockPercent, 100)}%"></div>
-                        </div>
-
-                        <div class="ingredient-info">
-                            <div class="info-item">
-                                <span class="info-label">Current Stock</span>
-                                <span class="info-value">${ingredient.totalQuantity} ${ingredient.unit}</span>
-                            </div>
-                            <div class="info-item">
-                                <span class="info-label">Low Stock Alert</span>
-                                <span class="info-value">${ingredient.lowStockThreshold || 'Not set'} ${ingredient.lowStockThreshold ? ingredient.unit : ''}</span>
-                            </div>
-                        </div>
+                ${method.id === 'cash'
+                    ? '<span class="setting-description">Required</span>'
+                    : `<button class="card-btn danger" data-action="remove-method" data-id="${method.id}">Remove</button>`}
+            </div>
+        `).join('');
 
-                        <div class="stock-actions">
-                            <button class="stock-adjust-btn" data-action="quick-add" data-id="${ingredient.id}" title="Quick add stock">
-                                <span class="stock-btn-icon">+</span>
-                                <span class="stock-btn-label">Add Stock</span>
-                            </button>
-                            <button class="stock-adjust-btn" data-action="quick-remove" data-id="${ingredient.id}" title="Quick remove stock">
-                                <span class="stock-btn-icon">−</span>
-                                <span class="stock-btn-label">Remove</span>
-                            </button>
-                        </div>
+        list.querySelectorAll('[data-action="remove-method"]').forEach(btn => {
+            btn.addEventListener('click', () => this.removePaymentMethod(btn.dataset.id));
+        });
+    }
 
-                        <div class="card-actions">
-                            <button class="card-btn" data-action="edit" data-id="${ingredient.id}">
-                                Edit
-                            </button>
-                            <button class="card-btn danger" data-action="delete" data-id="${ingredient.id}">
-                                Delete
-                            </button>
-                        </div>
+    /**
+     * Render discount presets and manager PIN status
+     */
+    renderDiscountSettings() {
+        const list = document.getElementById('discount-preset-list');
+        if (!list) return;
+
+        const presets = this.businessLogic.getDiscountPresets();
+        list.innerHTML = presets.length === 0
+            ? '<p class="setting-description">No discount presets - custom discounts are still available at checkout</p>'
+            : presets.map(preset => `
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <span class="setting-label">${preset.name}</span>
+                        <span class="setting-description">${this.describeDiscountValue(preset, false)}</span>
                     </div>
-                `;
-            }).join('');
+                    <button class="card-btn danger" data-action="remove-discount" data-id="${preset.id}">Remove</button>
+                </div>
+            `).join('');
 
-            // Add click handlers
-            list.querySelectorAll('[data-action="edit"]').forEach(btn => {
-                btn.addEventListener('click', () => this.editIngredient(btn.dataset.id));
-            });
-            list.querySelectorAll('[data-action="delete"]').forEach(btn => {
-                btn.addEventListener('click', () => this.deleteIngredient(btn.dataset.id));
-            });
-            list.querySelectorAll('[data-action="quick-add"]').forEach(btn => {
-                btn.addEventListener('click', () => this.quickAdjustStock(btn.dataset.id, 'add'));
-            });
-            list.querySelectorAll('[data-action="quick-remove"]').forEach(btn => {
-                btn.addEventListener('click', () => this.quickAdjustStock(btn.dataset.id, 'remove'));
-            });
-        }
+        list.querySelectorAll('[data-action="remove-discount"]').forEach(btn => {
+            btn.addEventListener('click', () => this.removeDiscountPreset(btn.dataset.id));
+        });
+
+        const pinSet = this.businessLogic.isManagerPinSet();
+        document.getElementById('manager-pin-status').textContent = pinSet
+            ? 'Required for price overrides at checkout'
+            : 'Not set - anyone can override prices';
+        document.getElementById('manager-pin-btn').textContent = pinSet ? 'Change PIN' : 'Set PIN';
     }
 
     /**
-     * Quick stock adjustment (add/remove without opening full edit modal)
+     * Render local restore points (loaded asynchronously from IndexedDB)
      */
-    quickAdjustStock(ingredientId, action) {
-        const ingredient = this.dataManager.getIngredients().find(i => i.id === ingredientId);
-        if (!ingredient) return;
+    async renderRestorePoints() {
+        const list = document.getElementById('restore-point-list');
+        if (!list) return;
 
-        const actionLabel = action === 'add' ? 'Add' : 'Remove';
-        const currentStock = ingredient.totalQuantity;
-        
-        // Prompt for quantity
-        const promptMessage = action === 'add' 
-            ? `Add stock to ${ingredient.name}\n\nCurrent: ${currentStock} ${ingredient.unit}\n\nEnter amount to ADD:`
-            : `Remove stock from ${ingredient.name}\n\nCurrent: ${currentStock} ${ingredient.unit}\n\nEnter amount to REMOVE:`;
-        
-        const amountStr = prompt(promptMessage);
-        
-        if (amountStr === null) return; // Cancelled
-        
-        const amount = parseFloat(amountStr);
-        
-        if (isNaN(amount) || amount <= 0) {
-            this.showToast('Please enter a valid positive number', 'error');
+        document.getElementById('restore-point-interval').value = this.dataManager.getSettings().restorePointInterval;
+
+        let points;
+        try {
+            points = await this.dataManager.getRestorePoints();
+        } catch (error) {
+            list.innerHTML = `<p class="setting-description">Restore points unavailable: ${error.message}</p>`;
             return;
         }
 
-        // Calculate new stock
-        let newStock;
-        if (action === 'add') {
-            newStock = currentStock + amount;
-        } else {
-            newStock = currentStock - amount;
-            if (newStock < 0) {
-                this.showToast('Cannot remove more than current stock', 'error');
-                return;
-            }
+        if (points.length === 0) {
+            list.innerHTML = `
+                <p class="setting-description">
+                    ${this.dataManager.restorePoints.isAvailable()
+                        ? 'No restore points yet'
+                        : 'This browser does not support local restore points - use Backup Data instead'}
+                </p>
+            `;
+            return;
         }
 
-        // Update stock
-        this.dataManager.updateIngredient(ingredientId, {
-            totalQuantity: newStock
+        list.innerHTML = points.map(point => `
+            <div class="setting-item">
+                <div class="setting-info">
+                    <span class="setting-label">${this.formatDateTime(new Date(point.timestamp))}</span>
+                    <span class="setting-description">
+                        ${point.reason} · ${point.summary.sales} sales · ${point.summary.products} products
+                        · ${point.summary.pastEvents} past events${point.summary.eventName ? ` · during "${point.summary.eventName}"` : ''}
+                    </span>
+                </div>
+                <button class="card-btn" data-action="restore-point" data-id="${point.id}">Restore</button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-action="restore-point"]').forEach(btn => {
+            btn.addEventListener('click', () => this.restoreFromPoint(btn.dataset.id));
         });
-        
-        // Update snapshot for next comparison
-        this.dataManager.takeStockSnapshot();
+    }
 
-        // Show confirmation
-        const change = action === 'add' ? `+${amount}` : `-${amount}`;
-        this.showToast(`${ingredient.name}: ${change} ${ingredient.unit} (now ${newStock} ${ingredient.unit})`, 'success');
-        
-        this.renderAll();
+    /**
+     * Save a restore point on demand
+     */
+    async createRestorePoint() {
+        const point = await this.dataManager.createRestorePoint('Saved manually');
+        if (point) {
+            this.showToast('Restore point saved', 'success');
+        } else {
+            this.showToast('Could not save restore point', 'error');
+        }
+        this.renderRestorePoints();
     }
 
     /**
-     * Bulk restock low stock items
+     * Change how often automatic restore points are taken
      */
-    bulkRestockLowItems() {
-        const lowStockItems = this.businessLogic.getLowStockIngredients();
-        
-        if (lowStockItems.length === 0) {
-            this.showToast('No low stock items found', 'info');
+    updateRestorePointInterval(value) {
+        const interval = parseInt(value);
+        if (isNaN(interval) || interval < 0) {
+            this.showToast('Enter 0 or a positive number of sales', 'error');
+            this.renderRestorePoints();
             return;
         }
 
-        // Build message
-        let message = 'Low stock items:\n\n';
-        lowStockItems.forEach(item => {
-            message += `• ${item.name}: ${item.totalQuantity} ${item.unit} (alert: ${item.lowStockThreshold})\n`;
-        });
-        message += '\nRestock these items to their original batch quantities?';
+        const settings = this.dataManager.getSettings();
+        settings.restorePointInterval = interval;
+        this.dataManager.saveSettings(settings);
+        this.showToast(interval > 0 ? `Restore point every ${interval} sales` : 'Automatic restore points off', 'success');
+    }
 
+    /**
+     * Roll back all data to a restore point
+     */
+    restoreFromPoint(id) {
         this.showConfirmDialog(
-            'Bulk Restock',
-            message,
-            () => {
-                let restockedCount = 0;
-                
-                lowStockItems.forEach(item => {
-                    // Calculate original batch quantity from cost data
-                    // Restore to original batch quantity (when unit cost was first set)
-                    const originalBatchQty = item.totalQuantity + (item.lowStockThreshold * 2);
-                    
-                    this.dataManager.updateIngredient(item.id, {
-                        totalQuantity: originalBatchQty
-                    });
-                    
-                    restockedCount++;
-                });
-                
-                // Update snapshot after bulk restock
-                this.dataManager.takeStockSnapshot();
-
-                this.showToast(`Restocked ${restockedCount} item${restockedCount > 1 ? 's' : ''}`, 'success');
-                this.renderAll();
+            'Restore Data',
+            'Replace ALL current data with this restore point? Your current data is saved as a new restore point first.',
+            async () => {
+                try {
+                    const point = await this.dataManager.restoreFromPoint(id);
+                    this.cart = [];
+                    this.showToast(`Restored data from ${this.formatDateTime(new Date(point.timestamp))}`, 'success');
+                    this.syncSettingsControls();
+                    this.renderAll();
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
             }
         );
     }
 
     /**
-     * Open ingredient modal - QUANTITY ONLY
+     * Add a payment method from the settings form
      */
-    openIngredientModal(ingredientId = null) {
-        this.editingIngredient = ingredientId;
-        const modal = document.getElementById('ingredient-modal');
-        const form = document.getElementById('ingredient-form');
-        
-        // Reset form
-        form.reset();
-        document.getElementById('ingredient-id').value = '';
+    addPaymentMethod() {
+        const nameInput = document.getElementById('payment-method-name');
+        const name = nameInput.value.trim();
+        const type = document.getElementById('payment-method-type').value;
 
-        if (ingredientId) {
-            // Edit mode
-            const ingredient = this.dataManager.getIngredients().find(i => i.id === ingredientId);
-            document.getElementById('ingredient-modal-title').textContent = 'Edit Ingredient';
-            document.getElementById('ingredient-id').value = ingredient.id;
-            document.getElementById('ingredient-name').value = ingredient.name;
-            document.getElementById('ingredient-unit').value = ingredient.unit;
-            document.getElementById('ingredient-total-quantity').value = ingredient.totalQuantity;
-            document.getElementById('ingredient-threshold').value = ingredient.lowStockThreshold || '';
-        } else {
-            // Add mode
-            document.getElementById('ingredient-modal-title').textContent = 'Add Ingredient';
+        if (!name) {
+            this.showToast('Please enter a payment method name', 'error');
+            return;
         }
 
-        this.openModal('ingredient-modal');
+        const settings = this.dataManager.getSettings();
+        if (settings.paymentMethods.some(m => m.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast(`"${name}" already exists`, 'error');
+            return;
+        }
+
+        settings.paymentMethods.push({ id: this.dataManager.generateId(), name, type });
+        this.dataManager.saveSettings(settings);
+
+        nameInput.value = '';
+        this.showToast(`Payment method "${name}" added`, 'success');
+        this.renderSettings();
     }
 
     /**
-     * Save ingredient - QUANTITY TRACKING ONLY
-     * No cost data stored in ingredients
+     * Remove a payment method
+     * Past sales keep the method name they were recorded with
      */
-    saveIngredient() {
-        const id = document.getElementById('ingredient-id').value;
-        const name = document.getElementById('ingredient-name').value;
-        const unit = document.getElementById('ingredient-unit').value;
-        const totalQuantity = parseFloat(document.getElementById('ingredient-total-quantity').value);
-        const lowStockThreshold = parseFloat(document.getElementById('ingredient-threshold').value) || null;
+    removePaymentMethod(id) {
+        const settings = this.dataManager.getSettings();
+        const method = settings.paymentMethods.find(m => m.id === id);
+        if (!method || method.id === 'cash') return;
 
-        if (totalQuantity < 0) {
-            this.showToast('Quantity cannot be negative', 'error');
-            return;
-        }
+        this.showConfirmDialog(
+            'Remove Payment Method',
+            `Remove "${method.name}"? Past sales recorded with it are not affected.`,
+            () => {
+                settings.paymentMethods = settings.paymentMethods.filter(m => m.id !== id);
+                this.dataManager.saveSettings(settings);
+                this.showToast(`Removed ${method.name}`, 'success');
+                this.renderSettings();
+            }
+        );
+    }
 
-        const ingredientData = {
+    /**
+     * Add a discount preset from the settings form
+     */
+    addDiscountPreset() {
+        const nameInput = document.getElementById('discount-preset-name');
+        const valueInput = document.getElementById('discount-preset-value');
+        const name = nameInput.value.trim();
+        const preset = {
+            id: this.dataManager.generateId(),
             name,
-            unit,
-            totalQuantity,       // Quantity only - no cost tracking
-            lowStockThreshold
+            type: document.getElementById('discount-preset-type').value,
+            value: parseFloat(valueInput.value)
         };
 
-        if (id) {
-            this.dataManager.updateIngredient(id, ingredientData);
-            this.showToast('Ingredient updated!', 'success');
-        } else {
-            this.dataManager.addIngredient(ingredientData);
-            this.showToast('Ingredient added!', 'success');
+        if (!name) {
+            this.showToast('Please enter a discount name', 'error');
+            return;
         }
 
-        this.closeModal('ingredient-modal');
-        this.renderAll();
+        try {
+            this.businessLogic.validateDiscount(preset);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        const settings = this.dataManager.getSettings();
+        if (settings.discountPresets.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast(`"${name}" already exists`, 'error');
+            return;
+        }
+
+        settings.discountPresets.push(preset);
+        this.dataManager.saveSettings(settings);
+
+        nameInput.value = '';
+        valueInput.value = '';
+        this.showToast(`Discount "${name}" added`, 'success');
+        this.renderSettings();
     }
 
     /**
-     * Edit ingredient
+     * Remove a discount preset
+     * Past sales keep the discount name and amount they were recorded with
      */
-    editIngredient(id) {
-        this.openIngredientModal(id);
+    removeDiscountPreset(id) {
+        const settings = this.dataManager.getSettings();
+        const preset = settings.discountPresets.find(p => p.id === id);
+        if (!preset) return;
+
+        this.showConfirmDialog(
+            'Remove Discount',
+            `Remove "${preset.name}"? Past sales recorded with it are not affected.`,
+            () => {
+                settings.discountPresets = settings.discountPresets.filter(p => p.id !== id);
+                this.dataManager.saveSettings(settings);
+                this.showToast(`Removed ${preset.name}`, 'success');
+                this.renderSettings();
+            }
+        );
     }
 
     /**
-     * Delete ingredient
+     * Set, change or clear the manager PIN (the current PIN is asked for first)
      */
-    deleteIngredient(id) {
-        const ingredient = this.dataManager.getIngredients().find(i => i.id === id);
-        
-        // Check if ingredient is used in any products
-        const products = this.dataManager.getProducts();
-        const usedInProducts = products.filter(p => 
-            p.recipe.some(r => r.ingredientId === id)
-        );
+    changeManagerPin() {
+        if (this.businessLogic.isManagerPinSet()) {
+            const current = prompt('Enter the current manager PIN:');
+            if (current === null) return; // Cancelled
+            if (!this.businessLogic.checkManagerPin(current)) {
+                this.showToast('Incorrect manager PIN', 'error');
+                return;
+            }
+        }
 
-        if (usedInProducts.length > 0) {
-            const productNames = usedInProducts.map(p => p.name).join(', ');
-            this.showToast(`Cannot delete - used in: ${productNames}`, 'error');
+        const pin = prompt('Enter a new manager PIN (4-8 digits), or leave blank to remove it:');
+        if (pin === null) return; // Cancelled
+
+        try {
+            this.businessLogic.setManagerPin(pin);
+        } catch (error) {
+            this.showToast(error.message, 'error');
             return;
         }
-
-        this.showConfirmDialog(
-            'Delete Ingredient',
-            `Are you sure you want to delete "${ingredient.name}"?`,
-            () => {
-                this.dataManager.deleteIngredient(id);
-                this.showToast('Ingredient deleted', 'success');
-                this.renderAll();
-            }
-        );
+        this.showToast(this.businessLogic.isManagerPinSet() ? 'Manager PIN saved' : 'Manager PIN removed', 'success');
+        this.renderSettings();
     }
 
     // ========================================
-    // REPORTS SCREEN
+    // PROMOTIONS
     // ========================================
 
     /**
-     * Render reports screen with CORRECT ACCOUNTING
-     * Profit = Revenue - Fixed Event Cost
-     * Handles both real and demo sales
+     * Describe when and what a promotion runs on, e.g. "Mon, Fri 15:00-17:00 · Coffee, Muffin"
      */
-    renderReports() {
-        const summary = this.businessLogic.getSalesSummary();
-        const breakdown = this.businessLogic.getSalesBreakdown();
-        
-        // Get appropriate sales based on mode
-        const settings = this.dataManager.getSettings();
-        const sales = settings.demoMode ? this.dataManager.getDemoSales() : this.dataManager.getSales();
+    describePromotionSchedule(promotion) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const days = promotion.days.length === 0 || promotion.days.length === 7
+            ? 'Every day'
+            : promotion.days.slice().sort().map(day => dayNames[day]).join(', ');
+        const hours = promotion.startTime ? `${promotion.startTime}-${promotion.endTime}` : 'all day';
 
-        // Update summary stats with CORRECT accounting
-        document.getElementById('report-revenue').textContent = this.formatCurrency(summary.totalRevenue);
-        document.getElementById('report-fixed-cost').textContent = this.formatCurrency(summary.fixedCost);
-        document.getElementById('report-profit').textContent = this.formatCurrency(summary.netProfit);
-        document.getElementById('report-items').textContent = summary.itemsSold;
-        
-        // Update profit card styling based on profit/loss
-        const profitCard = document.getElementById('profit-card');
-        if (summary.netProfit < 0) {
-            profitCard.classList.remove('success');
-            profitCard.classList.add('loss');
-            profitCard.style.background = '#fee2e2';
-        } else {
-            profitCard.classList.add('success');
-            profitCard.classList.remove('loss');
-            profitCard.style.background = '#dcfce7';
-        }
+        const products = this.dataManager.getProducts();
+        const targets = [
+            ...promotion.categories,
+            ...promotion.productIds.map(id => (products.find(p => p.id === id) || { name: 'Deleted product' }).name)
+        ];
 
-        // Render sales breakdown
-        const breakdownContainer = document.getElementById('sales-breakdown');
-        if (breakdown.length === 0) {
-            breakdownContainer.innerHTML = '<p class="empty-hint">No sales yet</p>';
-        } else {
-            breakdownContainer.innerHTML = breakdown.map(item => `
-                <div class="breakdown-item">
-                    <div>
-                        <div class="breakdown-name">${item.productName}</div>
-                        <div class="breakdown-stats">${item.count} sold</div>
+        return `${days} ${hours} · ${targets.length > 0 ? targets.join(', ') : 'Whole menu'}`;
+    }
+
+    /**
+     * Render promotions in settings
+     */
+    renderPromotionSettings() {
+        const list = document.getElementById('promotion-list');
+        if (!list) return;
+
+        const running = this.businessLogic.getActivePromotions().map(promotion => promotion.id);
+        const promotions = this.businessLogic.getPromotions();
+        list.innerHTML = promotions.length === 0
+            ? '<p class="setting-description">No promotions yet</p>'
+            : promotions.map(promotion => `
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <span class="setting-label">
+                            ${promotion.name}
+                            ${running.includes(promotion.id) ? '<span class="card-badge active">Running</span>' : ''}
+                            ${promotion.active ? '' : '<span class="card-badge inactive">Off</span>'}
+                        </span>
+                        <span class="setting-description">
+                            ${promotion.type === 'price' ? `${this.formatCurrency(promotion.value)} each` : this.describeDiscountValue(promotion, true)}
+                            · ${this.describePromotionSchedule(promotion)}
+                        </span>
+                    </div>
+                    <div class="card-actions">
+                        <button class="card-btn" data-action="edit-promotion" data-id="${promotion.id}">Edit</button>
+                        <button class="card-btn danger" data-action="remove-promotion" data-id="${promotion.id}">Remove</button>
                     </div>
-                    <div class="breakdown-revenue">${this.formatCurrency(item.revenue)}</div>
                 </div>
             `).join('');
-        }
 
-        // Render recent transactions (last 10)
-        const transactionContainer = document.getElementById('transaction-list');
-        const recentSales = sales.slice(-10).reverse();
-        
-        if (recentSales.length === 0) {
-            transactionContainer.innerHTML = '<p class="empty-hint">No transactions yet</p>';
-        } else {
-            transactionContainer.innerHTML = recentSales.map(sale => {
-                const date = new Date(sale.timestamp);
-                const quantity = sale.quantity || 1;
-                const quantityBadge = quantity > 1 ? ` <span style="background: var(--primary); color: white; padding: 0.125rem 0.375rem; border-radius: 4px; font-size: 0.75rem; font-weight: 700;">×${quantity}</span>` : '';
-                
-                return `
-                    <div class="transaction-item">
-                        <div>
-                            <div class="transaction-product">${sale.productName}${quantityBadge}</div>
-                            <div class="transaction-meta">${this.formatDateTime(date)}</div>
-                        </div>
-                        <div class="transaction-price">${this.formatCurrency(sale.sellingPrice)}</div>
-                    </div>
-                `;
-            }).join('');
-        }
+        list.querySelectorAll('[data-action="edit-promotion"]').forEach(btn => {
+            btn.addEventListener('click', () => this.openPromotionModal(btn.dataset.id));
+        });
+        list.querySelectorAll('[data-action="remove-promotion"]').forEach(btn => {
+            btn.addEventListener('click', () => this.removePromotion(btn.dataset.id));
+        });
     }
 
     /**
-     * Export data as JSON file
+     * Open promotion modal for add or edit
      */
-    exportData() {
-        const data = this.dataManager.exportData();
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `booth-data-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        
-        URL.revokeObjectURL(url);
-        this.showToast('Data exported!', 'success');
-    }
+    openPromotionModal(promotionId = null) {
+        const promotion = promotionId
+            ? this.businessLogic.getPromotions().find(p => p.id === promotionId)
+            : { name: '', type: 'percent', value: '', days: [], startTime: '', endTime: '', productIds: [], categories: [], active: true };
+
+        document.getElementById('promotion-modal-title').textContent = promotionId ? 'Edit Promotion' : 'Add Promotion';
+        document.getElementById('promotion-id').value = promotionId || '';
+        document.getElementById('promotion-name').value = promotion.name;
+        document.getElementById('promotion-type').value = promotion.type;
+        document.getElementById('promotion-value').value = promotion.value;
+        document.getElementById('promotion-start').value = promotion.startTime;
+        document.getElementById('promotion-end').value = promotion.endTime;
+        document.getElementById('promotion-active').checked = promotion.active;
+
+        const checkbox = (name, value, label, checked) => `
+            <label class="checkbox-label">
+                <input type="checkbox" name="${name}" value="${value}" ${checked ? 'checked' : ''}>
+                <span>${label}</span>
+            </label>
+        `;
 
-    /**
-     * Open event costs modal
-     */
-    openEventCostsModal() {
-        const costs = this.dataManager.getEventCosts();
-        
-        document.getElementById('fixed-cost').value = costs.totalFixedCost || '';
-        document.getElementById('cost-notes').value = costs.notes || '';
-        
-        this.openModal('event-costs-modal');
+        document.getElementById('promotion-days').innerHTML = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+            .map((day, index) => checkbox('promotion-day', index, day, promotion.days.includes(index)))
+            .join('');
+
+        // Keep categories a promotion still targets even if no product uses them now
+        const categories = [...new Set([...this.businessLogic.getProductCategories(), ...promotion.categories])];
+        document.getElementById('promotion-categories').innerHTML = categories.length === 0
+            ? '<p class="setting-description">Set a category on products to target it here</p>'
+            : categories.map(category => checkbox('promotion-category', category, category, promotion.categories.includes(category))).join('');
+
+        const products = this.dataManager.getProducts();
+        document.getElementById('promotion-products').innerHTML = products.length === 0
+            ? '<p class="setting-description">No products yet</p>'
+            : products.map(product => checkbox('promotion-product', product.id, product.name, promotion.productIds.includes(product.id))).join('');
+
+        this.openModal('promotion-modal');
     }
 
     /**
-     * Save event costs
+     * Save promotion from the modal
      */
-    saveEventCosts() {
-        const totalFixedCost = parseFloat(document.getElementById('fixed-cost').value) || 0;
-        const notes = document.getElementById('cost-notes').value;
-        
-        this.dataManager.saveEventCosts({
-            totalFixedCost,
-            notes
-        });
-        
-        this.showToast('Event costs saved!', 'success');
-        this.closeModal('event-costs-modal');
-        this.renderReports();
+    savePromotion() {
+        const id = document.getElementById('promotion-id').value;
+        const checkedValues = name => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`))
+            .map(input => input.value);
+
+        const promotion = {
+            id: id || this.dataManager.generateId(),
+            name: document.getElementById('promotion-name').value.trim(),
+            type: document.getElementById('promotion-type').value,
+            value: parseFloat(document.getElementById('promotion-value').value),
+            days: checkedValues('promotion-day').map(Number),
+            startTime: document.getElementById('promotion-start').value,
+            endTime: document.getElementById('promotion-end').value,
+            productIds: checkedValues('promotion-product'),
+            categories: checkedValues('promotion-category'),
+            active: document.getElementById('promotion-active').checked
+        };
+
+        try {
+            this.businessLogic.validatePromotion(promotion);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        const settings = this.dataManager.getSettings();
+        if (settings.promotions.some(p => p.id !== promotion.id && p.name.toLowerCase() === promotion.name.toLowerCase())) {
+            this.showToast(`"${promotion.name}" already exists`, 'error');
+            return;
+        }
+
+        settings.promotions = id
+            ? settings.promotions.map(p => p.id === id ? promotion : p)
+            : [...settings.promotions, promotion];
+        this.dataManager.saveSettings(settings);
+
+        this.closeModal('promotion-modal');
+        this.showToast(`Promotion "${promotion.name}" saved`, 'success');
+        this.renderSettings();
     }
 
     /**
-     * Confirm reset event
+     * Remove a promotion (past sales keep their promotion details)
      */
-    confirmResetEvent() {
+    removePromotion(id) {
+        const settings = this.dataManager.getSettings();
+        const promotion = settings.promotions.find(p => p.id === id);
+        if (!promotion) return;
+
         this.showConfirmDialog(
-            'Reset Event',
-            'This will clear all sales data but keep your products and ingredients. Are you sure?',
+            'Remove Promotion',
+            `Remove "${promotion.name}"? Past sales recorded with it are not affected.`,
             () => {
-                this.dataManager.resetEvent();
-                this.showToast('Event reset - sales cleared', 'success');
-                this.renderAll();
+                settings.promotions = settings.promotions.filter(p => p.id !== id);
+                this.dataManager.saveSettings(settings);
+                this.showToast(`Removed ${promotion.name}`, 'success');
+                this.renderSettings();
             }
         );
     }
@@ -2229,6 +9473,29 @@ class UIManager {
         return '₱' + amount.toFixed(2);
     }
 
+    /**
+     * Format a per-unit cost (small values need more decimals, e.g. ₱0.078)
+     */
+    formatUnitCost(amount) {
+        return '₱' + (amount < 1 ? amount.toFixed(3) : amount.toFixed(2));
+    }
+
+    /**
+     * Format a stock quantity without float noise (e.g. 0.30000000000000004 → 0.3)
+     */
+    formatQuantity(quantity) {
+        return `${Math.round(quantity * 100) / 100}`;
+    }
+
+    /**
+     * Format duration between two ISO timestamps, e.g. "5h 20m"
+     */
+    formatDuration(startTime, endTime) {
+        const minutes = Math.max(Math.round((new Date(endTime) - new Date(startTime)) / 60000), 0);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
     /**
      * Format date and time
      */
@@ -2247,12 +9514,27 @@ class UIManager {
 // ========================================
 
 // Initialize the app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     const dataManager = new DataManager();
+    try {
+        await dataManager.init(); // Also completes any sale/void/restock interrupted last session
+    } catch (error) {
+        // Never start on empty storage over data that exists but can't be read
+        document.body.innerHTML = `
+            <div class="empty-state">
+                <p>Could not load your data</p>
+                <p class="empty-hint">${error.message}</p>
+            </div>
+        `;
+        return;
+    }
+
     const businessLogic = new BusinessLogic(dataManager);
+    const repairs = businessLogic.checkIntegrity();
     const uiManager = new UIManager(dataManager, businessLogic);
     
     uiManager.init();
+    uiManager.reportRecovery(repairs);
     
     // Take initial stock snapshot for tracking changes
     dataManager.takeStockSnapshot();
@@ -0,0 +1,78 @@
+/**
+ * ========================================
+ * SERVICE WORKER - OFFLINE APP SHELL
+ * ========================================
+ *
+ * Precaches the app shell so the home-screen app opens without internet.
+ * Data lives in IndexedDB, not here - this only caches the app's files.
+ *
+ * DEPLOYING A NEW VERSION:
+ * Bump CACHE_VERSION whenever any file in PRECACHE_URLS changes - otherwise
+ * installed apps keep serving the old files. Open apps then show "Update available"
+ * and switch over when the user taps Reload (never mid-sale on its own).
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `booth-pos-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './app.js',
+    './styles.css',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+    // 'reload' bypasses the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('booth-pos-') && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over when the user taps Reload
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Cache first: the app shell must open instantly and offline
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request).catch(() => {
+                // Offline navigation to any page falls back to the app
+                if (request.mode === 'navigate') {
+                    return caches.match('./index.html');
+                }
+                throw new Error(`Offline and not cached: ${request.url}`);
+            });
+        })
+    );
+});